@@ -367,8 +367,9 @@ const seedData = async () => {
     ];
 
     const products = [];
-    for (const prodData of productsData) {
-      const product = await Product.create(prodData);
+    for (const { subcategory, ...prodData } of productsData) {
+      const category = await Category.findOrCreateLegacy(prodData.category, subcategory);
+      const product = await Product.create({ ...prodData, category: category._id });
       products.push(product);
     }
     console.log(`✅ ${products.length} products created\n`);
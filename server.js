@@ -61,16 +61,32 @@ const adminRoutes = require('./src/routes/adminRoutes');
 // Import error handler
 const errorHandler = require('./src/middleware/errorHandler');
 
+// Import background jobs
+const { startStockHoldSweeper } = require('./src/jobs/stockHoldSweeper');
+const { startPaymentReconciler } = require('./src/jobs/paymentReconciler');
+const { startPaymentReminders } = require('./src/jobs/paymentReminder');
+
 // Initialize Express app
 const app = express();
 
 // Connect to MongoDB
 connectDB();
 
+// Start background jobs
+startStockHoldSweeper();
+startPaymentReconciler();
+startPaymentReminders();
+
 // ==================
 // MIDDLEWARE
 // ==================
 
+// Behind a reverse proxy (Railway/Render), trust it so req.ip is the real client
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Security: Set security headers
 app.use(helmet());
 
@@ -98,8 +114,13 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
-// Body parser: Parse JSON requests
-app.use(express.json({ limit: '10mb' }));
+// Body parser: Parse JSON requests (raw body kept for webhook signature checks)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Security: Sanitize data to prevent NoSQL injection
@@ -0,0 +1,68 @@
+/**
+ * ============================================
+ * AUTHENTICATION CONFIGURATION
+ * ============================================
+ * Token lifetimes, email verification, password reset,
+ * two-factor authentication and lockout rules
+ */
+
+const authConfig = {
+  // Short-lived JWT sent as the Bearer token
+  accessTokenExpire: process.env.JWT_EXPIRE || '15m',
+
+  // Refresh tokens are opaque and rotate on every use
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS) || 30,
+
+  emailVerification: {
+    // How long a verification link stays valid
+    tokenHours: parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 24,
+
+    // Minimum wait between verification emails to the same account
+    resendCooldownMinutes: parseInt(process.env.EMAIL_VERIFICATION_RESEND_MINUTES) || 2,
+
+    // Block checkout until the account's email is verified
+    requiredForCheckout: process.env.REQUIRE_VERIFIED_EMAIL === 'true'
+  },
+
+  passwordReset: {
+    // Rate limit window for forgot-password requests
+    windowMinutes: parseInt(process.env.PASSWORD_RESET_WINDOW_MINUTES) || 60,
+    maxPerIp: parseInt(process.env.PASSWORD_RESET_MAX_PER_IP) || 10,
+    maxPerEmail: parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL) || 3
+  },
+
+  twoFactor: {
+    // Name shown in the authenticator app
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Furniture Hub',
+
+    // Time allowed between the password step and the code step
+    challengeMinutes: 5,
+
+    backupCodeCount: 10,
+
+    // Code attempts per IP in each window
+    windowMinutes: 15,
+    maxAttemptsPerIp: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS_PER_IP) || 10
+  },
+
+  login: {
+    // Rate limit window for password logins, per IP and per email address
+    windowMinutes: parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15,
+    maxPerIp: parseInt(process.env.LOGIN_MAX_PER_IP) || 30,
+    maxPerEmail: parseInt(process.env.LOGIN_MAX_PER_EMAIL) || 10
+  },
+
+  lockout: {
+    // Failed logins allowed before the account is locked
+    maxFailedAttempts: parseInt(process.env.LOCKOUT_MAX_FAILED_ATTEMPTS) || 5,
+
+    // First lock lasts this long; each further lock doubles it, up to the max
+    baseLockMinutes: parseInt(process.env.LOCKOUT_BASE_MINUTES) || 5,
+    maxLockMinutes: parseInt(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60
+  },
+
+  // Login history entries kept per user
+  loginHistoryLimit: 20
+};
+
+module.exports = authConfig;
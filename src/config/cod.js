@@ -0,0 +1,62 @@
+/**
+ * ============================================
+ * CASH ON DELIVERY CONFIGURATION
+ * ============================================
+ * Regions where riders collect cash, and the largest
+ * order total they may carry cash for in each
+ */
+
+// Default regions (city -> max order total in KES)
+const DEFAULT_REGIONS = {
+  nairobi: { enabled: true, maxOrderTotal: 150000 },
+  thika: { enabled: true, maxOrderTotal: 80000 },
+  nakuru: { enabled: true, maxOrderTotal: 80000 },
+  mombasa: { enabled: true, maxOrderTotal: 100000 },
+  kisumu: { enabled: true, maxOrderTotal: 80000 },
+  eldoret: { enabled: false, maxOrderTotal: 0 }
+};
+
+/**
+ * Read region overrides from COD_REGIONS, e.g.
+ * {"nairobi":{"enabled":true,"maxOrderTotal":200000}}
+ */
+const loadRegions = () => {
+  if (!process.env.COD_REGIONS) return DEFAULT_REGIONS;
+
+  try {
+    return JSON.parse(process.env.COD_REGIONS);
+  } catch (error) {
+    console.warn('⚠️  COD_REGIONS is not valid JSON - using default COD regions');
+    return DEFAULT_REGIONS;
+  }
+};
+
+const codConfig = {
+  regions: loadRegions()
+};
+
+/**
+ * Check whether an order can be paid cash on delivery
+ * @param {string} city - Delivery city
+ * @param {number} total - Order total
+ * @returns {object} { eligible, reason?, maxOrderTotal? }
+ */
+codConfig.checkEligibility = function(city, total) {
+  const region = this.regions[String(city || '').toLowerCase().trim()];
+
+  if (!region || !region.enabled) {
+    return { eligible: false, reason: `Cash on delivery is not available in ${city}` };
+  }
+
+  if (total > region.maxOrderTotal) {
+    return {
+      eligible: false,
+      maxOrderTotal: region.maxOrderTotal,
+      reason: `Cash on delivery in ${city} is limited to orders up to Ksh ${region.maxOrderTotal.toLocaleString()}`
+    };
+  }
+
+  return { eligible: true, maxOrderTotal: region.maxOrderTotal };
+};
+
+module.exports = codConfig;
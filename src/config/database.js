@@ -2,6 +2,11 @@
  * ============================================
  * MONGODB DATABASE CONNECTION
  * ============================================
+ * Orders, returns and cancellations use multi-document
+ * transactions, so MONGODB_URI must point at a replica set
+ * (a single-node one is enough for development, e.g.
+ * `mongod --replSet rs0` followed by `rs.initiate()`)
+ * or a sharded cluster. Atlas clusters are replica sets.
  */
 
 const mongoose = require('mongoose');
@@ -17,6 +22,12 @@ const connectDB = async () => {
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
     console.log(`📊 Database: ${conn.connection.name}`);
 
+    // A standalone server would only fail later, on the first checkout
+    const hello = await conn.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== 'isdbgrid') {
+      throw new Error('MongoDB must run as a replica set (or sharded cluster) - transactions are not available on a standalone server');
+    }
+
     // Log connection events
     mongoose.connection.on('error', (err) => {
       console.error(`❌ MongoDB Error: ${err.message}`);
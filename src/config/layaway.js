@@ -0,0 +1,41 @@
+/**
+ * ============================================
+ * LAYAWAY (LIPA MDOGO MDOGO) CONFIGURATION
+ * ============================================
+ * Rules for paying an order in M-Pesa instalments
+ */
+
+const layawayConfig = {
+  // Payment methods that can be paid in instalments
+  paymentMethods: ['mpesa'],
+
+  // Smallest order that can be paid in instalments (KES)
+  minOrderTotal: parseInt(process.env.LAYAWAY_MIN_ORDER_TOTAL) || 10000,
+
+  // First payment must be at least this share of the total
+  minDepositPercent: parseInt(process.env.LAYAWAY_MIN_DEPOSIT_PERCENT) || 20,
+
+  // Longest time allowed to clear the balance
+  maxTermDays: parseInt(process.env.LAYAWAY_MAX_TERM_DAYS) || 90,
+
+  // Reminder emails go out this many days before the due date
+  reminderDaysBefore: (process.env.LAYAWAY_REMINDER_DAYS || '7,3,1')
+    .split(',')
+    .map(days => parseInt(days))
+    .filter(days => days > 0)
+    .sort((a, b) => a - b),
+
+  // How often the reminder job runs
+  reminderIntervalMinutes: parseInt(process.env.LAYAWAY_REMINDER_INTERVAL_MINUTES) || 60
+};
+
+/**
+ * Minimum deposit for an order total
+ * @param {number} total - Order total
+ * @returns {number} Deposit in whole KES
+ */
+layawayConfig.getMinimumDeposit = function(total) {
+  return Math.ceil(total * this.minDepositPercent / 100);
+};
+
+module.exports = layawayConfig;
@@ -22,18 +22,49 @@ const mpesaConfig = {
     // Callback URL for payment confirmation
     callbackURL: process.env.MPESA_CALLBACK_URL,
     
-    // API endpoints
-    endpoints: {
-      sandbox: {
-        oauth: 'https://sandbox.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials',
-        stkPush: 'https://sandbox.safaricom.co.ke/mpesa/stkpush/v1/processrequest',
-        stkQuery: 'https://sandbox.safaricom.co.ke/mpesa/stkpushquery/v1/query'
-      },
-      production: {
-        oauth: 'https://api.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials',
-        stkPush: 'https://api.safaricom.co.ke/mpesa/stkpush/v1/processrequest',
-        stkQuery: 'https://api.safaricom.co.ke/mpesa/stkpushquery/v1/query'
-      }
+    // Initiator credentials for B2C payouts and reversals
+    initiatorName: process.env.MPESA_INITIATOR_NAME,
+    securityCredential: process.env.MPESA_SECURITY_CREDENTIAL,
+    
+    // Shortcode that pays out B2C refunds (defaults to the paybill shortcode)
+    b2cShortcode: process.env.MPESA_B2C_SHORTCODE || process.env.MPESA_SHORTCODE,
+    
+    // Result/timeout URLs for asynchronous B2C and reversal results
+    b2cResultURL: process.env.MPESA_B2C_RESULT_URL,
+    b2cTimeoutURL: process.env.MPESA_B2C_TIMEOUT_URL,
+    reversalResultURL: process.env.MPESA_REVERSAL_RESULT_URL,
+    reversalTimeoutURL: process.env.MPESA_REVERSAL_TIMEOUT_URL,
+    
+    // Result/timeout URLs for transaction status queries on timed out payouts
+    transactionStatusResultURL: process.env.MPESA_TRANSACTION_STATUS_RESULT_URL,
+    transactionStatusTimeoutURL: process.env.MPESA_TRANSACTION_STATUS_TIMEOUT_URL,
+    
+    // How refunds are paid out: 'reversal' (of the original receipt) or 'b2c'
+    refundMethod: process.env.MPESA_REFUND_METHOD || 'reversal',
+    
+    // Optional allow-list of Safaricom callback source IPs (comma separated)
+    allowedCallbackIPs: (process.env.MPESA_ALLOWED_IPS || '')
+      .split(',')
+      .map(ip => ip.trim())
+      .filter(Boolean),
+    
+    // Override the Daraja host, e.g. http://localhost:4010 for the mock server
+    baseURLOverride: process.env.MPESA_BASE_URL,
+    
+    // API hosts
+    baseURLs: {
+      sandbox: 'https://sandbox.safaricom.co.ke',
+      production: 'https://api.safaricom.co.ke'
+    },
+    
+    // API paths
+    paths: {
+      oauth: '/oauth/v1/generate?grant_type=client_credentials',
+      stkPush: '/mpesa/stkpush/v1/processrequest',
+      stkQuery: '/mpesa/stkpushquery/v1/query',
+      b2c: '/mpesa/b2c/v1/paymentrequest',
+      reversal: '/mpesa/reversal/v1/request',
+      transactionStatus: '/mpesa/transactionstatus/v1/query'
     },
     
     // Transaction type
@@ -43,13 +74,38 @@ const mpesaConfig = {
     accountReference: 'Furniture Hub',
     
     // Transaction description
-    transactionDesc: 'Payment for furniture order'
+    transactionDesc: 'Payment for furniture order',
+    
+    // How long a pending M-Pesa order holds its stock before it is auto-cancelled
+    stockHoldMinutes: parseInt(process.env.MPESA_STOCK_HOLD_MINUTES) || 30,
+    
+    // How often the background sweeper looks for expired stock holds
+    stockHoldSweepIntervalMinutes: parseInt(process.env.MPESA_STOCK_HOLD_SWEEP_MINUTES) || 5,
+    
+    // Reconciliation: query attempts with no callback after this many minutes
+    reconcileAfterMinutes: parseInt(process.env.MPESA_RECONCILE_AFTER_MINUTES) || 2,
+    
+    // Reconciliation: how often the job runs
+    reconcileIntervalMinutes: parseInt(process.env.MPESA_RECONCILE_INTERVAL_MINUTES) || 1,
+    
+    // Reconciliation: give up after this many status queries (delay doubles each time)
+    maxStatusQueries: parseInt(process.env.MPESA_MAX_STATUS_QUERIES) || 6,
+    
+    // Hour of the day (0-23) the previous day's reconciliation report is sent (0 is midnight)
+    reconciliationReportHour: Number.isNaN(parseInt(process.env.MPESA_RECONCILIATION_REPORT_HOUR))
+      ? 6
+      : parseInt(process.env.MPESA_RECONCILIATION_REPORT_HOUR)
   };
   
   // Get current environment endpoints
   mpesaConfig.getEndpoints = function() {
     const env = this.environment === 'production' ? 'production' : 'sandbox';
-    return this.endpoints[env];
+    const baseURL = this.baseURLOverride || this.baseURLs[env];
+    
+    return Object.keys(this.paths).reduce((endpoints, name) => {
+      endpoints[name] = `${baseURL}${this.paths[name]}`;
+      return endpoints;
+    }, {});
   };
   
   // Validate configuration
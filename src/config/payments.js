@@ -0,0 +1,67 @@
+/**
+ * ============================================
+ * PAYMENT PROVIDERS CONFIGURATION
+ * ============================================
+ * Which provider handles each payment method, and
+ * the card gateway (hosted checkout) settings
+ */
+
+const paymentsConfig = {
+  // Route every payment method through the offline fake provider
+  useFakeProvider: process.env.PAYMENT_PROVIDER_MODE === 'fake',
+
+  // Provider for each order paymentMethod (cod is collected on delivery)
+  methodProviders: {
+    mpesa: 'mpesa',
+    card: 'card'
+  },
+
+  // Public base URL of this API, used to build fake checkout links
+  apiURL: process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`,
+
+  // Hosted card checkout gateway
+  card: {
+    baseURL: process.env.CARD_GATEWAY_URL,
+    secretKey: process.env.CARD_SECRET_KEY,
+    webhookSecret: process.env.CARD_WEBHOOK_SECRET,
+    currency: process.env.CARD_CURRENCY || 'KES',
+
+    // Where the gateway sends the customer after checkout
+    redirectURL: process.env.CARD_REDIRECT_URL || `${process.env.FRONTEND_URL}/checkout/complete`,
+
+    // Header carrying the HMAC-SHA256 signature of the raw webhook body
+    signatureHeader: 'x-webhook-signature',
+
+    paths: {
+      checkout: '/v1/checkout/sessions',
+      verify: '/v1/transactions/verify',
+      refunds: '/v1/refunds'
+    }
+  }
+};
+
+// Validate card gateway configuration
+paymentsConfig.validate = function() {
+  if (this.useFakeProvider) {
+    console.log('🧪 Payments running through the fake provider');
+    return true;
+  }
+
+  const required = ['baseURL', 'secretKey', 'webhookSecret'];
+  const missing = required.filter(key => !this.card[key]);
+
+  if (missing.length > 0) {
+    console.warn(`⚠️  Card Gateway Config Warning: Missing ${missing.join(', ')}`);
+    return false;
+  }
+
+  console.log('✅ Card Gateway Configured');
+  return true;
+};
+
+// Run validation on startup
+if (process.env.NODE_ENV === 'development') {
+  paymentsConfig.validate();
+}
+
+module.exports = paymentsConfig;
@@ -0,0 +1,79 @@
+/**
+ * ============================================
+ * PERMISSIONS & BUILT-IN ROLES
+ * ============================================
+ * Every permission a role can be granted, and the
+ * roles that exist before any are created in the admin
+ */
+
+const PERMISSIONS = {
+  'dashboard:read': 'View the admin dashboard',
+  'reports:read': 'View sales analytics',
+  'users:read': 'View users and their login history',
+  'users:manage': 'Change user roles, clear lockouts and delete users',
+  'roles:manage': 'Create and edit roles',
+  'audit:read': 'View and export the audit log',
+  'products:write': 'Create, edit and delete products and their images',
+  'inventory:read': 'View low-stock reports',
+  'categories:write': 'Create, edit and delete categories',
+  'reviews:moderate': 'Moderate, flag and delete reviews',
+  'orders:read': 'View all orders',
+  'orders:update-status': 'Update order status and cancel orders',
+  'returns:manage': 'Approve, reject and receive returns',
+  'payments:read': 'View payments, refunds and reconciliation reports',
+  'payments:review': 'Review flagged payments and approve instalment releases',
+  'payments:refund': 'Retry refund payouts',
+  'cod:manage': 'Manage cash-on-delivery orders, riders and collection reports',
+  'cod:collect': 'Record cash collected on assigned deliveries'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Always has every permission and can't be edited or deleted
+const SUPER_ROLE = 'admin';
+
+const BUILT_IN_ROLES = {
+  customer: {
+    description: 'Shops on the storefront',
+    permissions: []
+  },
+  rider: {
+    description: 'Delivers cash-on-delivery orders and collects payment',
+    permissions: ['cod:collect']
+  },
+  admin: {
+    description: 'Full access',
+    permissions: ALL_PERMISSIONS
+  },
+  inventory_clerk: {
+    description: 'Keeps the catalogue and stock up to date',
+    permissions: ['dashboard:read', 'products:write', 'inventory:read', 'categories:write']
+  },
+  fulfilment: {
+    description: 'Processes, ships and returns orders',
+    permissions: ['dashboard:read', 'orders:read', 'orders:update-status', 'returns:manage', 'cod:manage', 'inventory:read']
+  },
+  content_editor: {
+    description: 'Edits product content and moderates reviews',
+    permissions: ['products:write', 'categories:write', 'reviews:moderate']
+  },
+  finance: {
+    description: 'Handles payments, refunds and reports',
+    permissions: ['dashboard:read', 'reports:read', 'orders:read', 'payments:read', 'payments:review', 'payments:refund', 'cod:manage']
+  }
+};
+
+// Roles customers and riders are assigned - everyone else is staff and needs two-factor
+const NON_STAFF_ROLES = ['customer', 'rider'];
+
+// The only permissions a non-staff role may hold (they log in without two-factor)
+const NON_STAFF_PERMISSIONS = ['cod:collect'];
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  SUPER_ROLE,
+  BUILT_IN_ROLES,
+  NON_STAFF_ROLES,
+  NON_STAFF_PERMISSIONS
+};
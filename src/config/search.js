@@ -0,0 +1,83 @@
+/**
+ * ============================================
+ * PRODUCT SEARCH CONFIGURATION
+ * ============================================
+ * Field weights, synonyms and typo tolerance for the
+ * built-in product search (runs on MongoDB alone)
+ */
+
+// Words that mean the same thing to shoppers. Every word in a group
+// matches the others; add groups here as search logs show gaps.
+const DEFAULT_SYNONYMS = [
+  ['sofa', 'couch', 'settee', 'lounger'],
+  ['wardrobe', 'closet', 'armoire'],
+  ['cabinet', 'cupboard'],
+  ['dresser', 'drawers', 'chest'],
+  ['bookcase', 'bookshelf', 'shelf', 'shelving'],
+  ['ottoman', 'pouf', 'pouffe', 'footstool'],
+  ['rug', 'carpet'],
+  ['lamp', 'light', 'lighting'],
+  ['bed', 'bedframe'],
+  ['grey', 'gray'],
+  ['colour', 'color']
+];
+
+/**
+ * Read extra synonym groups from SEARCH_SYNONYMS, e.g.
+ * [["kitanda","bed"],["meza","table"]]
+ */
+const loadSynonyms = () => {
+  if (!process.env.SEARCH_SYNONYMS) return DEFAULT_SYNONYMS;
+
+  try {
+    return [...DEFAULT_SYNONYMS, ...JSON.parse(process.env.SEARCH_SYNONYMS)];
+  } catch (error) {
+    console.warn('⚠️  SEARCH_SYNONYMS is not valid JSON - using default synonyms');
+    return DEFAULT_SYNONYMS;
+  }
+};
+
+const searchConfig = {
+  // How much a match in each field counts towards relevance
+  weights: {
+    name: 10,
+    tags: 6,
+    category: 5,
+    attributes: 3,
+    description: 1
+  },
+
+  synonyms: loadSynonyms(),
+
+  // Words ignored in queries and the index
+  stopWords: ['a', 'an', 'and', 'the', 'for', 'with', 'of', 'in', 'on', 'to', 'by', 'from'],
+
+  // Longest query accepted, in characters and in words
+  maxQueryLength: 100,
+  maxQueryTerms: 8,
+
+  // Shortest word that may match by prefix or with a typo
+  minPrefixLength: 3,
+  minFuzzyLength: 4,
+
+  // Typos allowed: one up to this word length, two beyond it
+  oneTypoMaxLength: 7,
+
+  // Products scored per search - the best matches by shared word fragments
+  candidateLimit: parseInt(process.env.SEARCH_CANDIDATE_LIMIT) || 300,
+
+  // Most products scored when paging deep into a large result set
+  maxCandidateLimit: parseInt(process.env.SEARCH_MAX_CANDIDATE_LIMIT) || 2000,
+
+  // Unique description words kept per product
+  maxDescriptionTerms: 150,
+
+  suggest: {
+    minQueryLength: 2,
+    defaultLimit: 8,
+    maxLimit: 15,
+    categoryLimit: 3
+  }
+};
+
+module.exports = searchConfig;
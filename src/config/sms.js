@@ -0,0 +1,39 @@
+/**
+ * ============================================
+ * SMS & ONE-TIME CODE CONFIGURATION
+ * ============================================
+ * SMS provider selection and OTP rules
+ */
+
+const smsConfig = {
+  // africastalking in production; console logs (and optionally files) messages locally
+  provider: process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? 'africastalking' : 'console'),
+
+  africasTalking: {
+    username: process.env.AT_USERNAME,
+    apiKey: process.env.AT_API_KEY,
+    senderId: process.env.AT_SENDER_ID,
+    baseURL: process.env.AT_USERNAME === 'sandbox'
+      ? 'https://api.sandbox.africastalking.com'
+      : 'https://api.africastalking.com',
+    paths: {
+      messaging: '/version1/messaging'
+    }
+  },
+
+  // Console provider also appends each message here as a JSON line when set
+  logFile: process.env.SMS_LOG_FILE,
+
+  otp: {
+    length: 6,
+    expiryMinutes: parseInt(process.env.OTP_EXPIRY_MINUTES) || 5,
+    maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+    resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+
+    // Code requests allowed per IP in each window (on top of the per-number cooldown)
+    requestWindowMinutes: 15,
+    maxRequestsPerIp: parseInt(process.env.OTP_MAX_REQUESTS_PER_IP) || 10
+  }
+};
+
+module.exports = smsConfig;
@@ -8,7 +8,11 @@
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const Review = require('../models/Review');
 const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+const { getPaginationData, escapeRegex } = require('../utils/helpers');
+const { getRole, getPermissions, getUnheldPermissions } = require('../services/roleService');
+const { SUPER_ROLE } = require('../config/permissions');
 
 /**
  * @desc    Get dashboard statistics
@@ -41,7 +45,7 @@ exports.getDashboard = asyncHandler(async (req, res, next) => {
 
   // Get low stock products
   const lowStockProducts = await Product.find({ stock: { $lte: 5 } })
-    .select('name stock category')
+    .select('name stock categorySlug')
     .limit(10);
 
   res.status(200).json({
@@ -67,14 +71,16 @@ exports.getDashboard = asyncHandler(async (req, res, next) => {
  * @access  Admin
  */
 exports.getAllUsers = asyncHandler(async (req, res, next) => {
-  const { page = 1, limit = 50, search } = req.query;
+  const { page = 1, limit = 50, search, locked } = req.query;
 
   const query = {};
+  if (locked === 'true') query.lockUntil = { $gt: new Date() };
   if (search) {
+    const pattern = new RegExp(escapeRegex(String(search)), 'i');
     query.$or = [
-      { fullName: new RegExp(search, 'i') },
-      { email: new RegExp(search, 'i') },
-      { phone: new RegExp(search, 'i') }
+      { fullName: pattern },
+      { email: pattern },
+      { phone: pattern }
     ];
   }
 
@@ -100,6 +106,61 @@ exports.getAllUsers = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get a user's lockout status and login history
+ * @route   GET /api/admin/users/:id/login-history
+ * @access  Admin
+ */
+exports.getUserLoginHistory = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id)
+    .select('fullName email lastLogin loginHistory failedLoginAttempts lockUntil lockCount');
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        fullName: user.fullName,
+        email: user.email,
+        lastLogin: user.lastLogin
+      },
+      lockout: {
+        isLocked: user.isLocked(),
+        lockUntil: user.isLocked() ? user.lockUntil : null,
+        failedLoginAttempts: user.failedLoginAttempts,
+        lockCount: user.lockCount
+      },
+      loginHistory: user.loginHistory
+    }
+  });
+});
+
+/**
+ * @desc    Clear a user's failed logins and lockout
+ * @route   DELETE /api/admin/users/:id/lockout
+ * @access  Admin
+ */
+exports.clearUserLockout = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  user.clearLockout();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: `Lockout cleared for ${user.email}`,
+    data: { user }
+  });
+});
+
 /**
  * @desc    Update user role
  * @route   PUT /api/admin/users/:id/role
@@ -108,8 +169,8 @@ exports.getAllUsers = asyncHandler(async (req, res, next) => {
 exports.updateUserRole = asyncHandler(async (req, res, next) => {
   const { role } = req.body;
 
-  if (!role || !['customer', 'admin'].includes(role)) {
-    return next(new ErrorResponse('Valid role is required (customer/admin)', 400));
+  if (!role || !(await getRole(role))) {
+    return next(new ErrorResponse(`Role '${role}' does not exist`, 400));
   }
 
   const user = await User.findById(req.params.id);
@@ -119,10 +180,26 @@ exports.updateUserRole = asyncHandler(async (req, res, next) => {
   }
 
   // Prevent self-demotion
-  if (user._id.toString() === req.user.id && role !== 'admin') {
+  if (user._id.toString() === req.user.id && role !== user.role) {
     return next(new ErrorResponse('Cannot change your own role', 400));
   }
 
+  if ((role === SUPER_ROLE || user.role === SUPER_ROLE) && req.user.role !== SUPER_ROLE) {
+    return next(new ErrorResponse(`Only an ${SUPER_ROLE} can assign or remove the ${SUPER_ROLE} role`, 403));
+  }
+
+  // Staff can only move users between roles no more powerful than their own
+  const unheld = getUnheldPermissions(req.user, [
+    ...await getPermissions(role),
+    ...await getPermissions(user.role)
+  ]);
+
+  if (unheld.length > 0) {
+    return next(new ErrorResponse('You cannot assign or change a role with permissions you don\'t have', 403, {
+      permissions: [...new Set(unheld)]
+    }));
+  }
+
   user.role = role;
   await user.save();
 
@@ -208,7 +285,7 @@ exports.getSalesAnalytics = asyncHandler(async (req, res, next) => {
     { $unwind: '$productInfo' },
     {
       $group: {
-        _id: '$productInfo.category',
+        _id: '$productInfo.categorySlug',
         totalSales: { $sum: { $multiply: ['$items.price', '$items.quantity'] } },
         totalOrders: { $sum: 1 }
       }
@@ -234,12 +311,98 @@ exports.getSalesAnalytics = asyncHandler(async (req, res, next) => {
 exports.getLowStockProducts = asyncHandler(async (req, res, next) => {
   const { threshold = 10 } = req.query;
 
-  const products = await Product.find({ stock: { $lte: threshold } })
-    .select('name slug stock category price')
+  // A product is low if its total or any one of its variants is
+  const products = await Product.find({
+    $or: [
+      { stock: { $lte: threshold } },
+      { 'variants.stock': { $lte: threshold } }
+    ]
+  })
+    .select('name slug stock categorySlug price variants.sku variants.options variants.stock')
     .sort('stock');
 
   res.status(200).json({
     success: true,
     data: { products }
   });
-});
\ No newline at end of file
+});
+
+/**
+ * @desc    Get reviews for moderation (pending by default)
+ * @route   GET /api/admin/reviews
+ * @access  Admin
+ */
+exports.getReviewsForModeration = asyncHandler(async (req, res, next) => {
+  const { status = 'pending', product, page = 1, limit = 20 } = req.query;
+
+  const query = { moderationStatus: status };
+  if (product) query.product = product;
+
+  const totalDocuments = await Review.countDocuments(query);
+  const pagination = getPaginationData(page, limit, totalDocuments);
+
+  // Oldest first so the queue is worked in submission order
+  const reviews = await Review.find(query)
+    .populate('user', 'fullName email')
+    .populate('product', 'name slug reviewModeration')
+    .sort('createdAt')
+    .skip(pagination.skip)
+    .limit(pagination.itemsPerPage);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reviews,
+      pagination
+    }
+  });
+});
+
+/**
+ * @desc    Approve or reject reviews in bulk
+ * @route   PUT /api/admin/reviews/moderate
+ * @access  Admin
+ */
+exports.moderateReviews = asyncHandler(async (req, res, next) => {
+  const { reviewIds, action, reason } = req.body;
+
+  if (action === 'reject' && !reason) {
+    return next(new ErrorResponse('A reason is required when rejecting reviews', 400));
+  }
+
+  const status = action === 'approve' ? 'approved' : 'rejected';
+  const result = await Review.moderate(reviewIds, status, reason, req.user.id);
+
+  if (result.productIds.length === 0) {
+    return next(new ErrorResponse('No matching reviews found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} review(s) ${status}`,
+    data: result
+  });
+});
+
+/**
+ * @desc    Flag a review as abusive (hides it from the product page)
+ * @route   PUT /api/admin/reviews/:id/flag
+ * @access  Admin
+ */
+exports.flagReview = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    return next(new ErrorResponse('Review not found', 404));
+  }
+
+  await Review.moderate([review._id], 'flagged', reason, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Review flagged',
+    data: { review: await Review.findById(review._id) }
+  });
+});
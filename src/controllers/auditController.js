@@ -0,0 +1,95 @@
+/**
+ * ============================================
+ * AUDIT LOG CONTROLLER
+ * ============================================
+ * Browse and export the staff audit log
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getPaginationData, toCsv } = require('../utils/helpers');
+
+// Largest CSV export in one request
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * Build the audit log query from request filters
+ */
+const buildAuditQuery = ({ actor, entity, entityId, action, startDate, endDate }) => {
+  const query = {};
+  if (actor) query.actor = actor;
+  if (entity) query.entity = entity;
+  if (entityId) query.entityId = entityId;
+  if (action) query.action = action;
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  return query;
+};
+
+/**
+ * @desc    Get audit log entries
+ * @route   GET /api/admin/audit-logs
+ * @access  Admin (audit:read)
+ */
+exports.getAuditLogs = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 50 } = req.query;
+
+  const query = buildAuditQuery(req.query);
+
+  const totalDocuments = await AuditLog.countDocuments(query);
+  const pagination = getPaginationData(page, limit, totalDocuments);
+
+  const logs = await AuditLog.find(query)
+    .populate('actor', 'fullName email')
+    .sort('-createdAt')
+    .skip(pagination.skip)
+    .limit(pagination.itemsPerPage);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      logs,
+      pagination
+    }
+  });
+});
+
+/**
+ * @desc    Export audit log entries as CSV
+ * @route   GET /api/admin/audit-logs/export
+ * @access  Admin (audit:read)
+ */
+exports.exportAuditLogs = asyncHandler(async (req, res, next) => {
+  const query = buildAuditQuery(req.query);
+
+  const logs = await AuditLog.find(query)
+    .sort('-createdAt')
+    .limit(MAX_EXPORT_ROWS)
+    .lean();
+
+  const csv = toCsv(logs, [
+    { header: 'Timestamp', value: log => log.createdAt },
+    { header: 'Actor ID', value: log => log.actor },
+    { header: 'Actor Email', value: log => log.actorEmail },
+    { header: 'Actor Role', value: log => log.actorRole },
+    { header: 'Action', value: log => log.action },
+    { header: 'Entity', value: log => log.entity },
+    { header: 'Entity ID', value: log => log.entityId },
+    { header: 'Changes', value: log => log.changes?.length ? log.changes : log.snapshot },
+    { header: 'Method', value: log => log.method },
+    { header: 'Path', value: log => log.path },
+    { header: 'IP', value: log => log.ip },
+    { header: 'User Agent', value: log => log.userAgent }
+  ]);
+
+  const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(csv);
+});
@@ -2,14 +2,104 @@
  * ============================================
  * AUTHENTICATION CONTROLLER
  * ============================================
- * Handles user registration, login, logout
+ * Handles user registration, login, token refresh, logout
  */
 
 const User = require('../models/User');
-const { generateToken } = require('../utils/generateToken');
+const {
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/tokenService');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} = require('../utils/emailService');
 const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+const authConfig = require('../config/auth');
+const { sendOtp, verifyOtp } = require('../services/otpService');
+const { formatPhoneNumber } = require('../services/mpesaService');
+const { generateChallengeToken, verifyToken } = require('../utils/generateToken');
+const {
+  assertNotLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../services/loginSecurityService');
 const crypto = require('crypto');
 
+/**
+ * Start a session and send the login response
+ * @param {object} user - Authenticated user
+ * @param {object} options - { message, method, mfa } where mfa marks a completed second factor
+ */
+const sendSession = async (user, req, res, { message = 'Login successful', method, mfa = false } = {}) => {
+  // Update last login, history and lockout state
+  await recordSuccessfulLogin(user, req, method);
+  
+  const tokens = await issueSession(user, req, { mfa });
+  
+  // Send response (exclude password)
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      ...tokens,
+      // Admins without an authenticator app must enrol before using admin routes
+      twoFactorSetupRequired: user.requiresTwoFactor() && !user.twoFactor?.enabled,
+      user: {
+        id: user._id,
+        fullName: user.fullName,
+        email: user.email,
+        phone: user.phone,
+        role: user.role,
+        address: user.address,
+        isVerified: user.isVerified,
+        lastLogin: user.lastLogin
+      }
+    }
+  });
+};
+
+/**
+ * Finish the first login step. Accounts with two-factor enabled get a
+ * challenge token to exchange at /2fa/challenge instead of a session.
+ * @param {object} user - User who passed the first factor
+ * @param {object} options - { method, message } - message is used when no second step is needed
+ */
+const startLogin = async (user, req, res, { method, message } = {}) => {
+  if (user.twoFactor?.enabled) {
+    // Only the latest challenge is valid, and only until it is completed
+    const challengeId = crypto.randomUUID();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.challengeId': challengeId } });
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id, challengeId)
+      }
+    });
+  }
+  
+  return sendSession(user, req, res, { message, method });
+};
+
+/**
+ * Create a fresh verification token and email the link
+ * @param {object} user - User document
+ */
+const sendVerificationLink = async (user) => {
+  const verificationToken = user.getVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`;
+  
+  return sendVerificationEmail(user, verifyUrl);
+};
+
 /**
  * @desc    Register new user
  * @route   POST /api/auth/register
@@ -38,22 +128,26 @@ exports.register = asyncHandler(async (req, res, next) => {
     address: address || {}
   });
   
-  // Generate token
-  const token = generateToken(user._id, user.email, user.role);
+  // Email a verification link
+  await sendVerificationLink(user);
+  
+  // Start a session
+  const tokens = await issueSession(user, req);
   
   // Send response
   res.status(201).json({
     success: true,
-    message: 'Registration successful',
+    message: 'Registration successful. Please check your email to verify your account.',
     data: {
-      token,
+      ...tokens,
       user: {
         id: user._id,
         fullName: user.fullName,
         email: user.email,
         phone: user.phone,
         role: user.role,
-        address: user.address
+        address: user.address,
+        isVerified: user.isVerified
       }
     }
   });
@@ -79,36 +173,192 @@ exports.login = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Invalid email or password', 401));
   }
   
+  // No password guesses while the account is locked
+  assertNotLocked(user);
+  
   // Check password
   const isPasswordMatch = await user.comparePassword(password);
   
   if (!isPasswordMatch) {
+    await recordFailedLogin(user, req, 'password');
+    assertNotLocked(user);
     return next(new ErrorResponse('Invalid email or password', 401));
   }
   
-  // Update last login
-  user.lastLogin = Date.now();
-  await user.save({ validateBeforeSave: false });
+  await startLogin(user, req, res, { method: 'password' });
+});
+
+/**
+ * @desc    Complete login with an authenticator or backup code
+ * @route   POST /api/auth/2fa/challenge
+ * @access  Public (challenge token from login)
+ */
+exports.completeTwoFactorLogin = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code } = req.body;
   
-  // Generate token
-  const token = generateToken(user._id, user.email, user.role);
+  if (!challengeToken || !code) {
+    return next(new ErrorResponse('Please provide the challenge token and a code', 400));
+  }
+  
+  let decoded;
+  try {
+    decoded = verifyToken(challengeToken);
+  } catch (error) {
+    return next(new ErrorResponse('Login challenge has expired. Please login again.', 401));
+  }
+  
+  if (decoded.purpose !== '2fa_challenge') {
+    return next(new ErrorResponse('Invalid login challenge', 401));
+  }
+  
+  const user = await User.findById(decoded.id)
+    .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.challengeId');
+  
+  if (!user || !user.twoFactor?.enabled) {
+    return next(new ErrorResponse('Invalid login challenge', 401));
+  }
+  
+  if (!decoded.jti || user.twoFactor.challengeId !== decoded.jti) {
+    return next(new ErrorResponse('Login challenge has already been used. Please login again.', 401));
+  }
+  
+  assertNotLocked(user);
+  
+  const method = await user.verifySecondFactor(code);
+  
+  if (!method) {
+    await recordFailedLogin(user, req, 'two_factor');
+    assertNotLocked(user);
+    return next(new ErrorResponse('Invalid authentication code', 401));
+  }
+  
+  // Use the challenge up - a second request with it must start over
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, 'twoFactor.challengeId': decoded.jti },
+    { $unset: { 'twoFactor.challengeId': 1 } }
+  );
+  
+  if (modifiedCount === 0) {
+    return next(new ErrorResponse('Login challenge has already been used. Please login again.', 401));
+  }
+  
+  user.twoFactor.challengeId = undefined;
+  user.unmarkModified('twoFactor.challengeId');
+  
+  await sendSession(user, req, res, {
+    method: 'two_factor',
+    mfa: true,
+    message: method === 'backup'
+      ? `Login successful. ${user.twoFactor.backupCodes.length} backup codes left.`
+      : 'Login successful'
+  });
+});
+
+/**
+ * @desc    Send a login code to a verified phone number
+ *          Responds the same way whether or not the number is registered
+ * @route   POST /api/auth/otp/request
+ * @access  Public
+ */
+exports.requestLoginCode = asyncHandler(async (req, res, next) => {
+  const phone = formatPhoneNumber(req.body.phone);
+  
+  const user = await User.findByVerifiedPhone(phone);
+  
+  if (user) {
+    try {
+      await sendOtp({ phone, purpose: 'login', userId: user._id });
+    } catch (error) {
+      // A cooldown would reveal the number is registered - just don't resend
+      if (error.statusCode !== 429) throw error;
+    }
+  }
   
-  // Send response (exclude password)
   res.status(200).json({
     success: true,
-    message: 'Login successful',
-    data: {
-      token,
-      user: {
-        id: user._id,
-        fullName: user.fullName,
-        email: user.email,
-        phone: user.phone,
-        role: user.role,
-        address: user.address,
-        lastLogin: user.lastLogin
-      }
-    }
+    message: 'If this number is registered and verified, a login code has been sent',
+    data: {}
+  });
+});
+
+/**
+ * @desc    Login with a phone number and SMS code
+ * @route   POST /api/auth/otp/login
+ * @access  Public
+ */
+exports.loginWithCode = asyncHandler(async (req, res, next) => {
+  const phone = formatPhoneNumber(req.body.phone);
+  
+  const otp = await verifyOtp({ phone, purpose: 'login', code: req.body.code });
+  
+  const user = await User.findById(otp.user);
+  
+  // The number must still be verified on the same account
+  if (!user || !user.phoneVerified || !User.phoneVariants(phone).includes(user.phone)) {
+    return next(new ErrorResponse('Code is invalid or has expired. Please request a new one.', 400));
+  }
+  
+  assertNotLocked(user);
+  
+  await startLogin(user, req, res, { method: 'otp' });
+});
+
+/**
+ * @desc    Send a verification code to the account's phone number
+ * @route   POST /api/auth/phone/send-code
+ * @access  Private
+ */
+exports.sendPhoneVerificationCode = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  
+  if (user.phoneVerified) {
+    return next(new ErrorResponse('Phone number is already verified', 400));
+  }
+  
+  const phone = formatPhoneNumber(user.phone);
+  const { expiresAt } = await sendOtp({ phone, purpose: 'verify_phone', userId: user._id });
+  
+  res.status(200).json({
+    success: true,
+    message: `Verification code sent to ${user.phone}`,
+    data: { expiresAt }
+  });
+});
+
+/**
+ * @desc    Verify the account's phone number with an SMS code
+ * @route   POST /api/auth/phone/verify
+ * @access  Private
+ */
+exports.verifyPhone = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  
+  if (user.phoneVerified) {
+    return next(new ErrorResponse('Phone number is already verified', 400));
+  }
+  
+  const phone = formatPhoneNumber(user.phone);
+  
+  // A number can only be used to log in to one account
+  const owner = await User.findByVerifiedPhone(phone);
+  if (owner && owner._id.toString() !== user._id.toString()) {
+    return next(new ErrorResponse('This phone number is already verified on another account', 409));
+  }
+  
+  const otp = await verifyOtp({ phone, purpose: 'verify_phone', code: req.body.code });
+  
+  if (otp.user?.toString() !== user._id.toString()) {
+    return next(new ErrorResponse('Code is invalid or has expired. Please request a new one.', 400));
+  }
+  
+  user.phoneVerified = true;
+  user.phoneVerifiedAt = Date.now();
+  await user.save({ validateBeforeSave: false });
+  
+  res.status(200).json({
+    success: true,
+    message: 'Phone number verified successfully',
+    data: {}
   });
 });
 
@@ -129,13 +379,32 @@ exports.getMe = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Logout user (client-side token removal)
+ * @desc    Exchange a refresh token for a new token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+exports.refreshToken = asyncHandler(async (req, res, next) => {
+  const { refreshToken } = req.body;
+  
+  if (!refreshToken) {
+    return next(new ErrorResponse('Please provide a refresh token', 400));
+  }
+  
+  const tokens = await rotateRefreshToken(refreshToken, req);
+  
+  res.status(200).json({
+    success: true,
+    data: tokens
+  });
+});
+
+/**
+ * @desc    Logout user - revokes the current session's tokens
  * @route   POST /api/auth/logout
  * @access  Private
  */
 exports.logout = asyncHandler(async (req, res, next) => {
-  // Note: With JWT, logout is handled client-side by removing the token
-  // This endpoint is mainly for consistency and future token blacklisting
+  await revokeSession(req.user.sessionId);
   
   res.status(200).json({
     success: true,
@@ -145,7 +414,94 @@ exports.logout = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Forgot password - Send reset token to email
+ * @desc    Logout from all devices - revokes every session
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+exports.logoutAll = asyncHandler(async (req, res, next) => {
+  const result = await revokeAllSessions(req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Logged out of all devices',
+    data: {
+      sessionsRevoked: result.modifiedCount
+    }
+  });
+});
+
+/**
+ * @desc    Verify email address
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public
+ */
+exports.verifyEmail = asyncHandler(async (req, res, next) => {
+  const verificationToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+  
+  const user = await User.findOne({
+    verificationToken,
+    verificationTokenExpire: { $gt: Date.now() }
+  });
+  
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired verification link', 400));
+  }
+  
+  user.isVerified = true;
+  user.verifiedAt = Date.now();
+  user.verificationToken = undefined;
+  user.verificationTokenExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+  
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully',
+    data: {}
+  });
+});
+
+/**
+ * @desc    Resend email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Private
+ */
+exports.resendVerification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  
+  if (user.isVerified) {
+    return next(new ErrorResponse('Email is already verified', 400));
+  }
+  
+  // Throttle resends per account
+  const cooldownMs = authConfig.emailVerification.resendCooldownMinutes * 60 * 1000;
+  const nextAllowedAt = user.verificationSentAt
+    ? user.verificationSentAt.getTime() + cooldownMs
+    : 0;
+  
+  if (nextAllowedAt > Date.now()) {
+    return next(new ErrorResponse(
+      'Please wait before requesting another verification email',
+      429,
+      { retryAfterSeconds: Math.ceil((nextAllowedAt - Date.now()) / 1000) }
+    ));
+  }
+  
+  await sendVerificationLink(user);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent',
+    data: {}
+  });
+});
+
+/**
+ * @desc    Forgot password - Send reset link to email
+ *          Always responds the same way so it can't be used
+ *          to find out which emails are registered
  * @route   POST /api/auth/forgot-password
  * @access  Public
  */
@@ -156,29 +512,25 @@ exports.forgotPassword = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Please provide an email', 400));
   }
   
-  const user = await User.findOne({ email });
+  const user = await User.findOne({ email: String(email).trim().toLowerCase() });
   
-  if (!user) {
-    return next(new ErrorResponse('No user found with that email', 404));
+  if (user) {
+    // Generate reset token
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+    
+    // Create reset URL
+    const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+    
+    // Not awaited: waiting on the mail server would make known emails
+    // answer measurably slower than unknown ones (failures are logged)
+    sendPasswordResetEmail(user, resetUrl);
   }
   
-  // Generate reset token
-  const resetToken = user.getResetPasswordToken();
-  await user.save({ validateBeforeSave: false });
-  
-  // Create reset URL
-  const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
-  
-  // TODO: Send email with reset link (implement in Phase 5)
-  // For now, just return the token (REMOVE IN PRODUCTION!)
-  
   res.status(200).json({
     success: true,
-    message: 'Password reset email sent',
-    data: {
-      resetToken, // REMOVE THIS IN PRODUCTION
-      resetUrl
-    }
+    message: 'If an account exists for that email, a password reset link has been sent',
+    data: {}
   });
 });
 
@@ -217,14 +569,10 @@ exports.resetPassword = asyncHandler(async (req, res, next) => {
   user.resetPasswordExpire = undefined;
   await user.save();
   
-  // Generate new token
-  const authToken = generateToken(user._id, user.email, user.role);
+  // Sign out every existing session, then log in afresh
+  await revokeAllSessions(user._id, 'password_changed');
   
-  res.status(200).json({
-    success: true,
-    message: 'Password reset successful',
-    data: {
-      token: authToken
-    }
-  });
+  await sendPasswordChangedEmail(user);
+  
+  await startLogin(user, req, res, { method: 'password_reset', message: 'Password reset successful' });
 });
\ No newline at end of file
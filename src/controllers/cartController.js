@@ -8,6 +8,33 @@ const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
 
+// Product fields shown with each cart line
+const CART_PRODUCT_FIELDS = 'name slug price salePrice images stock variants';
+
+/**
+ * Stock available for a cart line. Products with variants are bought by
+ * variant, so a missing or unknown variant is an error.
+ * @returns {number} Units in stock
+ */
+const getAvailableStock = (product, variantId) => {
+  if (product.variants.length === 0) {
+    if (variantId) {
+      throw new ErrorResponse(`${product.name} has no options to choose from`, 400);
+    }
+    return product.stock;
+  }
+
+  if (!variantId) {
+    throw new ErrorResponse(`Please choose an option for ${product.name}`, 400);
+  }
+
+  const variant = product.variants.id(variantId);
+  if (!variant) {
+    throw new ErrorResponse('Selected option is no longer available', 404);
+  }
+  return variant.stock;
+};
+
 /**
  * @desc    Get user's cart
  * @route   GET /api/cart
@@ -17,7 +44,7 @@ exports.getCart = asyncHandler(async (req, res, next) => {
   let cart = await Cart.findOne({ user: req.user.id })
     .populate({
       path: 'items.product',
-      select: 'name slug price salePrice images stock'
+      select: CART_PRODUCT_FIELDS
     });
 
   if (!cart) {
@@ -42,7 +69,7 @@ exports.getCart = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 exports.addToCart = asyncHandler(async (req, res, next) => {
-  const { productId, quantity = 1 } = req.body;
+  const { productId, variantId, quantity = 1 } = req.body;
 
   if (!productId) {
     return next(new ErrorResponse('Product ID is required', 400));
@@ -55,8 +82,10 @@ exports.addToCart = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Product not found', 404));
   }
 
-  if (product.stock < quantity) {
-    return next(new ErrorResponse(`Only ${product.stock} items available in stock`, 400));
+  const available = getAvailableStock(product, variantId);
+
+  if (available < quantity) {
+    return next(new ErrorResponse(`Only ${available} items available in stock`, 400));
   }
 
   // Get or create cart
@@ -67,12 +96,12 @@ exports.addToCart = asyncHandler(async (req, res, next) => {
   }
 
   // Add item to cart
-  await cart.addItem(productId, quantity);
+  await cart.addItem(productId, quantity, variantId);
 
   // Populate and return
   await cart.populate({
     path: 'items.product',
-    select: 'name slug price salePrice images stock'
+    select: CART_PRODUCT_FIELDS
   });
 
   const totals = await cart.calculateTotals();
@@ -120,8 +149,10 @@ exports.updateCartItem = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Product no longer available', 404));
   }
 
-  if (product.stock < quantity) {
-    return next(new ErrorResponse(`Only ${product.stock} items available`, 400));
+  const available = getAvailableStock(product, item.variant);
+
+  if (available < quantity) {
+    return next(new ErrorResponse(`Only ${available} items available`, 400));
   }
 
   // Update quantity
@@ -131,7 +162,7 @@ exports.updateCartItem = asyncHandler(async (req, res, next) => {
   // Populate and return
   await cart.populate({
     path: 'items.product',
-    select: 'name slug price salePrice images stock'
+    select: CART_PRODUCT_FIELDS
   });
 
   const totals = await cart.calculateTotals();
@@ -174,7 +205,7 @@ exports.removeFromCart = asyncHandler(async (req, res, next) => {
   // Populate and return
   await cart.populate({
     path: 'items.product',
-    select: 'name slug price salePrice images stock'
+    select: CART_PRODUCT_FIELDS
   });
 
   const totals = await cart.calculateTotals();
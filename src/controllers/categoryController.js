@@ -5,16 +5,20 @@
  */
 
 const Category = require('../models/Category');
+const Product = require('../models/Product');
 const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
 const { uploadImage, deleteImage } = require('../services/cloudinaryService');
 
 /**
  * @desc    Get all categories
+ *          ?tree=true nests subcategories under their parents
  * @route   GET /api/categories
  * @access  Public
  */
 exports.getAllCategories = asyncHandler(async (req, res, next) => {
-  const categories = await Category.getWithCounts();
+  const categories = req.query.tree === 'true'
+    ? await Category.getTree()
+    : await Category.getWithCounts();
 
   res.status(200).json({
     success: true,
@@ -28,15 +32,18 @@ exports.getAllCategories = asyncHandler(async (req, res, next) => {
  * @access  Public
  */
 exports.getCategoryBySlug = asyncHandler(async (req, res, next) => {
-  const category = await Category.findOne({ slug: req.params.slug });
+  const category = await Category.findOne({ slug: req.params.slug })
+    .populate('ancestors', 'name slug');
 
   if (!category) {
     return next(new ErrorResponse('Category not found', 404));
   }
 
+  const children = await Category.find({ parent: category._id }).sort('name');
+
   res.status(200).json({
     success: true,
-    data: { category }
+    data: { category, children }
   });
 });
 
@@ -61,16 +68,19 @@ exports.createCategory = asyncHandler(async (req, res, next) => {
  * @access  Admin
  */
 exports.updateCategory = asyncHandler(async (req, res, next) => {
-  let category = await Category.findById(req.params.id);
+  const category = await Category.findById(req.params.id);
 
   if (!category) {
     return next(new ErrorResponse('Category not found', 404));
   }
 
-  category = await Category.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  });
+  // The tree position and count are maintained by the model
+  delete req.body.ancestors;
+  delete req.body.productCount;
+
+  // Saved through the document so renames and moves reach subcategories and products
+  category.set(req.body);
+  await category.save();
 
   res.status(200).json({
     success: true,
@@ -81,16 +91,56 @@ exports.updateCategory = asyncHandler(async (req, res, next) => {
 
 /**
  * @desc    Delete category
+ *          Refused while it has subcategories, or products unless
+ *          ?reassignTo=<category id or slug> moves them first
  * @route   DELETE /api/categories/:id
  * @access  Admin
  */
 exports.deleteCategory = asyncHandler(async (req, res, next) => {
+  const { reassignTo } = req.query;
+
   const category = await Category.findById(req.params.id);
 
   if (!category) {
     return next(new ErrorResponse('Category not found', 404));
   }
 
+  const subcategories = await Category.countDocuments({ parent: category._id });
+  if (subcategories > 0) {
+    return next(new ErrorResponse(
+      `Category has ${subcategories} subcategories. Move or delete them first.`,
+      409,
+      { subcategories }
+    ));
+  }
+
+  const products = await Product.countDocuments({ category: category._id });
+  if (products > 0) {
+    if (!reassignTo) {
+      return next(new ErrorResponse(
+        `Category has ${products} product(s). Reassign them to another category first.`,
+        409,
+        { products }
+      ));
+    }
+
+    const target = await Category.findByIdOrSlug(reassignTo);
+    if (!target || target._id.equals(category._id)) {
+      return next(new ErrorResponse('Choose a different, existing category to move the products to', 400));
+    }
+
+    await Product.updateMany(
+      { category: category._id },
+      {
+        category: target._id,
+        categorySlug: target.slug,
+        categoryPath: [...target.ancestors, target._id]
+      }
+    );
+    await Category.refreshProductCounts([...category.ancestors, ...target.ancestors, target._id]);
+    await Product.rebuildSearchIndex({ category: target._id });
+  }
+
   // Delete category image from Cloudinary
   if (category.image && category.image.publicId) {
     await deleteImage(category.image.publicId);
@@ -0,0 +1,267 @@
+/**
+ * ============================================
+ * CASH ON DELIVERY CONTROLLER
+ * ============================================
+ * COD eligibility, rider assignment, cash collection
+ * and the daily per-rider collection report
+ */
+
+const Order = require('../models/Order');
+const User = require('../models/User');
+const codConfig = require('../config/cod');
+const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+const { hasPermission } = require('../middleware/adminMiddleware');
+const { getPaginationData, getDayRange } = require('../utils/helpers');
+
+// Admin queue stages for COD orders
+const STAGE_FILTERS = {
+  'awaiting-confirmation': { orderStatus: 'pending' },
+  'awaiting-collection': {
+    orderStatus: { $in: ['confirmed', 'processing', 'shipped'] },
+    'cod.collectionStatus': 'pending'
+  },
+  short: { 'cod.collectionStatus': 'short' },
+  collected: { 'cod.collectionStatus': 'collected' }
+};
+
+/**
+ * @desc    Check whether cash on delivery is available
+ * @route   GET /api/orders/cod/eligibility?city=&total=
+ * @access  Private
+ */
+exports.checkCodEligibility = asyncHandler(async (req, res, next) => {
+  const { city, total } = req.query;
+
+  const eligibility = codConfig.checkEligibility(city, Number(total));
+
+  res.status(200).json({
+    success: true,
+    data: eligibility
+  });
+});
+
+/**
+ * @desc    Get COD orders assigned to the current rider
+ * @route   GET /api/orders/cod/deliveries
+ * @access  Rider/Admin
+ */
+exports.getMyDeliveries = asyncHandler(async (req, res, next) => {
+  const { includeCollected } = req.query;
+
+  const query = {
+    paymentMethod: 'cod',
+    'cod.rider': req.user.id,
+    orderStatus: { $ne: 'cancelled' }
+  };
+
+  if (includeCollected !== 'true') {
+    query['cod.collectionStatus'] = { $in: ['pending', 'short'] };
+  }
+
+  const orders = await Order.find(query)
+    .select('orderNumber customer items total orderStatus cod createdAt')
+    .sort('cod.assignedAt');
+
+  res.status(200).json({
+    success: true,
+    count: orders.length,
+    data: { orders }
+  });
+});
+
+/**
+ * @desc    Record cash collected on delivery
+ *          Full payment marks the order paid and delivered;
+ *          a short collection is kept for follow-up
+ * @route   POST /api/orders/:id/cod/collect
+ * @access  Rider/Admin
+ */
+exports.recordCollection = asyncHandler(async (req, res, next) => {
+  const { amount, note } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new ErrorResponse('Order not found', 404));
+  }
+
+  // Riders can only collect for their own deliveries
+  if (!hasPermission(req.user, 'cod:manage') && order.cod?.rider?.toString() !== req.user.id) {
+    return next(new ErrorResponse('This order is not assigned to you', 403));
+  }
+
+  await order.recordCodCollection({
+    amount: Number(amount),
+    collectedBy: req.user.id,
+    note
+  });
+
+  const isShort = order.cod.collectionStatus === 'short';
+
+  res.status(200).json({
+    success: true,
+    message: isShort
+      ? `Collection recorded - Ksh ${Math.abs(order.cod.variance)} still outstanding`
+      : 'Cash collected and order marked as paid',
+    data: { order }
+  });
+});
+
+/**
+ * @desc    Get COD orders by stage (Admin)
+ * @route   GET /api/admin/cod/orders
+ * @access  Admin
+ */
+exports.getCodOrders = asyncHandler(async (req, res, next) => {
+  const { stage, rider, page = 1, limit = 20 } = req.query;
+
+  const query = {
+    paymentMethod: 'cod',
+    orderStatus: { $ne: 'cancelled' },
+    ...(STAGE_FILTERS[stage] || {})
+  };
+  if (rider) query['cod.rider'] = rider;
+
+  const totalDocuments = await Order.countDocuments(query);
+  const pagination = getPaginationData(page, limit, totalDocuments);
+
+  const orders = await Order.find(query)
+    .populate('cod.rider', 'fullName phone')
+    .select('orderNumber customer total orderStatus paymentStatus cod createdAt')
+    .sort('-createdAt')
+    .skip(pagination.skip)
+    .limit(pagination.itemsPerPage);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      orders,
+      pagination
+    }
+  });
+});
+
+/**
+ * @desc    Assign a rider to deliver a COD order (Admin)
+ * @route   PUT /api/admin/orders/:id/cod/rider
+ * @access  Admin
+ */
+exports.assignRider = asyncHandler(async (req, res, next) => {
+  const { riderId } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new ErrorResponse('Order not found', 404));
+  }
+
+  if (order.paymentMethod !== 'cod') {
+    return next(new ErrorResponse('Only cash on delivery orders are assigned to riders', 400));
+  }
+
+  if (['delivered', 'cancelled'].includes(order.orderStatus)) {
+    return next(new ErrorResponse(`Order is already ${order.orderStatus}`, 400));
+  }
+
+  const rider = await User.findById(riderId).select('fullName phone role');
+
+  if (!rider || rider.role !== 'rider') {
+    return next(new ErrorResponse('Rider not found', 404));
+  }
+
+  order.cod.rider = rider._id;
+  order.cod.assignedAt = new Date();
+  await order.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Order assigned to ${rider.fullName}`,
+    data: { order }
+  });
+});
+
+/**
+ * @desc    Daily cash collection report per rider (Admin)
+ * @route   GET /api/admin/cod/report?date=YYYY-MM-DD
+ * @access  Admin
+ */
+exports.getCollectionReport = asyncHandler(async (req, res, next) => {
+  const { start, end } = getDayRange(req.query.date ? new Date(req.query.date) : new Date());
+
+  const riders = await Order.aggregate([
+    {
+      $match: {
+        paymentMethod: 'cod',
+        'cod.collectedAt': { $gte: start, $lt: end }
+      }
+    },
+    {
+      $group: {
+        _id: { $ifNull: ['$cod.rider', '$cod.collectedBy'] },
+        orders: { $sum: 1 },
+        amountDue: { $sum: '$total' },
+        amountCollected: { $sum: '$cod.amountCollected' },
+        variance: { $sum: '$cod.variance' },
+        shortOrders: {
+          $push: {
+            $cond: [
+              { $eq: ['$cod.collectionStatus', 'short'] },
+              { orderNumber: '$orderNumber', variance: '$cod.variance' },
+              '$$REMOVE'
+            ]
+          }
+        }
+      }
+    },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'rider'
+      }
+    },
+    { $unwind: { path: '$rider', preserveNullAndEmptyArrays: true } },
+    { $sort: { amountCollected: -1 } }
+  ]);
+
+  // Deliveries still out with each rider at the end of the report
+  const outstanding = await Order.aggregate([
+    {
+      $match: {
+        paymentMethod: 'cod',
+        orderStatus: 'shipped',
+        'cod.rider': { $exists: true },
+        'cod.collectionStatus': { $in: ['pending', 'short'] }
+      }
+    },
+    { $group: { _id: '$cod.rider', orders: { $sum: 1 }, amountDue: { $sum: '$total' } } }
+  ]);
+
+  const outstandingByRider = new Map(outstanding.map(entry => [entry._id.toString(), entry]));
+
+  const report = riders.map(entry => ({
+    rider: entry.rider
+      ? { _id: entry.rider._id, fullName: entry.rider.fullName, phone: entry.rider.phone }
+      : { _id: entry._id },
+    orders: entry.orders,
+    amountDue: entry.amountDue,
+    amountCollected: entry.amountCollected,
+    variance: entry.variance,
+    shortOrders: entry.shortOrders,
+    outstanding: outstandingByRider.get(String(entry._id)) || { orders: 0, amountDue: 0 }
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      date: start.toISOString().slice(0, 10),
+      totals: {
+        orders: report.reduce((sum, entry) => sum + entry.orders, 0),
+        amountDue: report.reduce((sum, entry) => sum + entry.amountDue, 0),
+        amountCollected: report.reduce((sum, entry) => sum + entry.amountCollected, 0)
+      },
+      riders: report
+    }
+  });
+});
@@ -4,12 +4,22 @@
  * ============================================
  */
 
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Cart = require('../models/Cart');
 const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+const { hasPermission } = require('../middleware/adminMiddleware');
 const { sendOrderConfirmationEmail } = require('../utils/emailService');
 const { calculateDeliveryFee } = require('../utils/helpers');
+const mpesaConfig = require('../config/mpesa');
+const codConfig = require('../config/cod');
+const layawayConfig = require('../config/layaway');
+const authConfig = require('../config/auth');
+const { isOnlinePaymentMethod } = require('../services/providers');
+
+// Retries when two checkouts generate the same order number at once
+const MAX_ORDER_ATTEMPTS = 3;
 
 /**
  * @desc    Create new order
@@ -21,61 +31,134 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
     customer,
     items,
     paymentMethod = 'mpesa',
+    paymentPlan = 'full',
+    dueDate,
     notes
   } = req.body;
 
+  // Optionally require a verified email before checkout
+  if (authConfig.emailVerification.requiredForCheckout && !req.user.isVerified) {
+    return next(new ErrorResponse('Please verify your email address before placing an order', 403));
+  }
+
   // Validate items
   if (!items || items.length === 0) {
     return next(new ErrorResponse('Order must contain at least one item', 400));
   }
 
-  // Validate and prepare order items
-  const orderItems = [];
-  let subtotal = 0;
-
-  for (const item of items) {
-    const product = await Product.findById(item.product);
+  // Instalment orders must clear their balance within the layaway term
+  const latestDueDate = new Date(Date.now() + layawayConfig.maxTermDays * 24 * 60 * 60 * 1000);
+  const installmentsDueDate = dueDate ? new Date(dueDate) : latestDueDate;
 
-    if (!product) {
-      return next(new ErrorResponse(`Product ${item.product} not found`, 404));
+  if (paymentPlan === 'installments') {
+    if (!layawayConfig.paymentMethods.includes(paymentMethod)) {
+      return next(new ErrorResponse(`Instalments are only available for ${layawayConfig.paymentMethods.join(', ')} payments`, 400));
     }
-
-    if (product.stock < item.quantity) {
-      return next(new ErrorResponse(`Insufficient stock for ${product.name}`, 400));
+    if (installmentsDueDate <= new Date() || installmentsDueDate > latestDueDate) {
+      return next(new ErrorResponse(`Due date must be within ${layawayConfig.maxTermDays} days`, 400));
     }
-
-    const price = product.salePrice || product.price;
-    const itemSubtotal = price * item.quantity;
-
-    orderItems.push({
-      product: product._id,
-      name: product.name,
-      price: price,
-      quantity: item.quantity,
-      image: product.images[0]?.url || ''
-    });
-
-    subtotal += itemSubtotal;
-
-    // Update product stock
-    await product.updateStock(item.quantity);
   }
 
   // Calculate delivery fee
   const deliveryFee = calculateDeliveryFee(customer.city);
-  const total = subtotal + deliveryFee;
 
-  // Create order
-  const order = await Order.create({
-    user: req.user.id,
-    customer,
-    items: orderItems,
-    subtotal,
-    deliveryFee,
-    total,
-    paymentMethod,
-    notes
-  });
+  // Reserve stock and create the order in one transaction so a single
+  // failed line rolls back every stock change made before it
+  const session = await mongoose.startSession();
+  let order;
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await session.withTransaction(async () => {
+          const orderItems = [];
+          let subtotal = 0;
+
+          for (const item of items) {
+            // Conditional decrement: only succeeds while stock >= quantity
+            const product = await Product.reserveStock(item, session);
+
+            if (!product) {
+              const existing = await Product.findById(item.product).select('name variants._id').session(session);
+
+              if (!existing) {
+                throw new ErrorResponse(`Product ${item.product} not found`, 404);
+              }
+              if (item.variant && !existing.variants.id(item.variant)) {
+                throw new ErrorResponse(`Variant ${item.variant} of ${existing.name} not found`, 404);
+              }
+              if (!item.variant && existing.variants.length > 0) {
+                throw new ErrorResponse(`Please choose an option for ${existing.name}`, 400);
+              }
+              throw new ErrorResponse(`Insufficient stock for ${existing.name}`, 400);
+            }
+
+            const variant = item.variant && product.variants.id(item.variant);
+            const price = product.getUnitPrice(item.variant);
+
+            orderItems.push({
+              product: product._id,
+              variant: variant?._id,
+              sku: variant?.sku,
+              options: variant?.options,
+              name: variant ? `${product.name} (${variant.label})` : product.name,
+              price: price,
+              quantity: item.quantity,
+              image: variant?.images[0]?.url || product.images[0]?.url || ''
+            });
+
+            subtotal += price * item.quantity;
+          }
+
+          // Riders only carry cash for eligible regions and order sizes
+          if (paymentMethod === 'cod') {
+            const eligibility = codConfig.checkEligibility(customer.city, subtotal + deliveryFee);
+            if (!eligibility.eligible) {
+              throw new ErrorResponse(eligibility.reason, 400);
+            }
+          }
+
+          const total = subtotal + deliveryFee;
+
+          if (paymentPlan === 'installments' && total < layawayConfig.minOrderTotal) {
+            throw new ErrorResponse(
+              `Instalments are available for orders of Ksh ${layawayConfig.minOrderTotal.toLocaleString()} or more`,
+              400
+            );
+          }
+
+          [order] = await Order.create([{
+            user: req.user.id,
+            customer,
+            items: orderItems,
+            subtotal,
+            deliveryFee,
+            total,
+            paymentMethod,
+            paymentPlan,
+            installments: paymentPlan === 'installments'
+              ? {
+                  minimumDeposit: layawayConfig.getMinimumDeposit(total),
+                  dueDate: installmentsDueDate
+                }
+              : undefined,
+            notes,
+            stockHoldExpiresAt: isOnlinePaymentMethod(paymentMethod)
+              ? new Date(Date.now() + mpesaConfig.stockHoldMinutes * 60 * 1000)
+              : undefined,
+            cod: paymentMethod === 'cod' ? { collectionStatus: 'pending' } : undefined
+          }], { session });
+        });
+        break;
+      } catch (error) {
+        // Concurrent checkouts can draw the same daily order number; retry with a fresh count
+        const isOrderNumberClash = error.code === 11000 && error.keyPattern?.orderNumber;
+        if (!isOrderNumberClash || attempt >= MAX_ORDER_ATTEMPTS) throw error;
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
 
   // Clear user's cart
   await Cart.findOneAndUpdate(
@@ -83,8 +166,9 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
     { items: [] }
   );
 
-  // Send confirmation email
-  await sendOrderConfirmationEmail(order);
+  // Send confirmation email - the order is placed either way
+  sendOrderConfirmationEmail(order)
+    .catch(error => console.error(`Failed to send confirmation for order ${order.orderNumber}:`, error.message));
 
   res.status(201).json({
     success: true,
@@ -121,8 +205,8 @@ exports.getOrderById = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Order not found', 404));
   }
 
-  // Check if user owns the order or is admin
-  if (order.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Check if user owns the order or is staff
+  if (order.user._id.toString() !== req.user.id && !hasPermission(req.user, 'orders:read')) {
     return next(new ErrorResponse('Not authorized to access this order', 403));
   }
 
@@ -167,6 +251,7 @@ exports.getAllOrders = asyncHandler(async (req, res, next) => {
 
 /**
  * @desc    Update order status (Admin)
+ *          Illegal transitions are rejected with 409
  * @route   PUT /api/orders/:id/status
  * @access  Admin
  */
@@ -192,6 +277,53 @@ exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Approve the deposit at which an instalment order is processed (Admin)
+ *          The order is confirmed straight away if enough has been paid
+ * @route   PUT /api/orders/:id/installments/release
+ * @access  Admin
+ */
+exports.approveDepositRelease = asyncHandler(async (req, res, next) => {
+  const releaseThreshold = Math.round(Number(req.body.releaseThreshold));
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new ErrorResponse('Order not found', 404));
+  }
+
+  if (order.paymentPlan !== 'installments') {
+    return next(new ErrorResponse('Only instalment orders have a deposit threshold', 400));
+  }
+
+  if (order.orderStatus !== 'pending') {
+    return next(new ErrorResponse(`Order is already ${order.orderStatus}`, 400));
+  }
+
+  const { minimumDeposit } = order.installments;
+  if (releaseThreshold < minimumDeposit || releaseThreshold > order.total) {
+    return next(new ErrorResponse(`Threshold must be between Ksh ${minimumDeposit} and Ksh ${order.total}`, 400));
+  }
+
+  order.installments.releaseThreshold = releaseThreshold;
+  order.installments.releaseApprovedBy = req.user.id;
+  order.installments.releaseApprovedAt = new Date();
+
+  if (order.isReleasable()) {
+    await order.updateStatus('confirmed', `Released for processing at Ksh ${order.amountPaid} paid`, req.user.id);
+  } else {
+    await order.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: order.orderStatus === 'confirmed'
+      ? 'Deposit threshold approved and order released for processing'
+      : `Deposit threshold approved - order is released once Ksh ${releaseThreshold} is paid`,
+    data: { order }
+  });
+});
+
 /**
  * @desc    Cancel order
  * @route   DELETE /api/orders/:id
@@ -207,26 +339,17 @@ exports.cancelOrder = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user owns the order
-  if (order.user.toString() !== req.user.id && req.user.role !== 'admin') {
+  if (order.user.toString() !== req.user.id && !hasPermission(req.user, 'orders:update-status')) {
     return next(new ErrorResponse('Not authorized to cancel this order', 403));
   }
 
-  try {
-    await order.cancelOrder(reason || 'Cancelled by customer', req.user.id);
-
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: item.quantity }
-      });
-    }
+  // Also restores product stock. Rule violations are ErrorResponses with their
+  // own status (e.g. 409 for an illegal transition); anything else is a 500.
+  await order.cancelOrder(reason || 'Cancelled by customer', req.user.id);
 
-    res.status(200).json({
-      success: true,
-      message: 'Order cancelled successfully',
-      data: { order }
-    });
-  } catch (error) {
-    return next(new ErrorResponse(error.message, 400));
-  }
+  res.status(200).json({
+    success: true,
+    message: 'Order cancelled successfully',
+    data: { order }
+  });
 });
\ No newline at end of file
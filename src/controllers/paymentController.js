@@ -2,16 +2,96 @@
  * ============================================
  * PAYMENT CONTROLLER
  * ============================================
- * M-Pesa STK Push integration
+ * Checkout through the payment providers (M-Pesa STK
+ * Push, hosted card checkout) and their callbacks
  */
 
 const Order = require('../models/Order');
+const Payment = require('../models/Payment');
 const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+const { hasPermission } = require('../middleware/adminMiddleware');
+const { getPaginationData, escapeRegex } = require('../utils/helpers');
 const {
-  initiateSTKPush,
   querySTKPushStatus,
-  processCallback
+  processResultCallback,
+  formatPhoneNumber
 } = require('../services/mpesaService');
+const {
+  applyPayoutResult,
+  applyRefundWebhook,
+  applyPayoutTimeout,
+  applyPayoutStatusResult
+} = require('../services/refundService');
+const {
+  initiateOrderPayment,
+  applyPaymentResult,
+  processWebhookResult,
+  backfillReceipt,
+  buildReconciliationReport
+} = require('../services/paymentService');
+const { getProvider } = require('../services/providers');
+
+/**
+ * Load an order the current user can pay for
+ * @returns {Promise<object>} Order
+ */
+const getPayableOrder = async (orderId, userId) => {
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new ErrorResponse('Order not found', 404);
+  }
+
+  // Check if user owns the order
+  if (order.user.toString() !== userId) {
+    throw new ErrorResponse('Not authorized', 403);
+  }
+
+  // Check if order is already paid
+  if (order.paymentStatus === 'paid') {
+    throw new ErrorResponse('Order is already paid', 400);
+  }
+
+  // Expired or cancelled orders have released their stock
+  if (order.orderStatus === 'cancelled') {
+    throw new ErrorResponse('Order has been cancelled. Please place a new order', 400);
+  }
+
+  return order;
+};
+
+/**
+ * @desc    Start paying for an order with the provider for its payment method
+ *          (STK push for M-Pesa, hosted checkout link for card)
+ * @route   POST /api/payment/initiate
+ * @access  Private
+ */
+exports.initiateCheckout = asyncHandler(async (req, res, next) => {
+  const { orderId, phone, amount } = req.body;
+
+  const order = await getPayableOrder(orderId, req.user.id);
+
+  // Only instalment orders choose how much to pay; others pay the balance
+  const { payment, result } = await initiateOrderPayment(order, {
+    userId: req.user.id,
+    phone,
+    amount: order.paymentPlan === 'installments' ? amount : undefined
+  });
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    data: {
+      paymentId: payment._id,
+      provider: payment.provider,
+      amount: payment.amount,
+      reference: payment.reference,
+      checkoutUrl: payment.checkoutUrl,
+      checkoutRequestId: payment.checkoutRequestId,
+      merchantRequestId: payment.merchantRequestId
+    }
+  });
+});
 
 /**
  * @desc    Initiate M-Pesa STK Push
@@ -26,97 +106,75 @@ exports.initiatePayment = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Phone, amount, and order ID are required', 400));
   }
 
-  // Get order
-  const order = await Order.findById(orderId);
+  const order = await getPayableOrder(orderId, req.user.id);
 
-  if (!order) {
-    return next(new ErrorResponse('Order not found', 404));
+  if (order.paymentMethod !== 'mpesa') {
+    return next(new ErrorResponse(`This order is paid by ${order.paymentMethod}. Use /api/payment/initiate`, 400));
   }
 
-  // Check if user owns the order
-  if (order.user.toString() !== req.user.id) {
-    return next(new ErrorResponse('Not authorized', 403));
-  }
-
-  // Check if order is already paid
-  if (order.paymentStatus === 'paid') {
-    return next(new ErrorResponse('Order is already paid', 400));
-  }
-
-  // Validate amount matches order total
-  if (Math.abs(amount - order.total) > 1) {
+  // Validate amount matches order total (instalments are checked against the plan)
+  if (order.paymentPlan !== 'installments' && Math.abs(amount - order.total) > 1) {
     return next(new ErrorResponse('Payment amount does not match order total', 400));
   }
 
-  try {
-    // Initiate STK Push
-    const result = await initiateSTKPush(
-      phone,
-      amount,
-      order.orderNumber,
-      `Payment for order ${order.orderNumber}`
-    );
-
-    // Update order with payment details
-    order.paymentDetails = {
-      ...order.paymentDetails,
-      phoneNumber: phone,
-      transactionId: result.checkoutRequestId
-    };
-    await order.save();
-
-    res.status(200).json({
-      success: true,
-      message: result.message,
-      data: {
-        checkoutRequestId: result.checkoutRequestId,
-        merchantRequestId: result.merchantRequestId
-      }
-    });
+  const { payment, result } = await initiateOrderPayment(order, {
+    userId: req.user.id,
+    phone,
+    amount: order.paymentPlan === 'installments' ? amount : undefined
+  });
 
-  } catch (error) {
-    return next(error);
-  }
+  res.status(200).json({
+    success: true,
+    message: result.message,
+    data: {
+      checkoutRequestId: payment.checkoutRequestId,
+      merchantRequestId: payment.merchantRequestId,
+      reference: payment.reference,
+      checkoutUrl: payment.checkoutUrl
+    }
+  });
 });
 
 /**
  * @desc    M-Pesa payment callback
+ *          Idempotent: each CheckoutRequestID and receipt is applied once.
+ *          Amount/phone mismatches are flagged instead of confirming the order.
  * @route   POST /api/payment/mpesa/callback
  * @access  Public (called by Safaricom)
  */
 exports.mpesaCallback = asyncHandler(async (req, res, next) => {
   try {
     // Process callback data
-    const result = processCallback(req.body);
+    const result = getProvider('mpesa').handleWebhook(req);
 
-    // Find order by transaction ID
-    const order = await Order.findOne({
-      'paymentDetails.transactionId': result.checkoutRequestId
-    });
+    // Claim the ledger entry - duplicates and unknown requests are ignored
+    const payment = await Payment.claimForCallback(result.checkoutRequestId);
 
-    if (!order) {
-      console.error('Order not found for callback:', result.checkoutRequestId);
+    if (!payment) {
+      // A status query may have confirmed it first - keep the receipt it lacked
+      const backfilled = await backfillReceipt(result, req.body);
+      if (!backfilled) {
+        console.warn('Ignoring unknown or duplicate callback:', result.checkoutRequestId);
+      }
       return res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
     }
 
+    // The callback URL is public - check a reported success with Daraja
+    // before crediting it. Unconfirmed attempts are left to the reconciler.
     if (result.success) {
-      // Payment successful
-      await order.markAsPaid({
-        mpesaReceiptNumber: result.mpesaReceiptNumber,
-        transactionId: result.checkoutRequestId,
-        phoneNumber: result.phoneNumber
-      });
-
-      console.log(`✅ Payment successful for order ${order.orderNumber}`);
-    } else {
-      // Payment failed
-      order.paymentStatus = 'failed';
-      order.paymentDetails.failureReason = result.resultDesc;
-      await order.save();
+      const confirmation = await querySTKPushStatus(result.checkoutRequestId)
+        .catch(error => ({ status: 'processing', resultDesc: error.message }));
 
-      console.log(`❌ Payment failed for order ${order.orderNumber}: ${result.resultDesc}`);
+      if (confirmation.status !== 'success') {
+        console.warn(`⚠️  Callback success not confirmed by M-Pesa for ${result.checkoutRequestId}: ${confirmation.resultDesc}`);
+        await Payment.releaseClaim(payment._id);
+        return res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+      }
     }
 
+    payment.rawCallback = req.body;
+    await applyPaymentResult(payment, result, 'callback');
+
     // Always return success to Safaricom
     res.status(200).json({
       ResultCode: 0,
@@ -134,6 +192,262 @@ exports.mpesaCallback = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * @desc    Payment provider webhook (card gateway, fake provider).
+ *          M-Pesa posts to /mpesa/callback instead.
+ * @route   POST /api/payment/webhooks/:provider
+ * @access  Public (signed by the provider)
+ */
+exports.providerWebhook = asyncHandler(async (req, res, next) => {
+  if (req.params.provider === 'mpesa') {
+    return next(new ErrorResponse('M-Pesa results are received on /api/payment/mpesa/callback', 404));
+  }
+
+  const provider = getProvider(req.params.provider);
+
+  // Signature failures are rejected so the gateway's retries show up in its dashboard
+  const result = provider.handleWebhook(req);
+
+  if (result?.type === 'refund') {
+    const refund = await applyRefundWebhook(result, req.body);
+    if (refund) {
+      console.log(`${refund.status === 'completed' ? '✅' : '❌'} Card refund ${refund.status} for order ${refund.orderNumber}`);
+    }
+  } else if (result) {
+    await processWebhookResult(provider.name, result, req.body);
+  }
+
+  res.status(200).json({ received: true });
+});
+
+/**
+ * @desc    Fake hosted checkout page (PAYMENT_PROVIDER_MODE=fake only)
+ * @route   GET /api/payment/fake/checkout/:reference?outcome=success|failed
+ * @access  Public
+ */
+exports.fakeCheckout = asyncHandler(async (req, res, next) => {
+  const provider = getProvider('fake');
+
+  const payment = await Payment.findOne({ provider: 'fake', reference: req.params.reference });
+
+  if (!payment) {
+    return next(new ErrorResponse('Checkout not found', 404));
+  }
+
+  const result = provider.completeCheckout(payment, req.query.outcome);
+  await processWebhookResult(provider.name, result, { fake: true, outcome: req.query.outcome || 'success' });
+
+  const updated = await Payment.findById(payment._id).select('status reference order');
+
+  res.status(200).json({
+    success: true,
+    message: `Fake payment ${updated.status}`,
+    data: { payment: updated }
+  });
+});
+
+/**
+ * @desc    Check the status of a payment attempt with its provider
+ * @route   GET /api/payment/:id/status
+ * @access  Private
+ */
+exports.getPaymentStatus = asyncHandler(async (req, res, next) => {
+  const payment = await Payment.findById(req.params.id);
+
+  if (!payment) {
+    return next(new ErrorResponse('Payment not found', 404));
+  }
+
+  if (payment.user.toString() !== req.user.id) {
+    return next(new ErrorResponse('Not authorized', 403));
+  }
+
+  // Already settled by its callback, webhook or the reconciliation job
+  if (payment.processedAt || !payment.reference) {
+    return res.status(200).json({
+      success: true,
+      data: {
+        status: payment.status,
+        resultDesc: payment.resultDesc || payment.errorMessage
+      }
+    });
+  }
+
+  const result = await getProvider(payment.provider).query(payment);
+
+  // Apply a final answer to the order unless a callback beat us to it
+  if (result.status !== 'processing') {
+    const claimed = await Payment.claimForQuery(payment._id);
+
+    if (claimed) {
+      await applyPaymentResult(claimed, {
+        ...result,
+        success: result.status === 'success'
+      }, 'query');
+    }
+  }
+
+  const updated = await Payment.findById(payment._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      status: updated.status,
+      resultDesc: updated.resultDesc || result.resultDesc
+    }
+  });
+});
+
+/**
+ * @desc    Resolve a payment flagged for review (Admin)
+ *          Accepting confirms the order; rejecting leaves it unpaid
+ * @route   PUT /api/admin/payments/:id/review
+ * @access  Admin
+ */
+exports.reviewFlaggedPayment = asyncHandler(async (req, res, next) => {
+  const { action, note } = req.body;
+
+  const payment = await Payment.findById(req.params.id);
+
+  if (!payment) {
+    return next(new ErrorResponse('Payment not found', 404));
+  }
+
+  if (payment.status !== 'flagged') {
+    return next(new ErrorResponse('Only flagged payments can be reviewed', 400));
+  }
+
+  const order = await Order.findById(payment.order);
+
+  if (!order) {
+    return next(new ErrorResponse('Order not found', 404));
+  }
+
+  if (action === 'accept') {
+    if (order.paymentStatus === 'paid') {
+      return next(new ErrorResponse('Order is already paid', 400));
+    }
+    if (order.orderStatus === 'cancelled') {
+      return next(new ErrorResponse('Order was cancelled and its stock released - refund the payment instead', 400));
+    }
+    if (!payment.getReceipt()) {
+      return next(new ErrorResponse('Payment has no usable receipt number', 400));
+    }
+
+    await order.applyPayment(payment._id, payment.paidAmount ?? payment.amount, {
+      mpesaReceiptNumber: payment.mpesaReceiptNumber,
+      providerTransactionId: payment.providerTransactionId,
+      transactionId: payment.reference || payment.checkoutRequestId,
+      phoneNumber: payment.paidPhoneNumber
+    });
+  }
+
+  payment.status = action === 'accept' ? 'completed' : 'failed';
+  payment.confirmedVia = 'admin';
+  payment.reviewedBy = req.user.id;
+  payment.reviewedAt = new Date();
+  payment.reviewNote = note;
+  await payment.save();
+
+  res.status(200).json({
+    success: true,
+    message: action === 'accept' ? 'Payment accepted and applied to the order' : 'Payment rejected',
+    data: { payment }
+  });
+});
+
+/**
+ * @desc    M-Pesa B2C / reversal result callback (refund payouts)
+ * @route   POST /api/payment/mpesa/b2c/result
+ * @route   POST /api/payment/mpesa/reversal/result
+ * @access  Public (called by Safaricom)
+ */
+exports.mpesaPayoutResult = asyncHandler(async (req, res, next) => {
+  try {
+    const result = processResultCallback(req.body);
+    const refund = await applyPayoutResult(result, req.body);
+
+    if (!refund) {
+      console.error('Refund not found for result:', result.conversationId);
+    } else if (refund.status === 'completed') {
+      console.log(`✅ Refund paid out for order ${refund.orderNumber}: ${refund.transactionId}`);
+    } else {
+      console.log(`❌ Refund payout failed for order ${refund.orderNumber}: ${refund.resultDesc}`);
+    }
+  } catch (error) {
+    console.error('M-Pesa Payout Result Error:', error);
+  }
+
+  // Always return success to Safaricom
+  res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: 'Accepted'
+  });
+});
+
+/**
+ * @desc    M-Pesa B2C / reversal queue timeout callback
+ * @route   POST /api/payment/mpesa/b2c/timeout
+ * @route   POST /api/payment/mpesa/reversal/timeout
+ * @access  Public (called by Safaricom)
+ */
+exports.mpesaPayoutTimeout = asyncHandler(async (req, res, next) => {
+  try {
+    const refund = await applyPayoutTimeout(req.body);
+
+    if (refund) {
+      console.warn(`⚠️  Refund payout timed out for order ${refund.orderNumber}`);
+    }
+  } catch (error) {
+    console.error('M-Pesa Payout Timeout Error:', error);
+  }
+
+  res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: 'Accepted'
+  });
+});
+
+/**
+ * @desc    M-Pesa transaction status result for a timed out refund payout
+ * @route   POST /api/payment/mpesa/transaction-status/result
+ * @access  Public (called by Safaricom)
+ */
+exports.mpesaPayoutStatusResult = asyncHandler(async (req, res, next) => {
+  try {
+    const result = processResultCallback(req.body);
+    const refund = await applyPayoutStatusResult(result, req.body);
+
+    if (!refund) {
+      console.error('Refund not found for status result:', result.conversationId);
+    } else {
+      console.log(`🔎 Timed out refund for order ${refund.orderNumber} is ${refund.status}: ${refund.resultDesc}`);
+    }
+  } catch (error) {
+    console.error('M-Pesa Transaction Status Result Error:', error);
+  }
+
+  res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: 'Accepted'
+  });
+});
+
+/**
+ * @desc    M-Pesa transaction status queue timeout (the query can be sent again)
+ * @route   POST /api/payment/mpesa/transaction-status/timeout
+ * @access  Public (called by Safaricom)
+ */
+exports.mpesaPayoutStatusTimeout = asyncHandler(async (req, res, next) => {
+  const body = req.body.Result || req.body;
+  console.warn(`⚠️  Transaction status query timed out: ${body.OriginatorConversationID || body.ConversationID}`);
+
+  res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: 'Accepted'
+  });
+});
+
 /**
  * @desc    Check payment status
  * @route   GET /api/payment/mpesa/status/:checkoutRequestId
@@ -146,10 +460,9 @@ exports.checkPaymentStatus = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Checkout Request ID is required', 400));
   }
 
-  // Find order
-  const order = await Order.findOne({
-    'paymentDetails.transactionId': checkoutRequestId
-  });
+  // Find the attempt and its order (older attempts are still queryable)
+  const payment = await Payment.findOne({ checkoutRequestId });
+  const order = payment && await Order.findById(payment.order);
 
   if (!order) {
     return next(new ErrorResponse('Order not found', 404));
@@ -172,20 +485,153 @@ exports.checkPaymentStatus = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Query M-Pesa API for status
-  try {
-    const result = await querySTKPushStatus(checkoutRequestId);
-
-    res.status(200).json({
+  // Already settled by its callback or the reconciliation job
+  if (payment.processedAt) {
+    return res.status(200).json({
       success: true,
       data: {
-        status: result.status,
-        resultCode: result.resultCode,
-        resultDesc: result.resultDesc
+        status: payment.status === 'completed' ? 'success' : payment.status,
+        resultCode: payment.resultCode,
+        resultDesc: payment.resultDesc
       }
     });
+  }
 
-  } catch (error) {
-    return next(error);
+  // Query M-Pesa API for status
+  const result = await querySTKPushStatus(checkoutRequestId);
+
+  // Apply a final answer to the order unless the callback beat us to it
+  if (result.status !== 'processing') {
+    const claimed = await Payment.claimForQuery(payment._id);
+
+    if (claimed) {
+      await applyPaymentResult(claimed, {
+        success: result.status === 'success',
+        resultCode: result.resultCode,
+        resultDesc: result.resultDesc,
+        checkoutRequestId
+      }, 'query');
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      status: result.status,
+      resultCode: result.resultCode,
+      resultDesc: result.resultDesc
+    }
+  });
+});
+
+/**
+ * @desc    Get payment attempts for an order
+ * @route   GET /api/orders/:id/payments
+ * @access  Private
+ */
+exports.getOrderPayments = asyncHandler(async (req, res, next) => {
+  const order = await Order.findById(req.params.id).select('user');
+
+  if (!order) {
+    return next(new ErrorResponse('Order not found', 404));
+  }
+
+  const isAdmin = hasPermission(req.user, 'payments:read');
+
+  if (order.user.toString() !== req.user.id && !isAdmin) {
+    return next(new ErrorResponse('Not authorized to access this order', 403));
   }
-});
\ No newline at end of file
+
+  // Raw Safaricom payloads are for admins only
+  const payments = await Payment.find({ order: order._id })
+    .select(isAdmin ? '' : '-rawCallback -flagReasons -reviewNote -reviewedBy')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    data: { payments }
+  });
+});
+
+/**
+ * @desc    Get all payment attempts with filters (Admin)
+ * @route   GET /api/admin/payments
+ * @access  Admin
+ */
+exports.getAllPayments = asyncHandler(async (req, res, next) => {
+  const {
+    status,
+    provider,
+    order,
+    receipt,
+    phone,
+    checkoutRequestId,
+    startDate,
+    endDate,
+    page = 1,
+    limit = 20
+  } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (provider) query.provider = provider;
+  if (order) query.order = order;
+  if (checkoutRequestId) query.checkoutRequestId = checkoutRequestId;
+
+  // Receipt numbers are matched from the start, case-insensitively
+  if (receipt) {
+    query.mpesaReceiptNumber = new RegExp(`^${escapeRegex(receipt)}`, 'i');
+  }
+
+  if (phone) {
+    const formattedPhone = formatPhoneNumber(phone);
+    query.$or = [
+      { phoneNumber: formattedPhone },
+      { paidPhoneNumber: formattedPhone }
+    ];
+  }
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  const totalDocuments = await Payment.countDocuments(query);
+  const pagination = getPaginationData(page, limit, totalDocuments);
+
+  const payments = await Payment.find(query)
+    .populate('order', 'orderNumber total paymentStatus orderStatus')
+    .populate('user', 'fullName email phone')
+    .sort('-createdAt')
+    .skip(pagination.skip)
+    .limit(pagination.itemsPerPage);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      payments,
+      pagination
+    }
+  });
+});
+
+/**
+ * @desc    Daily M-Pesa reconciliation report (Admin)
+ *          Compares orders paid on the day against ledger receipts
+ * @route   GET /api/admin/payments/reconciliation
+ * @access  Admin
+ */
+exports.getReconciliationReport = asyncHandler(async (req, res, next) => {
+  // Defaults to yesterday, the last complete day
+  const date = req.query.date
+    ? new Date(req.query.date)
+    : new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  const report = await buildReconciliationReport(date);
+
+  res.status(200).json({
+    success: true,
+    data: { report }
+  });
+});
@@ -6,12 +6,37 @@
  */
 
 const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Review = require('../models/Review');
 const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
 const { uploadImage, deleteImage } = require('../services/cloudinaryService');
 const { getPaginationData } = require('../utils/helpers');
+const { buildProductFilters, getProductFacets } = require('../services/productFilterService');
+const productSearch = require('../services/productSearchService');
+const searchConfig = require('../config/search');
+
+/**
+ * Swap the category (ID or slug) sent by an admin for its ID.
+ * The slug and path are derived by the model and can't be set directly.
+ */
+const resolveCategory = async (body) => {
+  delete body.categorySlug;
+  delete body.categoryPath;
+
+  if (!body.category) return;
+
+  const category = await Category.findByIdOrSlug(body.category);
+  if (!category) {
+    throw new ErrorResponse(`Category ${body.category} not found`, 400);
+  }
+  body.category = category._id;
+};
 
 /**
  * @desc    Get all products with filtering, sorting, pagination
+ *          Faceted filters take comma-separated values; the response
+ *          includes counts per filter value unless ?facets=false.
+ *          ?search results are ranked by relevance (sort=relevance)
  * @route   GET /api/products
  * @access  Public
  */
@@ -19,54 +44,22 @@ exports.getAllProducts = asyncHandler(async (req, res, next) => {
   const {
     page = 1,
     limit = 12,
-    category,
-    minPrice,
-    maxPrice,
-    material,
-    color,
-    tags,
     sort = '-createdAt',
-    search,
-    featured,
-    bestSeller,
-    newArrival
+    facets: includeFacets = 'true'
   } = req.query;
 
-  // Build query
-  const query = { stock: { $gt: 0 } }; // Only in-stock items
-
-  // Category filter
-  if (category) query.category = category;
-
-  // Price range filter
-  if (minPrice || maxPrice) {
-    query.price = {};
-    if (minPrice) query.price.$gte = Number(minPrice);
-    if (maxPrice) query.price.$lte = Number(maxPrice);
-  }
-
-  // Specifications filters
-  if (material) query['specifications.material'] = new RegExp(material, 'i');
-  if (color) query['specifications.color'] = new RegExp(color, 'i');
-
-  // Tags filter (array)
-  if (tags) {
-    const tagsArray = tags.split(',');
-    query.tags = { $in: tagsArray };
-  }
-
-  // Feature flags
-  if (featured === 'true') query.featured = true;
-  if (bestSeller === 'true') query.bestSeller = true;
-  if (newArrival === 'true') query.newArrival = true;
-
-  // Text search
-  if (search) {
-    query.$text = { $search: search };
-  }
+  // Build query (in-stock items only unless inStock says otherwise)
+  const { skip, itemsPerPage } = getPaginationData(page, limit, 0);
+  const filters = await buildProductFilters(req.query, {
+    searchLimit: skip + itemsPerPage,
+    facets: includeFacets !== 'false'
+  });
+  const query = filters.all;
 
-  // Count total documents
-  const totalDocuments = await Product.countDocuments(query);
+  // Count total documents (searches matching more products than are ranked report an estimate)
+  const totalDocuments = filters.search?.totalIsEstimate
+    ? filters.search.total
+    : await Product.countDocuments(query);
 
   // Pagination
   const pagination = getPaginationData(page, limit, totalDocuments);
@@ -80,18 +73,34 @@ exports.getAllProducts = asyncHandler(async (req, res, next) => {
   };
   const sortOption = sortMap[sort] || { createdAt: -1 };
 
+  // Searches are ordered by relevance unless another sort is asked for
+  const byRelevance = filters.search && (!req.query.sort || sort === 'relevance');
+
   // Execute query
-  const products = await Product.find(query)
-    .sort(sortOption)
-    .skip(pagination.skip)
-    .limit(pagination.itemsPerPage)
-    .lean();
+  const products = byRelevance
+    ? await Product.aggregate([
+        { $match: query },
+        { $addFields: { searchRank: { $indexOfArray: [filters.search.ranking, '$_id'] } } },
+        { $sort: { searchRank: 1 } },
+        { $skip: pagination.skip },
+        { $limit: pagination.itemsPerPage },
+        { $project: { searchRank: 0, searchIndex: 0 } }
+      ])
+    : await Product.find(query)
+      .sort(sortOption)
+      .skip(pagination.skip)
+      .limit(pagination.itemsPerPage)
+      .lean();
+
+  const facets = includeFacets === 'false' ? undefined : await getProductFacets(filters);
 
   res.status(200).json({
     success: true,
     data: {
       products,
-      pagination
+      facets,
+      pagination,
+      totalIsEstimate: Boolean(filters.search?.totalIsEstimate)
     }
   });
 });
@@ -145,60 +154,75 @@ exports.getNewArrivals = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Search products
- * @route   GET /api/products/search
- * @access  Public
- */
-/**
- * @desc    Search products - FIXED VERSION (Works without text indexes)
+ * @desc    Search products, most relevant first
+ *          Tolerates typos and understands synonyms (couch = sofa)
  * @route   GET /api/products/search
  * @access  Public
  */
 exports.searchProducts = asyncHandler(async (req, res, next) => {
-  const { q, limit = 20 } = req.query;
+  const { q, page = 1, limit = 20 } = req.query;
 
-  if (!q || q.trim().length === 0) {
+  if (!q || String(q).trim().length === 0) {
     return next(new ErrorResponse('Search query is required', 400));
   }
 
-  // Create case-insensitive regex for flexible searching
-  const searchRegex = new RegExp(q.trim(), 'i');
-
-  // Search in name, description, category, subcategory, and tags
-  const products = await Product.find({
-    $or: [
-      { name: searchRegex },
-      { description: searchRegex },
-      { category: searchRegex },
-      { subcategory: searchRegex },
-      { tags: { $elemMatch: { $regex: searchRegex } } }
-    ],
-    stock: { $gt: 0 } // Only in-stock products
-  })
-  .limit(parseInt(limit))
-  .select('name slug price salePrice images category stock featured bestSeller newArrival')
-  .sort({ featured: -1, bestSeller: -1, createdAt: -1 }) // Prioritize featured/bestsellers
-  .lean();
+  if (String(q).length > searchConfig.maxQueryLength) {
+    return next(new ErrorResponse(`Search query cannot exceed ${searchConfig.maxQueryLength} characters`, 400));
+  }
+
+  const { skip, itemsPerPage } = getPaginationData(page, limit, 0);
+  const { products, total, totalIsEstimate } = await productSearch.searchProducts(q, { skip, limit: itemsPerPage });
 
   res.status(200).json({
     success: true,
     count: products.length,
     data: {
       products,
+      query: q,
+      pagination: getPaginationData(page, limit, total),
+      totalIsEstimate
+    }
+  });
+});
+
+/**
+ * @desc    Autocomplete suggestions for the search box
+ * @route   GET /api/products/search/suggest
+ * @access  Public
+ */
+exports.getSearchSuggestions = asyncHandler(async (req, res, next) => {
+  const { q = '' } = req.query;
+  const limit = Math.max(1, Math.min(
+    parseInt(req.query.limit) || searchConfig.suggest.defaultLimit,
+    searchConfig.suggest.maxLimit
+  ));
+
+  const suggestions = await productSearch.suggest(String(q), limit);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...suggestions,
       query: q
     }
   });
 });
+
 /**
- * @desc    Get products by category
+ * @desc    Get products by category (including its subcategories)
  * @route   GET /api/products/category/:category
  * @access  Public
  */
 exports.getProductsByCategory = asyncHandler(async (req, res, next) => {
-  const { category } = req.params;
   const { page = 1, limit = 12 } = req.query;
 
-  const query = { category, stock: { $gt: 0 } };
+  const category = await Category.findByIdOrSlug(req.params.category);
+
+  if (!category) {
+    return next(new ErrorResponse('Category not found', 404));
+  }
+
+  const query = { categoryPath: category._id, stock: { $gt: 0 } };
   const totalDocuments = await Product.countDocuments(query);
   const pagination = getPaginationData(page, limit, totalDocuments);
 
@@ -224,6 +248,8 @@ exports.getProductsByCategory = asyncHandler(async (req, res, next) => {
  */
 exports.getProductBySlug = asyncHandler(async (req, res, next) => {
   const product = await Product.findOne({ slug: req.params.slug })
+    .populate('category', 'name slug')
+    .populate('categoryPath', 'name slug')
     .populate('createdBy', 'fullName');
 
   if (!product) {
@@ -244,6 +270,7 @@ exports.getProductBySlug = asyncHandler(async (req, res, next) => {
 exports.createProduct = asyncHandler(async (req, res, next) => {
   // Add user ID to product
   req.body.createdBy = req.user.id;
+  await resolveCategory(req.body);
 
   const product = await Product.create(req.body);
 
@@ -260,20 +287,42 @@ exports.createProduct = asyncHandler(async (req, res, next) => {
  * @access  Admin
  */
 exports.updateProduct = asyncHandler(async (req, res, next) => {
-  let product = await Product.findById(req.params.id);
+  const product = await Product.findById(req.params.id);
 
   if (!product) {
     return next(new ErrorResponse('Product not found', 404));
   }
 
-  product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  });
+  await resolveCategory(req.body);
+
+  const wasModerated = product.reviewModeration === 'moderated';
+
+  // Saved through the document so variant stock totals and category counts are recalculated
+  product.set(req.body);
+  await product.save();
+
+  // Turning moderation off publishes the reviews still waiting for it
+  // (flagged reviews stay with the moderators)
+  let approvedReviews = 0;
+  if (wasModerated && product.reviewModeration === 'auto-approve') {
+    const pending = await Review.find({ product: product._id, moderationStatus: 'pending' }).select('_id');
+
+    if (pending.length > 0) {
+      const result = await Review.moderate(
+        pending.map(review => review._id),
+        'approved',
+        'Approved when review moderation was turned off',
+        req.user.id
+      );
+      approvedReviews = result.modifiedCount;
+    }
+  }
 
   res.status(200).json({
     success: true,
-    message: 'Product updated successfully',
+    message: approvedReviews > 0
+      ? `Product updated successfully. ${approvedReviews} pending reviews approved.`
+      : 'Product updated successfully',
     data: { product }
   });
 });
@@ -290,9 +339,10 @@ exports.deleteProduct = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Product not found', 404));
   }
 
-  // Delete product images from Cloudinary
-  if (product.images && product.images.length > 0) {
-    const deletePromises = product.images.map(img => deleteImage(img.publicId));
+  // Delete product and variant images from Cloudinary
+  const allImages = [product, ...product.variants].flatMap(owner => owner.images);
+  if (allImages.length > 0) {
+    const deletePromises = allImages.map(img => deleteImage(img.publicId));
     await Promise.all(deletePromises);
   }
 
@@ -307,6 +357,7 @@ exports.deleteProduct = asyncHandler(async (req, res, next) => {
 
 /**
  * @desc    Upload product images
+ *          Send variantId to add them to one variant instead
  * @route   POST /api/products/:id/images
  * @access  Admin
  */
@@ -317,6 +368,13 @@ exports.uploadProductImages = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Product not found', 404));
   }
 
+  const { variantId } = req.body;
+  const variant = variantId && product.variants.id(variantId);
+
+  if (variantId && !variant) {
+    return next(new ErrorResponse('Variant not found', 404));
+  }
+
   if (!req.files || req.files.length === 0) {
     return next(new ErrorResponse('Please upload at least one image', 400));
   }
@@ -327,12 +385,13 @@ exports.uploadProductImages = asyncHandler(async (req, res, next) => {
   );
   const uploadResults = await Promise.all(uploadPromises);
 
-  // Add images to product
+  // Add images to the product or variant
+  const images = variant ? variant.images : product.images;
   uploadResults.forEach(result => {
-    product.images.push({
+    images.push({
       url: result.url,
       publicId: result.publicId,
-      alt: product.name
+      alt: variant ? `${product.name} - ${variant.label}` : product.name
     });
   });
 
@@ -359,10 +418,12 @@ exports.deleteProductImage = asyncHandler(async (req, res, next) => {
 
   const publicId = req.params.publicId.replace(/-/g, '/'); // Convert back to Cloudinary format
 
-  // Find image
-  const imageIndex = product.images.findIndex(img => img.publicId === publicId);
+  // Find image on the product or one of its variants
+  const images = [product, ...product.variants]
+    .map(owner => owner.images)
+    .find(list => list.some(img => img.publicId === publicId));
 
-  if (imageIndex === -1) {
+  if (!images) {
     return next(new ErrorResponse('Image not found', 404));
   }
 
@@ -370,7 +431,7 @@ exports.deleteProductImage = asyncHandler(async (req, res, next) => {
   await deleteImage(publicId);
 
   // Remove from product
-  product.images.splice(imageIndex, 1);
+  images.splice(images.findIndex(img => img.publicId === publicId), 1);
   await product.save();
 
   res.status(200).json({
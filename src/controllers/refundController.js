@@ -0,0 +1,97 @@
+/**
+ * ============================================
+ * REFUND CONTROLLER
+ * ============================================
+ * Admin view of M-Pesa refund payouts
+ */
+
+const Refund = require('../models/Refund');
+const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+const { retryRefundPayout, queryRefundPayout } = require('../services/refundService');
+const { getPaginationData } = require('../utils/helpers');
+
+/**
+ * @desc    Get refund payouts
+ * @route   GET /api/admin/refunds
+ * @access  Admin
+ */
+exports.getAllRefunds = asyncHandler(async (req, res, next) => {
+  const { status, order, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (order) query.order = order;
+
+  const totalDocuments = await Refund.countDocuments(query);
+  const pagination = getPaginationData(page, limit, totalDocuments);
+
+  const refunds = await Refund.find(query)
+    .populate('initiatedBy', 'fullName email')
+    .sort('-createdAt')
+    .skip(pagination.skip)
+    .limit(pagination.itemsPerPage);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      refunds,
+      pagination
+    }
+  });
+});
+
+/**
+ * @desc    Retry a failed refund payout
+ * @route   POST /api/admin/refunds/:id/retry
+ * @access  Admin
+ */
+exports.retryRefund = asyncHandler(async (req, res, next) => {
+  const refund = await Refund.findById(req.params.id);
+
+  if (!refund) {
+    return next(new ErrorResponse('Refund not found', 404));
+  }
+
+  // A timed out payout may still have been paid - retrying could pay twice
+  if (refund.status === 'timed_out') {
+    return next(new ErrorResponse('Payout timed out and may have been paid. Query its status before retrying.', 409));
+  }
+
+  if (refund.status !== 'failed') {
+    return next(new ErrorResponse(`Refund is ${refund.status} and cannot be retried`, 400));
+  }
+
+  await retryRefundPayout(refund);
+
+  res.status(200).json({
+    success: true,
+    message: refund.status === 'processing' ? 'Refund payout resent' : 'Refund payout failed again',
+    data: { refund }
+  });
+});
+
+/**
+ * @desc    Ask M-Pesa whether a timed out payout went through.
+ *          The refund completes or fails when the answer arrives.
+ * @route   POST /api/admin/refunds/:id/query
+ * @access  Admin
+ */
+exports.queryRefund = asyncHandler(async (req, res, next) => {
+  const refund = await Refund.findById(req.params.id);
+
+  if (!refund) {
+    return next(new ErrorResponse('Refund not found', 404));
+  }
+
+  if (refund.status !== 'timed_out') {
+    return next(new ErrorResponse('Only timed out payouts need a status query', 400));
+  }
+
+  await queryRefundPayout(refund);
+
+  res.status(200).json({
+    success: true,
+    message: 'Status query sent - the refund updates when M-Pesa answers',
+    data: { refund }
+  });
+});
@@ -0,0 +1,401 @@
+/**
+ * ============================================
+ * RETURN CONTROLLER
+ * ============================================
+ * Customer returns and admin refund handling
+ */
+
+const mongoose = require('mongoose');
+const Return = require('../models/Return');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+const { hasPermission } = require('../middleware/adminMiddleware');
+const { uploadMultipleImages, deleteMultipleImages } = require('../services/cloudinaryService');
+const { cleanupFiles } = require('../middleware/uploadMiddleware');
+const { getPaginationData } = require('../utils/helpers');
+const { startRefundPayout } = require('../services/refundService');
+const { isOnlinePaymentMethod } = require('../services/providers');
+
+// Days after delivery during which a return can be requested
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 14;
+
+/**
+ * Parse the requested items (sent as a JSON string in multipart forms)
+ */
+const parseReturnItems = (items) => {
+  if (typeof items === 'string') {
+    try {
+      return JSON.parse(items);
+    } catch (error) {
+      return null;
+    }
+  }
+  return items;
+};
+
+/**
+ * Check each requested line against what was bought and what is already
+ * being returned, and build the return's items
+ * @param {Map} requested - Order item id -> { orderItem, quantity }
+ * @returns {Promise<Array>} Return items
+ */
+const buildReturnItems = async (order, requested, session = null) => {
+  const returnedQuantities = await Return.getReturnedQuantities(order._id, session);
+  const returnItems = [];
+
+  for (const [key, { orderItem, quantity }] of requested) {
+    const available = orderItem.quantity - (returnedQuantities[key] || 0);
+    if (quantity > available) {
+      throw new ErrorResponse(`You can return at most ${available} of ${orderItem.name}`, 400);
+    }
+
+    returnItems.push({
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      variant: orderItem.variant,
+      name: orderItem.name,
+      price: orderItem.price,
+      quantity
+    });
+  }
+
+  return returnItems;
+};
+
+/**
+ * @desc    Request a return for items of a delivered order
+ * @route   POST /api/orders/:id/returns
+ * @access  Private
+ */
+exports.requestReturn = asyncHandler(async (req, res, next) => {
+  const { reason, description } = req.body;
+  const items = parseReturnItems(req.body.items);
+
+  // Local uploads are only kept until they reach Cloudinary
+  const fail = (message, statusCode) => {
+    cleanupFiles(req.files);
+    return next(new ErrorResponse(message, statusCode));
+  };
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return fail('Select at least one item to return', 400);
+  }
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return fail('Order not found', 404);
+  }
+
+  if (order.user.toString() !== req.user.id) {
+    return fail('Not authorized to return items from this order', 403);
+  }
+
+  if (order.orderStatus !== 'delivered') {
+    return fail('Only delivered orders can be returned', 400);
+  }
+
+  const deliveredAt = order.deliveryDate || order.updatedAt;
+  const windowEnds = new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (Date.now() > windowEnds) {
+    return fail(`Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`, 400);
+  }
+
+  // Add up each line, which may be listed more than once
+  const requested = new Map();
+
+  for (const item of items) {
+    const orderItem = order.items.id(item.orderItem);
+    const quantity = parseInt(item.quantity);
+
+    if (!orderItem) {
+      return fail(`Item ${item.orderItem} is not part of this order`, 400);
+    }
+
+    if (!quantity || quantity < 1) {
+      return fail(`Quantity for ${orderItem.name} must be at least 1`, 400);
+    }
+
+    const key = orderItem._id.toString();
+    const entry = requested.get(key) || { orderItem, quantity: 0 };
+    entry.quantity += quantity;
+    requested.set(key, entry);
+  }
+
+  // Fail early, before uploading any photos
+  try {
+    await buildReturnItems(order, requested);
+  } catch (error) {
+    return fail(error.message, error.statusCode);
+  }
+
+  // Upload photos of the items
+  let images = [];
+  if (req.files && req.files.length > 0) {
+    try {
+      const uploadResults = await uploadMultipleImages(req.files, 'furniture-hub/returns');
+      images = uploadResults.map(result => ({
+        url: result.url,
+        publicId: result.publicId
+      }));
+    } finally {
+      cleanupFiles(req.files);
+    }
+  }
+
+  // Check again and create the return in one transaction. Bumping the order
+  // first makes an overlapping request conflict and retry, and the retry
+  // sees this return.
+  const session = await mongoose.startSession();
+  let returnRequest;
+  try {
+    await session.withTransaction(async () => {
+      await Order.updateOne(
+        { _id: order._id },
+        { $inc: { returnRequests: 1 } },
+        { session, timestamps: false }
+      );
+
+      const returnItems = await buildReturnItems(order, requested, session);
+
+      [returnRequest] = await Return.create([{
+        order: order._id,
+        user: req.user.id,
+        items: returnItems,
+        reason,
+        description,
+        images
+      }], { session });
+    });
+  } catch (error) {
+    // Don't leave the photos behind in Cloudinary
+    if (images.length > 0) {
+      await deleteMultipleImages(images.map(image => image.publicId))
+        .catch(cleanupError => console.error('Failed to delete return images:', cleanupError.message));
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Return request submitted',
+    data: { return: returnRequest }
+  });
+});
+
+/**
+ * @desc    Get returns for an order
+ * @route   GET /api/orders/:id/returns
+ * @access  Private
+ */
+exports.getOrderReturns = asyncHandler(async (req, res, next) => {
+  const order = await Order.findById(req.params.id).select('user');
+
+  if (!order) {
+    return next(new ErrorResponse('Order not found', 404));
+  }
+
+  if (order.user.toString() !== req.user.id && !hasPermission(req.user, 'returns:manage')) {
+    return next(new ErrorResponse('Not authorized to access this order', 403));
+  }
+
+  const returns = await Return.find({ order: order._id }).sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    data: { returns }
+  });
+});
+
+/**
+ * @desc    Get all returns (Admin)
+ * @route   GET /api/admin/returns
+ * @access  Admin
+ */
+exports.getAllReturns = asyncHandler(async (req, res, next) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+
+  const totalDocuments = await Return.countDocuments(query);
+  const pagination = getPaginationData(page, limit, totalDocuments);
+
+  const returns = await Return.find(query)
+    .populate('user', 'fullName email phone')
+    .populate('order', 'orderNumber total paymentMethod paymentStatus')
+    .sort('-createdAt')
+    .skip(pagination.skip)
+    .limit(pagination.itemsPerPage);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      returns,
+      pagination
+    }
+  });
+});
+
+/**
+ * @desc    Approve a return and refund the customer
+ * @route   PUT /api/admin/returns/:id/approve
+ * @access  Admin
+ */
+exports.approveReturn = asyncHandler(async (req, res, next) => {
+  const { refundType = 'full', refundAmount, note } = req.body;
+
+  const returnRequest = await Return.findById(req.params.id);
+
+  if (!returnRequest) {
+    return next(new ErrorResponse('Return not found', 404));
+  }
+
+  if (returnRequest.status !== 'requested') {
+    return next(new ErrorResponse(`Return is already ${returnRequest.status}`, 400));
+  }
+
+  // Full refunds cover the value of the returned items
+  const itemsValue = returnRequest.itemsValue;
+  const amount = refundType === 'full' ? itemsValue : Number(refundAmount);
+
+  if (refundType === 'partial' && (!amount || amount <= 0 || amount > itemsValue)) {
+    return next(new ErrorResponse(`Partial refund must be between 1 and ${itemsValue}`, 400));
+  }
+
+  const order = await Order.findById(returnRequest.order);
+
+  if (!order) {
+    return next(new ErrorResponse('Order not found', 404));
+  }
+
+  // Claim the return so a second approval (or a rejection) can't also act on it
+  const claimed = await Return.findOneAndUpdate(
+    { _id: returnRequest._id, status: 'requested' },
+    { $set: { status: 'approved' } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return next(new ErrorResponse('Return is already being processed', 400));
+  }
+
+  const reason = `Return ${claimed._id} (${claimed.reason})`;
+
+  // Online refunds go back through the provider that took the payment and
+  // are recorded on the order only once the payout completes
+  let refund = null;
+  let payout = null;
+  try {
+    if (isOnlinePaymentMethod(order.paymentMethod)) {
+      payout = await startRefundPayout(order, amount, {
+        returnId: claimed._id,
+        reason,
+        initiatedBy: req.user.id
+      });
+    } else {
+      refund = await order.recordRefund({
+        amount,
+        returnId: claimed._id,
+        reason,
+        processedBy: req.user.id
+      });
+    }
+  } catch (error) {
+    // Nothing was refunded - give the return back for another try
+    await Return.updateOne({ _id: claimed._id, status: 'approved' }, { $set: { status: 'requested' } });
+    throw error;
+  }
+
+  claimed.refundType = refundType;
+  claimed.refundAmount = amount;
+  claimed.adminNote = note;
+  claimed.setStatus('approved', note || `Approved with ${refundType} refund of Ksh ${amount}`, req.user.id);
+  await claimed.save();
+
+  res.status(200).json({
+    success: true,
+    message: payout ? 'Return approved and refund payout started' : 'Return approved and refund recorded',
+    data: {
+      return: claimed,
+      refund,
+      payout
+    }
+  });
+});
+
+/**
+ * @desc    Reject a return
+ * @route   PUT /api/admin/returns/:id/reject
+ * @access  Admin
+ */
+exports.rejectReturn = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+
+  const returnRequest = await Return.findById(req.params.id);
+
+  if (!returnRequest) {
+    return next(new ErrorResponse('Return not found', 404));
+  }
+
+  if (returnRequest.status !== 'requested') {
+    return next(new ErrorResponse(`Return is already ${returnRequest.status}`, 400));
+  }
+
+  const claimed = await Return.findOneAndUpdate(
+    { _id: returnRequest._id, status: 'requested' },
+    { $set: { status: 'rejected' } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return next(new ErrorResponse('Return is already being processed', 400));
+  }
+
+  claimed.rejectionReason = reason;
+  claimed.setStatus('rejected', reason, req.user.id);
+  await claimed.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Return rejected',
+    data: { return: claimed }
+  });
+});
+
+/**
+ * @desc    Mark returned items as received and restock them
+ * @route   PUT /api/admin/returns/:id/receive
+ * @access  Admin
+ */
+exports.receiveReturn = asyncHandler(async (req, res, next) => {
+  const { note } = req.body;
+
+  const returnRequest = await Return.findById(req.params.id);
+
+  if (!returnRequest) {
+    return next(new ErrorResponse('Return not found', 404));
+  }
+
+  if (returnRequest.status !== 'approved') {
+    return next(new ErrorResponse('Only approved returns can be marked as received', 400));
+  }
+
+  // Approved returns go back into stock once they arrive
+  for (const item of returnRequest.items) {
+    await Product.releaseStock(item);
+  }
+
+  returnRequest.restockedAt = new Date();
+  returnRequest.setStatus('received', note || 'Items received and restocked', req.user.id);
+  await returnRequest.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Return received and items restocked',
+    data: { return: returnRequest }
+  });
+});
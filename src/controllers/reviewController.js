@@ -0,0 +1,173 @@
+/**
+ * ============================================
+ * REVIEW CONTROLLER
+ * ============================================
+ * Product reviews and ratings
+ */
+
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+const { hasPermission } = require('../middleware/adminMiddleware');
+const { getPaginationData } = require('../utils/helpers');
+
+/**
+ * @desc    Get reviews for a product
+ * @route   GET /api/products/:id/reviews
+ * @access  Public
+ */
+exports.getProductReviews = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 10, sort = 'newest' } = req.query;
+
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return next(new ErrorResponse('Product not found', 404));
+  }
+
+  const query = { product: product._id, isApproved: true };
+  const totalDocuments = await Review.countDocuments(query);
+  const pagination = getPaginationData(page, limit, totalDocuments);
+
+  // Sort mapping
+  const sortMap = {
+    'newest': { createdAt: -1 },
+    'highest': { rating: -1, createdAt: -1 },
+    'helpful': { helpfulCount: -1, createdAt: -1 }
+  };
+  const sortOption = sortMap[sort] || sortMap.newest;
+
+  const reviews = await Review.find(query)
+    .populate('user', 'fullName')
+    .sort(sortOption)
+    .skip(pagination.skip)
+    .limit(pagination.itemsPerPage);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reviews,
+      averageRating: product.averageRating,
+      numReviews: product.numReviews,
+      pagination
+    }
+  });
+});
+
+/**
+ * @desc    Create review for a product
+ * @route   POST /api/products/:id/reviews
+ * @access  Private
+ */
+exports.createReview = asyncHandler(async (req, res, next) => {
+  const { rating, comment, images } = req.body;
+
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    return next(new ErrorResponse('Product not found', 404));
+  }
+
+  // One review per user per product
+  const existingReview = await Review.findOne({
+    product: product._id,
+    user: req.user.id
+  });
+
+  if (existingReview) {
+    return next(new ErrorResponse('You have already reviewed this product', 400));
+  }
+
+  const isVerifiedPurchase = await Review.hasPurchased(req.user.id, product._id);
+  const needsModeration = product.reviewModeration === 'moderated';
+
+  const review = await Review.create({
+    product: product._id,
+    user: req.user.id,
+    rating,
+    comment,
+    images,
+    isVerifiedPurchase,
+    moderationStatus: needsModeration ? 'pending' : 'approved'
+  });
+
+  res.status(201).json({
+    success: true,
+    message: needsModeration
+      ? 'Review submitted and awaiting approval'
+      : 'Review submitted successfully',
+    data: { review }
+  });
+});
+
+/**
+ * @desc    Update own review
+ * @route   PUT /api/products/:id/reviews/:reviewId
+ * @access  Private
+ */
+exports.updateReview = asyncHandler(async (req, res, next) => {
+  const { rating, comment, images } = req.body;
+
+  const review = await Review.findOne({
+    _id: req.params.reviewId,
+    product: req.params.id
+  });
+
+  if (!review) {
+    return next(new ErrorResponse('Review not found', 404));
+  }
+
+  // Only the author can edit a review
+  if (review.user.toString() !== req.user.id) {
+    return next(new ErrorResponse('Not authorized to update this review', 403));
+  }
+
+  if (rating !== undefined) review.rating = rating;
+  if (comment !== undefined) review.comment = comment;
+  if (images !== undefined) review.images = images;
+
+  // Re-check purchase status in case the order was delivered after reviewing
+  review.isVerifiedPurchase = await Review.hasPurchased(req.user.id, review.product);
+
+  // Edited reviews on moderated products go back into the queue (flagged ones stay hidden)
+  const product = await Product.findById(review.product).select('reviewModeration');
+  if (product && product.reviewModeration === 'moderated' && review.moderationStatus !== 'flagged') {
+    review.moderationStatus = 'pending';
+  }
+
+  await review.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Review updated successfully',
+    data: { review }
+  });
+});
+
+/**
+ * @desc    Delete review
+ * @route   DELETE /api/products/:id/reviews/:reviewId
+ * @access  Private (author or admin)
+ */
+exports.deleteReview = asyncHandler(async (req, res, next) => {
+  const review = await Review.findOne({
+    _id: req.params.reviewId,
+    product: req.params.id
+  });
+
+  if (!review) {
+    return next(new ErrorResponse('Review not found', 404));
+  }
+
+  if (review.user.toString() !== req.user.id && !hasPermission(req.user, 'reviews:moderate')) {
+    return next(new ErrorResponse('Not authorized to delete this review', 403));
+  }
+
+  await review.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Review deleted successfully',
+    data: {}
+  });
+});
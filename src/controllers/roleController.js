@@ -0,0 +1,211 @@
+/**
+ * ============================================
+ * ROLE CONTROLLER
+ * ============================================
+ * Admin management of roles and their permissions
+ */
+
+const Role = require('../models/Role');
+const User = require('../models/User');
+const {
+  PERMISSIONS,
+  SUPER_ROLE,
+  BUILT_IN_ROLES,
+  NON_STAFF_ROLES,
+  NON_STAFF_PERMISSIONS
+} = require('../config/permissions');
+const { loadRoles, clearRoleCache, getRole, getUnheldPermissions } = require('../services/roleService');
+const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Refuse to grant permissions the caller doesn't hold themselves
+ * @returns {ErrorResponse|null}
+ */
+const checkGrantable = (user, permissions) => {
+  const unheld = getUnheldPermissions(user, permissions);
+
+  if (unheld.length > 0) {
+    return new ErrorResponse(`You cannot grant permissions you don't have: ${unheld.join(', ')}`, 403, { permissions: unheld });
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Get every permission that can be granted
+ * @route   GET /api/admin/permissions
+ * @access  Admin (roles:manage)
+ */
+exports.getPermissionList = asyncHandler(async (req, res, next) => {
+  const permissions = Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+
+  res.status(200).json({
+    success: true,
+    data: { permissions }
+  });
+});
+
+/**
+ * @desc    Get all roles with their permissions and user counts
+ * @route   GET /api/admin/roles
+ * @access  Admin (roles:manage)
+ */
+exports.getRoles = asyncHandler(async (req, res, next) => {
+  const roles = await loadRoles();
+
+  const counts = await User.aggregate([
+    { $group: { _id: '$role', users: { $sum: 1 } } }
+  ]);
+  const usersByRole = new Map(counts.map(entry => [entry._id, entry.users]));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      roles: [...roles.values()].map(role => ({
+        ...role,
+        isEditable: role.name !== SUPER_ROLE,
+        users: usersByRole.get(role.name) || 0
+      }))
+    }
+  });
+});
+
+/**
+ * @desc    Create a role
+ * @route   POST /api/admin/roles
+ * @access  Admin (roles:manage)
+ */
+exports.createRole = asyncHandler(async (req, res, next) => {
+  const { name, description, permissions = [] } = req.body;
+
+  if (await getRole(String(name).toLowerCase())) {
+    return next(new ErrorResponse(`Role '${name}' already exists`, 409));
+  }
+
+  const grantError = checkGrantable(req.user, permissions);
+  if (grantError) {
+    return next(grantError);
+  }
+
+  const role = await Role.create({
+    name,
+    description,
+    permissions: [...new Set(permissions)],
+    updatedBy: req.user.id
+  });
+
+  clearRoleCache();
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: { role }
+  });
+});
+
+/**
+ * @desc    Update a role's description or permissions
+ *          Built-in roles can be edited too, except admin
+ * @route   PUT /api/admin/roles/:name
+ * @access  Admin (roles:manage)
+ */
+exports.updateRole = asyncHandler(async (req, res, next) => {
+  const { name } = req.params;
+  const { description, permissions } = req.body;
+
+  if (name === SUPER_ROLE) {
+    return next(new ErrorResponse(`The ${SUPER_ROLE} role always has every permission`, 400));
+  }
+
+  const existing = await getRole(name);
+
+  if (!existing) {
+    return next(new ErrorResponse('Role not found', 404));
+  }
+
+  if (name === req.user.role) {
+    return next(new ErrorResponse('You cannot edit your own role', 403));
+  }
+
+  if (permissions !== undefined) {
+    // Customers and riders log in without two-factor, so they can't hold staff permissions
+    if (NON_STAFF_ROLES.includes(name)) {
+      const staffPermissions = permissions.filter(permission => !NON_STAFF_PERMISSIONS.includes(permission));
+
+      if (staffPermissions.length > 0) {
+        return next(new ErrorResponse(
+          `The ${name} role can only hold: ${NON_STAFF_PERMISSIONS.join(', ')}`,
+          400,
+          { permissions: staffPermissions }
+        ));
+      }
+    }
+
+    const added = permissions.filter(permission => !existing.permissions.includes(permission));
+    const grantError = checkGrantable(req.user, added);
+    if (grantError) {
+      return next(grantError);
+    }
+  }
+
+  // Built-in roles are saved the first time they are edited
+  const role = await Role.findOneAndUpdate(
+    { name },
+    {
+      name,
+      description: description !== undefined ? description : existing.description,
+      permissions: permissions !== undefined ? [...new Set(permissions)] : existing.permissions,
+      updatedBy: req.user.id
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  clearRoleCache();
+
+  res.status(200).json({
+    success: true,
+    message: 'Role updated successfully',
+    data: { role }
+  });
+});
+
+/**
+ * @desc    Delete a custom role (or reset an edited built-in role)
+ * @route   DELETE /api/admin/roles/:name
+ * @access  Admin (roles:manage)
+ */
+exports.deleteRole = asyncHandler(async (req, res, next) => {
+  const { name } = req.params;
+
+  if (BUILT_IN_ROLES[name]) {
+    await Role.deleteOne({ name });
+    clearRoleCache();
+
+    return res.status(200).json({
+      success: true,
+      message: `Built-in role '${name}' reset to its default permissions`,
+      data: {}
+    });
+  }
+
+  const role = await Role.findOne({ name });
+
+  if (!role) {
+    return next(new ErrorResponse('Role not found', 404));
+  }
+
+  const users = await User.countDocuments({ role: name });
+
+  if (users > 0) {
+    return next(new ErrorResponse(`Role is assigned to ${users} user(s). Reassign them first.`, 409, { users }));
+  }
+
+  await role.deleteOne();
+  clearRoleCache();
+
+  res.status(200).json({
+    success: true,
+    message: 'Role deleted successfully',
+    data: {}
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * ============================================
+ * TWO-FACTOR AUTHENTICATION CONTROLLER
+ * ============================================
+ * Authenticator app (TOTP) enrolment, backup codes
+ * and disabling two-factor
+ */
+
+const User = require('../models/User');
+const authConfig = require('../config/auth');
+const { NON_STAFF_ROLES } = require('../config/permissions');
+const totp = require('../utils/totp');
+const { issueSession, revokeSession } = require('../services/tokenService');
+const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+
+const SECOND_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+/**
+ * @desc    Start enrolment - returns a new secret and its provisioning URI
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+exports.setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactor?.enabled) {
+    return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+  }
+
+  const secret = totp.generateSecret();
+
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUrl: totp.getProvisioningUri(secret, user.email, authConfig.twoFactor.issuer)
+    }
+  });
+});
+
+/**
+ * @desc    Finish enrolment with the first code from the app
+ *          Returns backup codes (shown once) and a session that has
+ *          completed two-factor
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+exports.enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor?.enabled) {
+    return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    return next(new ErrorResponse('Start two-factor setup first', 400));
+  }
+
+  const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+
+  if (step === null) {
+    return next(new ErrorResponse('Invalid authentication code', 400));
+  }
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = Date.now();
+  const backupCodes = user.generateBackupCodes();
+  await user.save({ validateBeforeSave: false });
+
+  // Swap the current session for one that has passed the second factor
+  await revokeSession(req.user.sessionId);
+  const tokens = await issueSession(user, req, { mfa: true });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+    data: {
+      ...tokens,
+      backupCodes
+    }
+  });
+});
+
+/**
+ * @desc    Replace backup codes
+ * @route   POST /api/auth/2fa/backup-codes
+ * @access  Private
+ */
+exports.regenerateBackupCodes = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(SECOND_FACTOR_FIELDS);
+
+  if (!user.twoFactor?.enabled) {
+    return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!(await user.verifySecondFactor(req.body.code))) {
+    return next(new ErrorResponse('Invalid authentication code', 401));
+  }
+
+  const backupCodes = user.generateBackupCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'New backup codes generated. Your old codes no longer work.',
+    data: { backupCodes }
+  });
+});
+
+/**
+ * @desc    Turn off two-factor (not allowed for roles that require it)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user.id).select(`+password ${SECOND_FACTOR_FIELDS}`);
+
+  if (!user.twoFactor?.enabled) {
+    return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!NON_STAFF_ROLES.includes(user.role)) {
+    return next(new ErrorResponse(`Two-factor authentication is mandatory for ${user.role} accounts`, 403));
+  }
+
+  if (!password || !(await user.comparePassword(password))) {
+    return next(new ErrorResponse('Password is incorrect', 401));
+  }
+
+  if (!(await user.verifySecondFactor(code))) {
+    return next(new ErrorResponse('Invalid authentication code', 401));
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled',
+    data: {}
+  });
+});
@@ -7,6 +7,8 @@
 
 const User = require('../models/User');
 const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+const { hasPermission } = require('../middleware/adminMiddleware');
+const { sendPasswordChangedEmail } = require('../utils/emailService');
 
 /**
  * @desc    Get user profile
@@ -87,6 +89,8 @@ exports.changePassword = asyncHandler(async (req, res, next) => {
   user.password = newPassword;
   await user.save();
   
+  await sendPasswordChangedEmail(user);
+  
   res.status(200).json({
     success: true,
     message: 'Password changed successfully',
@@ -106,8 +110,8 @@ exports.deleteAccount = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('User not found', 404));
   }
   
-  // Prevent admin from deleting their own account
-  if (user.role === 'admin') {
+  // Prevent user managers (admins) from deleting their own account
+  if (hasPermission(req.user, 'users:manage')) {
     return next(new ErrorResponse('Admins cannot delete their own account', 403));
   }
   
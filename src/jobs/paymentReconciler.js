@@ -0,0 +1,197 @@
+/**
+ * ============================================
+ * PAYMENT RECONCILER
+ * ============================================
+ * Queries M-Pesa for STK pushes whose callback never
+ * arrived and applies the result to the order.
+ * Also emails the daily reconciliation report.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const JobState = require('../models/JobState');
+const mpesaConfig = require('../config/mpesa');
+const { querySTKPushStatus } = require('../services/mpesaService');
+const { applyPaymentResult, buildReconciliationReport } = require('../services/paymentService');
+const { sendReconciliationReport } = require('../utils/emailService');
+
+const BATCH_SIZE = 50;
+const REPORT_JOB = 'reconciliation-report';
+
+let reconcileTimer = null;
+let isReconciling = false;
+
+/**
+ * Minutes to wait before the next status query (doubles after each attempt)
+ * @param {number} attempts - Queries made so far
+ * @returns {number} Delay in minutes
+ */
+const getBackoffMinutes = (attempts) => {
+  return mpesaConfig.reconcileAfterMinutes * Math.pow(2, attempts - 1);
+};
+
+/**
+ * Query one stale attempt and apply a final result
+ * @param {object} payment - Pending payment attempt
+ * @returns {Promise<string>} 'applied' | 'waiting' | 'abandoned' | 'skipped'
+ */
+const reconcilePayment = async (payment) => {
+  const attempts = payment.queryAttempts + 1;
+
+  let result;
+  try {
+    result = await querySTKPushStatus(payment.checkoutRequestId);
+  } catch (error) {
+    result = { status: 'processing', resultDesc: error.message };
+  }
+
+  if (result.status === 'processing') {
+    // Out of queries - leave it for an admin (a late callback can still settle it)
+    if (attempts >= mpesaConfig.maxStatusQueries) {
+      await Payment.updateOne(
+        { _id: payment._id, processedAt: { $exists: false } },
+        {
+          $set: {
+            status: 'flagged',
+            flagReasons: [`No result from M-Pesa after ${attempts} status queries`],
+            lastQueriedAt: new Date()
+          },
+          $inc: { queryAttempts: 1 },
+          $unset: { nextQueryAt: 1 }
+        }
+      );
+      return 'abandoned';
+    }
+
+    await Payment.updateOne(
+      { _id: payment._id },
+      {
+        $set: {
+          lastQueriedAt: new Date(),
+          nextQueryAt: new Date(Date.now() + getBackoffMinutes(attempts) * 60 * 1000)
+        },
+        $inc: { queryAttempts: 1 }
+      }
+    );
+    return 'waiting';
+  }
+
+  // The callback may have arrived while we were querying
+  const claimed = await Payment.claimForQuery(payment._id);
+  if (!claimed) return 'skipped';
+
+  claimed.queryAttempts = attempts;
+  claimed.lastQueriedAt = new Date();
+  claimed.nextQueryAt = undefined;
+
+  await applyPaymentResult(claimed, {
+    success: result.status === 'success',
+    resultCode: result.resultCode,
+    resultDesc: result.resultDesc,
+    checkoutRequestId: claimed.checkoutRequestId
+  }, 'query');
+
+  return 'applied';
+};
+
+/**
+ * Query every pending attempt whose callback is overdue
+ * @returns {Promise<object>} Count per outcome
+ */
+const reconcileStalePayments = async () => {
+  const olderThan = new Date(Date.now() - mpesaConfig.reconcileAfterMinutes * 60 * 1000);
+  const stalePayments = await Payment.getStale(olderThan, BATCH_SIZE);
+
+  const outcomes = { applied: 0, waiting: 0, abandoned: 0, skipped: 0 };
+
+  for (const payment of stalePayments) {
+    try {
+      outcomes[await reconcilePayment(payment)]++;
+    } catch (error) {
+      console.error(`❌ Failed to reconcile payment ${payment.checkoutRequestId}: ${error.message}`);
+    }
+  }
+
+  if (outcomes.applied || outcomes.abandoned) {
+    console.log(`🔄 Reconciled ${outcomes.applied} M-Pesa payment(s), ${outcomes.abandoned} flagged with no result`);
+  }
+
+  return outcomes;
+};
+
+/**
+ * Email yesterday's reconciliation report once a day after the configured hour.
+ * The day is claimed in the database so only one instance sends it.
+ * @returns {Promise<object|null>} Report, or null if not due or already sent
+ */
+const sendDailyReportIfDue = async () => {
+  const now = new Date();
+  const today = now.toDateString();
+
+  if (now.getHours() < mpesaConfig.reconciliationReportHour) {
+    return null;
+  }
+
+  if (!(await JobState.claimPeriod(REPORT_JOB, today))) {
+    return null;
+  }
+
+  const yesterday = new Date(now);
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  let report;
+  try {
+    report = await buildReconciliationReport(yesterday);
+    await sendReconciliationReport(report);
+  } catch (error) {
+    await JobState.releasePeriod(REPORT_JOB, today);
+    throw error;
+  }
+
+  console.log(`📊 Reconciliation report for ${report.date}: ${report.discrepancyCount} discrepancy(ies)`);
+  return report;
+};
+
+/**
+ * Start the periodic reconciler
+ */
+const startPaymentReconciler = () => {
+  if (reconcileTimer) return;
+
+  const intervalMs = mpesaConfig.reconcileIntervalMinutes * 60 * 1000;
+
+  reconcileTimer = setInterval(async () => {
+    // Skip if the previous run is still going or the database is not connected
+    if (isReconciling || mongoose.connection.readyState !== 1) return;
+
+    isReconciling = true;
+    try {
+      await reconcileStalePayments();
+      await sendDailyReportIfDue();
+    } catch (error) {
+      console.error(`❌ Payment reconciliation failed: ${error.message}`);
+    } finally {
+      isReconciling = false;
+    }
+  }, intervalMs);
+
+  console.log(`✅ Payment reconciler running every ${mpesaConfig.reconcileIntervalMinutes} min`);
+};
+
+/**
+ * Stop the periodic reconciler
+ */
+const stopPaymentReconciler = () => {
+  if (reconcileTimer) {
+    clearInterval(reconcileTimer);
+    reconcileTimer = null;
+  }
+};
+
+module.exports = {
+  reconcilePayment,
+  reconcileStalePayments,
+  sendDailyReportIfDue,
+  startPaymentReconciler,
+  stopPaymentReconciler
+};
@@ -0,0 +1,103 @@
+/**
+ * ============================================
+ * INSTALMENT PAYMENT REMINDERS
+ * ============================================
+ * Emails customers with an outstanding instalment
+ * balance as their due date approaches
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const layawayConfig = require('../config/layaway');
+const { sendPaymentReminderEmail } = require('../utils/emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let reminderTimer = null;
+let isSending = false;
+
+/**
+ * Send every reminder that is due. Each order gets at most one email per run:
+ * the closest reminder window it falls in, marking the wider ones as sent too.
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendDueReminders = async () => {
+  const now = new Date();
+  const days = layawayConfig.reminderDaysBefore;
+  let sent = 0;
+
+  for (const daysBefore of days) {
+    const orders = await Order.find({
+      paymentPlan: 'installments',
+      paymentStatus: 'partially_paid',
+      orderStatus: { $ne: 'cancelled' },
+      'installments.dueDate': { $gt: now, $lte: new Date(now.getTime() + daysBefore * DAY_MS) },
+      'installments.remindersSent': { $ne: daysBefore }
+    });
+
+    for (const order of orders) {
+      // Claim the reminder first so a slow email can't be sent twice
+      const claimed = await Order.updateOne(
+        { _id: order._id, 'installments.remindersSent': { $ne: daysBefore } },
+        { $addToSet: { 'installments.remindersSent': { $each: days.filter(d => d >= daysBefore) } } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const daysLeft = Math.ceil((order.installments.dueDate - now) / DAY_MS);
+
+      try {
+        await sendPaymentReminderEmail(order, daysLeft);
+        sent++;
+      } catch (error) {
+        console.error(`❌ Failed to send payment reminder for order ${order.orderNumber}: ${error.message}`);
+      }
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`⏰ Sent ${sent} instalment payment reminder(s)`);
+  }
+
+  return sent;
+};
+
+/**
+ * Start the periodic reminder job
+ */
+const startPaymentReminders = () => {
+  if (reminderTimer) return;
+
+  const intervalMs = layawayConfig.reminderIntervalMinutes * 60 * 1000;
+
+  reminderTimer = setInterval(async () => {
+    // Skip if the previous run is still going or the database is not connected
+    if (isSending || mongoose.connection.readyState !== 1) return;
+
+    isSending = true;
+    try {
+      await sendDueReminders();
+    } catch (error) {
+      console.error(`❌ Payment reminder run failed: ${error.message}`);
+    } finally {
+      isSending = false;
+    }
+  }, intervalMs);
+
+  console.log(`✅ Instalment reminders running every ${layawayConfig.reminderIntervalMinutes} min`);
+};
+
+/**
+ * Stop the periodic reminder job
+ */
+const stopPaymentReminders = () => {
+  if (reminderTimer) {
+    clearInterval(reminderTimer);
+    reminderTimer = null;
+  }
+};
+
+module.exports = {
+  sendDueReminders,
+  startPaymentReminders,
+  stopPaymentReminders
+};
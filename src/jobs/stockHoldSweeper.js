@@ -0,0 +1,119 @@
+/**
+ * ============================================
+ * STOCK HOLD SWEEPER
+ * ============================================
+ * Auto-cancels unpaid online orders whose stock hold
+ * has expired and returns their units to stock
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const mpesaConfig = require('../config/mpesa');
+const { recordJobAudit } = require('../services/auditService');
+
+const BATCH_SIZE = 50;
+const EXPIRY_REASON = 'Payment not received before stock hold expired';
+const JOB_NAME = 'stock-hold-sweeper';
+
+let sweepTimer = null;
+let isSweeping = false;
+
+/**
+ * Cancel a single expired order and restore its stock
+ * @param {string} orderId - Order ID
+ * @returns {Promise<object|null>} Cancelled order, or null if it was paid/cancelled meanwhile
+ */
+const releaseExpiredHold = async (orderId) => {
+  // Re-check the hold - the callback may have just paid it
+  const order = await Order.findOne({ _id: orderId, ...Order.expiredHoldFilter() });
+  if (!order) return null;
+
+  const before = order.toObject();
+
+  try {
+    // Records the history entry, returns the stock and emails the customer
+    await order.cancelOrder(EXPIRY_REASON);
+  } catch (error) {
+    // A payment landed while we were cancelling
+    if (error.statusCode === 409) return null;
+    throw error;
+  }
+
+  await recordJobAudit(JOB_NAME, {
+    action: 'order.cancel',
+    entity: 'Order',
+    entityId: order._id,
+    before,
+    after: order.toObject()
+  });
+
+  return order;
+};
+
+/**
+ * Release every expired stock hold
+ * @returns {Promise<number>} Number of orders cancelled
+ */
+const sweepExpiredHolds = async () => {
+  const expiredOrders = await Order.find(Order.expiredHoldFilter())
+    .select('_id')
+    .limit(BATCH_SIZE);
+
+  let released = 0;
+
+  for (const { _id } of expiredOrders) {
+    try {
+      const order = await releaseExpiredHold(_id);
+      if (order) {
+        released++;
+        console.log(`⏱️  Stock hold expired for order ${order.orderNumber} - order cancelled`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to release stock hold for order ${_id}: ${error.message}`);
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Start the periodic sweeper
+ */
+const startStockHoldSweeper = () => {
+  if (sweepTimer) return;
+
+  const intervalMs = mpesaConfig.stockHoldSweepIntervalMinutes * 60 * 1000;
+
+  sweepTimer = setInterval(async () => {
+    // Skip if the previous run is still going or the database is not connected
+    if (isSweeping || mongoose.connection.readyState !== 1) return;
+
+    isSweeping = true;
+    try {
+      await sweepExpiredHolds();
+    } catch (error) {
+      console.error(`❌ Stock hold sweep failed: ${error.message}`);
+    } finally {
+      isSweeping = false;
+    }
+  }, intervalMs);
+
+  console.log(`✅ Stock hold sweeper running every ${mpesaConfig.stockHoldSweepIntervalMinutes} min`);
+};
+
+/**
+ * Stop the periodic sweeper
+ */
+const stopStockHoldSweeper = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
+
+module.exports = {
+  releaseExpiredHold,
+  sweepExpiredHolds,
+  startStockHoldSweeper,
+  stopStockHoldSweeper
+};
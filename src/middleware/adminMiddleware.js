@@ -1,37 +1,75 @@
 /**
  * ============================================
- * ADMIN AUTHORIZATION MIDDLEWARE
+ * PERMISSION MIDDLEWARE
  * ============================================
- * Checks if user has admin role
+ * Checks the authenticated user's role grants the
+ * permissions a route needs
  * Must be used AFTER protect middleware
  */
 
+const { NON_STAFF_ROLES } = require('../config/permissions');
+
 /**
- * Authorize admin only
- * Checks if authenticated user has admin role
+ * Whether a user's role grants a permission
+ * @param {object} user - req.user (set by protect)
+ * @param {string} permission - e.g. 'orders:read'
+ * @returns {boolean}
  */
-const authorizeAdmin = (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: 'Not authenticated',
-          statusCode: 401
-        }
-      });
-    }
-  
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: {
-          message: 'Access denied. Admin privileges required.',
-          statusCode: 403
-        }
-      });
+const hasPermission = (user, permission) => {
+  return Boolean(user?.permissions?.includes(permission));
+};
+
+/**
+ * Refuse staff sessions that haven't completed the second factor
+ * @returns {boolean} True if a response was sent
+ */
+const rejectWithoutSecondFactor = (req, res) => {
+  if (NON_STAFF_ROLES.includes(req.user.role) || req.user.twoFactorVerified) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: {
+      message: req.user.twoFactor?.enabled
+        ? 'Please login again and complete two-factor authentication.'
+        : 'Two-factor authentication must be set up before accessing staff features.',
+      statusCode: 403
     }
-  
-    next();
-  };
-  
-  module.exports = { authorizeAdmin };
\ No newline at end of file
+  });
+  return true;
+};
+
+/**
+ * Require every listed permission
+ * e.g. requirePermission('products:write')
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: 'Not authenticated',
+        statusCode: 401
+      }
+    });
+  }
+
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: `Access denied. Requires permission: ${missing.join(', ')}`,
+        statusCode: 403
+      }
+    });
+  }
+
+  if (rejectWithoutSecondFactor(req, res)) return;
+
+  next();
+};
+
+module.exports = { requirePermission, hasPermission };
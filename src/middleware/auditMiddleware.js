@@ -0,0 +1,100 @@
+/**
+ * ============================================
+ * AUDIT MIDDLEWARE
+ * ============================================
+ * Records successful staff actions in the audit log
+ * Must be used AFTER protect middleware
+ */
+
+const mongoose = require('mongoose');
+const { recordAudit } = require('../services/auditService');
+
+/**
+ * Find the id of a newly created document in a JSON response
+ */
+const findCreatedId = (body) => {
+  const data = body?.data;
+  if (!data || typeof data !== 'object') return undefined;
+
+  const created = Object.values(data).find(value => value && typeof value === 'object' && value._id);
+  return created?._id;
+};
+
+/**
+ * Audit a mutating route
+ * Loads the target before the handler runs and again once a successful
+ * response has been sent, then records the difference.
+ *
+ * e.g. router.put('/:id', protect, audit('product.update', { model: 'Product' }), updateProduct)
+ *
+ * @param {string} action - Action name, e.g. 'product.update'
+ * @param {object} options
+ * @param {string} options.model - Mongoose model name of the target
+ * @param {string} options.param - Route param holding the target key (default 'id')
+ * @param {string} options.key - Field the param matches (default '_id')
+ * @param {Function} options.ids - For bulk actions, (req) => array of target ids
+ * @param {Function} options.skip - (req, targets) => true when the request isn't a staff action,
+ *                                  e.g. a customer changing their own record
+ */
+const audit = (action, { model, param = 'id', key = '_id', ids, skip } = {}) => async (req, res, next) => {
+  try {
+    const Model = mongoose.model(model);
+
+    const findTargets = (values) => Model.find({ [key]: { $in: values } }).lean();
+
+    const keys = ids ? (ids(req) || []).map(String) : [req.params[param]].filter(Boolean);
+    const before = keys.length > 0 ? await findTargets(keys) : [];
+
+    if (skip && skip(req, before)) return next();
+
+    // Keep the response body so created documents can be found
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.auditBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+
+      try {
+        // Creates have no key in the request - take the new document's id from the response
+        const createdId = keys.length === 0 ? findCreatedId(res.locals.auditBody) : undefined;
+        const after = keys.length > 0
+          ? await findTargets(keys)
+          : createdId ? await Model.find({ _id: createdId }).lean() : [];
+
+        const beforeByKey = new Map(before.map(doc => [String(doc[key]), doc]));
+        const afterByKey = new Map(after.map(doc => [String(doc[key]), doc]));
+        const targetKeys = new Set([...beforeByKey.keys(), ...afterByKey.keys()]);
+
+        // Nothing to diff (e.g. a create whose response has no document)
+        if (targetKeys.size === 0) {
+          await recordAudit(req, { action, entity: model });
+          return;
+        }
+
+        for (const targetKey of targetKeys) {
+          const beforeDoc = beforeByKey.get(targetKey);
+          const afterDoc = afterByKey.get(targetKey);
+
+          await recordAudit(req, {
+            action,
+            entity: model,
+            entityId: (afterDoc || beforeDoc)._id,
+            before: beforeDoc,
+            after: afterDoc
+          });
+        }
+      } catch (error) {
+        console.error(`❌ Failed to audit ${action}: ${error.message}`);
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { audit };
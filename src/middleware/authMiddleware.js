@@ -7,6 +7,8 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { getPermissions } = require('../services/roleService');
 const { ErrorResponse } = require('./errorHandler');
 
 /**
@@ -34,58 +36,67 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Verify token
+    let decoded;
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from token (exclude password)
-      const user = await User.findById(decoded.id).select('-password');
-
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          error: {
-            message: 'User no longer exists',
-            statusCode: 401
-          }
-        });
-      }
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Not authorized, token failed',
+          statusCode: 401
+        }
+      });
+    }
 
-      // STANDARDIZED: Attach user to request
-      // Always use req.user.id in controllers (not req.user._id)
-      const userObject = user.toObject();
-      req.user = {
-        id: user._id.toString(),    // ✅ Primary - use this everywhere
-        _id: user._id,              // For Mongoose operations
-        fullName: userObject.fullName,
-        email: userObject.email,
-        phone: userObject.phone,
-        role: userObject.role,
-        address: userObject.address,
-        ...userObject
-      };
+    // Reject tokens whose session was logged out or revoked
+    if (!decoded.sid || !(await RefreshToken.isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Session has been revoked. Please login again.',
+          statusCode: 401
+        }
+      });
+    }
 
-      next();
+    // Get user from token (exclude password)
+    const user = await User.findById(decoded.id).select('-password');
 
-    } catch (error) {
+    if (!user) {
       return res.status(401).json({
         success: false,
         error: {
-          message: 'Not authorized, token failed',
+          message: 'User no longer exists',
           statusCode: 401
         }
       });
     }
 
+    // STANDARDIZED: Attach user to request
+    // Always use req.user.id in controllers (not req.user._id)
+    const userObject = user.toObject();
+    req.user = {
+      id: user._id.toString(),    // ✅ Primary - use this everywhere
+      _id: user._id,              // For Mongoose operations
+      fullName: userObject.fullName,
+      email: userObject.email,
+      phone: userObject.phone,
+      role: userObject.role,
+      address: userObject.address,
+      isVerified: userObject.isVerified,
+      twoFactor: { enabled: Boolean(userObject.twoFactor?.enabled) },
+      sessionId: decoded.sid,
+      twoFactorVerified: decoded.mfa === true,
+      permissions: await getPermissions(userObject.role)
+    };
+
+    next();
+
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Server error in authentication',
-        statusCode: 500
-      }
-    });
+    // Database outages are server errors, not bad tokens
+    next(error);
   }
 };
 
@@ -9,9 +9,10 @@
  * Custom Error Response class
  */
 class ErrorResponse extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details) {
     super(message);
     this.statusCode = statusCode;
+    if (details) this.details = details;
     
     Error.captureStackTrace(this, this.constructor);
   }
@@ -73,6 +74,7 @@ const errorHandler = (err, req, res, next) => {
     error: {
       message: error.message || 'Server Error',
       statusCode: error.statusCode || 500,
+      ...(error.details && { details: error.details }),
       ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     }
   });
@@ -0,0 +1,43 @@
+/**
+ * ============================================
+ * M-PESA CALLBACK MIDDLEWARE
+ * ============================================
+ * Restricts Daraja callback routes to Safaricom's IPs
+ * when MPESA_ALLOWED_IPS is set. Behind a proxy, set
+ * TRUST_PROXY so req.ip is the real caller.
+ */
+
+const mpesaConfig = require('../config/mpesa');
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix (::ffff:1.2.3.4 -> 1.2.3.4)
+ */
+const normalizeIp = (ip = '') => ip.replace(/^::ffff:/, '');
+
+/**
+ * Allow only requests from allow-listed IPs (no-op when the list is empty)
+ */
+const verifyMpesaSource = (req, res, next) => {
+  const allowedIPs = mpesaConfig.allowedCallbackIPs;
+
+  if (allowedIPs.length === 0) {
+    return next();
+  }
+
+  const sourceIp = normalizeIp(req.ip);
+
+  if (!allowedIPs.includes(sourceIp)) {
+    console.warn(`⚠️  Rejected M-Pesa callback from unlisted IP ${sourceIp}`);
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'Forbidden',
+        statusCode: 403
+      }
+    });
+  }
+
+  next();
+};
+
+module.exports = { verifyMpesaSource };
@@ -0,0 +1,87 @@
+/**
+ * ============================================
+ * ROUTE RATE LIMITERS
+ * ============================================
+ * Tighter limits for sensitive endpoints, on top of
+ * the global per-IP limiter in server.js
+ */
+
+const rateLimit = require('express-rate-limit');
+const authConfig = require('../config/auth');
+const smsConfig = require('../config/sms');
+
+/**
+ * Build a limiter with the API's error response shape
+ */
+const createLimiter = ({ windowMinutes, max, message, keyGenerator, skip }) => rateLimit({
+  windowMs: windowMinutes * 60 * 1000,
+  max,
+  keyGenerator,
+  skip,
+  message: {
+    success: false,
+    error: {
+      message,
+      statusCode: 429
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const { passwordReset } = authConfig;
+
+// Password reset requests per IP
+const passwordResetIpLimiter = createLimiter({
+  windowMinutes: passwordReset.windowMinutes,
+  max: passwordReset.maxPerIp,
+  message: 'Too many password reset requests, please try again later.'
+});
+
+// Password reset requests per email address (whether or not it is registered)
+const passwordResetEmailLimiter = createLimiter({
+  windowMinutes: passwordReset.windowMinutes,
+  max: passwordReset.maxPerEmail,
+  message: 'Too many password reset requests, please try again later.',
+  keyGenerator: (req) => `password-reset:${String(req.body.email).trim().toLowerCase()}`,
+  skip: (req) => !req.body.email
+});
+
+// Password login attempts per IP
+const loginIpLimiter = createLimiter({
+  windowMinutes: authConfig.login.windowMinutes,
+  max: authConfig.login.maxPerIp,
+  message: 'Too many login attempts, please try again later.'
+});
+
+// Password login attempts per email address (whether or not it is registered)
+const loginEmailLimiter = createLimiter({
+  windowMinutes: authConfig.login.windowMinutes,
+  max: authConfig.login.maxPerEmail,
+  message: 'Too many login attempts, please try again later.',
+  keyGenerator: (req) => `login:${String(req.body.email).trim().toLowerCase()}`,
+  skip: (req) => !req.body.email
+});
+
+// SMS code requests per IP (each code costs us an SMS)
+const otpRequestLimiter = createLimiter({
+  windowMinutes: smsConfig.otp.requestWindowMinutes,
+  max: smsConfig.otp.maxRequestsPerIp,
+  message: 'Too many code requests, please try again later.'
+});
+
+// Authenticator code attempts per IP
+const twoFactorLimiter = createLimiter({
+  windowMinutes: authConfig.twoFactor.windowMinutes,
+  max: authConfig.twoFactor.maxAttemptsPerIp,
+  message: 'Too many authentication attempts, please try again later.'
+});
+
+module.exports = {
+  passwordResetIpLimiter,
+  passwordResetEmailLimiter,
+  loginIpLimiter,
+  loginEmailLimiter,
+  otpRequestLimiter,
+  twoFactorLimiter
+};
@@ -8,6 +8,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { validationResult } = require('express-validator');
 
 // Ensure uploads directory exists
 const uploadsDir = 'uploads/';
@@ -154,6 +155,18 @@ const cleanupOnError = (err, req, res, next) => {
   
   next(err);
 };
+/**
+ * Middleware to clean up files when the request fails validation
+ * (place just before handleValidationErrors)
+ */
+const cleanupOnValidationError = (req, res, next) => {
+  if (!validationResult(req).isEmpty()) {
+    cleanupFiles(req.files || req.file);
+  }
+  
+  next();
+};
+
 // Create upload instances
 const uploadSingle = upload.single('image');
 const uploadMultiple = upload.array('images', 10);
@@ -165,5 +178,6 @@ module.exports = {
   uploadMultiple,           // Multiple files upload
   handleMulterError,        // Error handler
   cleanupFiles,             // Cleanup utility
-  cleanupOnError           // Error cleanup middleware
+  cleanupOnError,           // Error cleanup middleware
+  cleanupOnValidationError  // Validation failure cleanup middleware
 };
\ No newline at end of file
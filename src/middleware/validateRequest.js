@@ -72,6 +72,38 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+const validateOtpRequest = [
+  body('phone')
+    .trim()
+    .notEmpty().withMessage('Phone number is required')
+    .matches(/^(\+254|254|0)?[17]\d{8}$/).withMessage('Please provide a valid Kenyan phone number'),
+  
+  handleValidationErrors
+];
+
+const validateOtpLogin = [
+  body('phone')
+    .trim()
+    .notEmpty().withMessage('Phone number is required')
+    .matches(/^(\+254|254|0)?[17]\d{8}$/).withMessage('Please provide a valid Kenyan phone number'),
+  
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Code is required')
+    .isNumeric().withMessage('Code must be numeric'),
+  
+  handleValidationErrors
+];
+
+const validateOtpCode = [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Code is required')
+    .isNumeric().withMessage('Code must be numeric'),
+  
+  handleValidationErrors
+];
+
 const validateUpdateProfile = [
   body('fullName')
     .optional()
@@ -146,6 +178,29 @@ const validateProduct = [
     .optional()
     .isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
   
+  body('variants')
+    .optional()
+    .isArray().withMessage('Variants must be an array'),
+  
+  body('variants.*.sku')
+    .trim()
+    .notEmpty().withMessage('Each variant needs a SKU'),
+  
+  body('variants.*.price')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Variant price must be a positive number'),
+  
+  body('variants.*.salePrice')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Variant sale price must be a positive number'),
+  
+  body('variants.*.stock')
+    .isInt({ min: 0 }).withMessage('Variant stock must be a non-negative integer'),
+  
+  body('reviewModeration')
+    .optional()
+    .isIn(['auto-approve', 'moderated']).withMessage('Review moderation must be auto-approve or moderated'),
+  
   handleValidationErrors
 ];
 
@@ -171,8 +226,13 @@ const validateOrder = [
   body('items.*.product')
     .notEmpty().withMessage('Product ID is required'),
   
+  body('items.*.variant')
+    .optional()
+    .isMongoId().withMessage('Invalid variant ID'),
+  
   body('items.*.quantity')
-    .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+    .toInt(),
   
   body('customer.fullName')
     .trim()
@@ -200,6 +260,14 @@ const validateOrder = [
     .notEmpty().withMessage('Payment method is required')
     .isIn(['mpesa', 'card', 'cod']).withMessage('Invalid payment method'),
   
+  body('paymentPlan')
+    .optional()
+    .isIn(['full', 'installments']).withMessage('Payment plan must be full or installments'),
+  
+  body('dueDate')
+    .optional()
+    .isISO8601().withMessage('Due date must be a valid date'),
+  
   handleValidationErrors
 ];
 
@@ -234,6 +302,10 @@ const validateCategory = [
     .notEmpty().withMessage('Category name is required')
     .isLength({ min: 2, max: 50 }).withMessage('Category name must be 2-50 characters'),
   
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid parent category ID'),
+  
   body('description')
     .optional()
     .trim(),
@@ -241,15 +313,59 @@ const validateCategory = [
   handleValidationErrors
 ];
 
+// ==================
+// REVIEW VALIDATION
+// ==================
+
+const validateReview = [
+  body('rating')
+    .notEmpty().withMessage('Rating is required')
+    .isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  
+  body('comment')
+    .trim()
+    .notEmpty().withMessage('Review comment is required')
+    .isLength({ max: 1000 }).withMessage('Review cannot exceed 1000 characters'),
+  
+  body('images')
+    .optional()
+    .isArray({ max: 5 }).withMessage('A review can have at most 5 images'),
+  
+  handleValidationErrors
+];
+
+const validateReviewUpdate = [
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  
+  body('comment')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Review comment cannot be empty')
+    .isLength({ max: 1000 }).withMessage('Review cannot exceed 1000 characters'),
+  
+  body('images')
+    .optional()
+    .isArray({ max: 5 }).withMessage('A review can have at most 5 images'),
+  
+  handleValidationErrors
+];
+
 module.exports = {
   handleValidationErrors,
   validateRegister,
   validateLogin,
+  validateOtpRequest,
+  validateOtpLogin,
+  validateOtpCode,
   validateUpdateProfile,
   validateChangePassword,
   validateProduct,
   validateObjectId,  // ✅ ADDED THIS
   validateOrder,
   validateSTKPush,
-  validateCategory
+  validateCategory,
+  validateReview,
+  validateReviewUpdate
 };
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * ============================================
+ * AUDIT LOG MODEL
+ * ============================================
+ * Who changed what through the admin and staff routes,
+ * and what the background jobs changed on their own
+ */
+
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return !this.job;
+    }
+  },
+
+  // Background job behind the change, for entries with no user actor
+  // e.g. 'stock-hold-sweeper'
+  job: String,
+
+  // Copied so entries stay readable after the actor is deleted
+  actorEmail: String,
+  actorRole: String,
+
+  // e.g. 'product.update', 'user.role.update'
+  action: {
+    type: String,
+    required: true
+  },
+
+  // Model name of the target, e.g. 'Product'
+  entity: {
+    type: String,
+    required: true
+  },
+
+  entityId: {
+    type: String
+  },
+
+  // Field-level differences for updates
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+
+  // Whole document for creates (after) and deletes (before)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  method: String,
+  path: String,
+  ip: String,
+  userAgent: String
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ==================
+// INDEXES
+// ==================
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
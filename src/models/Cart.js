@@ -23,6 +23,10 @@ const cartSchema = new mongoose.Schema({
         ref: 'Product',
         required: true
       },
+      // Chosen variant, for products that have them
+      variant: {
+        type: mongoose.Schema.Types.ObjectId
+      },
       quantity: {
         type: Number,
         required: true,
@@ -52,6 +56,16 @@ const cartSchema = new mongoose.Schema({
 cartSchema.index({ user: 1 }, { unique: true });
 cartSchema.index({ 'items.product': 1 });
 
+// ==================
+// HELPERS
+// ==================
+
+// Cart lines are unique per product and variant
+const lineKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+// The product ID of a line, whether or not it has been populated
+const productIdOf = (item) => item.product?._id || item.product;
+
 // ==================
 // VIRTUALS
 // ==================
@@ -71,17 +85,17 @@ cartSchema.pre('save', function(next) {
   next();
 });
 
-// Remove duplicate products (keep latest)
+// Remove duplicate lines (keep latest)
 cartSchema.pre('save', function(next) {
   const uniqueItems = [];
-  const productIds = new Set();
+  const keys = new Set();
   
   // Iterate from end to keep latest additions
   for (let i = this.items.length - 1; i >= 0; i--) {
-    const productId = this.items[i].product.toString();
-    if (!productIds.has(productId)) {
+    const key = lineKey(productIdOf(this.items[i]), this.items[i].variant);
+    if (!keys.has(key)) {
       uniqueItems.unshift(this.items[i]);
-      productIds.add(productId);
+      keys.add(key);
     }
   }
   
@@ -93,17 +107,22 @@ cartSchema.pre('save', function(next) {
 // METHODS
 // ==================
 
+// Find the line for a product (and variant)
+cartSchema.methods.findItem = function(productId, variantId) {
+  const key = lineKey(productId, variantId);
+  return this.items.find(item => lineKey(productIdOf(item), item.variant) === key);
+};
+
 // Add item to cart
-cartSchema.methods.addItem = async function(productId, quantity = 1) {
-  const existingItem = this.items.find(
-    item => item.product.toString() === productId.toString()
-  );
+cartSchema.methods.addItem = async function(productId, quantity = 1, variantId) {
+  const existingItem = this.findItem(productId, variantId);
   
   if (existingItem) {
     existingItem.quantity += quantity;
   } else {
     this.items.push({
       product: productId,
+      variant: variantId,
       quantity,
       addedAt: new Date()
     });
@@ -114,17 +133,15 @@ cartSchema.methods.addItem = async function(productId, quantity = 1) {
 };
 
 // Update item quantity
-cartSchema.methods.updateItemQuantity = async function(productId, quantity) {
-  const item = this.items.find(
-    item => item.product.toString() === productId.toString()
-  );
+cartSchema.methods.updateItemQuantity = async function(productId, quantity, variantId) {
+  const item = this.findItem(productId, variantId);
   
   if (!item) {
     throw new Error('Item not found in cart');
   }
   
   if (quantity <= 0) {
-    return this.removeItem(productId);
+    return this.removeItem(productId, variantId);
   }
   
   item.quantity = quantity;
@@ -133,9 +150,10 @@ cartSchema.methods.updateItemQuantity = async function(productId, quantity) {
 };
 
 // Remove item from cart
-cartSchema.methods.removeItem = async function(productId) {
+cartSchema.methods.removeItem = async function(productId, variantId) {
+  const key = lineKey(productId, variantId);
   this.items = this.items.filter(
-    item => item.product.toString() !== productId.toString()
+    item => lineKey(productIdOf(item), item.variant) !== key
   );
   
   await this.save();
@@ -153,7 +171,7 @@ cartSchema.methods.clearCart = async function() {
 cartSchema.methods.getCartWithDetails = async function() {
   await this.populate({
     path: 'items.product',
-    select: 'name slug price salePrice images stock inStock'
+    select: 'name slug price salePrice images stock inStock variants'
   });
   
   return this;
@@ -168,7 +186,7 @@ cartSchema.methods.calculateTotals = async function() {
   
   for (const item of this.items) {
     if (item.product) {
-      const price = item.product.salePrice || item.product.price;
+      const price = item.product.getUnitPrice(item.variant);
       subtotal += price * item.quantity;
       totalItems += item.quantity;
     }
@@ -189,22 +207,35 @@ cartSchema.methods.validateCart = async function() {
   const validItems = [];
   
   for (const item of this.items) {
+    const variant = item.variant && item.product?.variants.id(item.variant);
+    const stock = variant ? variant.stock : item.product?.stock;
+
     if (!item.product) {
       invalidItems.push({
         reason: 'Product no longer exists',
         item
       });
-    } else if (item.product.stock < item.quantity) {
+    } else if (item.variant && !variant) {
       invalidItems.push({
-        reason: `Only ${item.product.stock} items available`,
-        item,
-        availableStock: item.product.stock
+        reason: 'This option is no longer available',
+        item
       });
-    } else if (item.product.stock === 0) {
+    } else if (!item.variant && item.product.variants.length > 0) {
+      invalidItems.push({
+        reason: 'Please choose an option',
+        item
+      });
+    } else if (stock === 0) {
       invalidItems.push({
         reason: 'Out of stock',
         item
       });
+    } else if (stock < item.quantity) {
+      invalidItems.push({
+        reason: `Only ${stock} items available`,
+        item,
+        availableStock: stock
+      });
     } else {
       validItems.push(item);
     }
@@ -2,7 +2,9 @@
  * ============================================
  * CATEGORY MODEL
  * ============================================
- * Product categories with metadata
+ * Product categories with metadata, arranged in a
+ * parent/child tree. Each category keeps its ancestors
+ * (root first) so a subtree can be queried in one go.
  */
 
 const mongoose = require('mongoose');
@@ -12,7 +14,6 @@ const categorySchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Please provide category name'],
-    unique: true,
     trim: true,
     maxlength: [100, 'Category name cannot exceed 100 characters']
   },
@@ -23,6 +24,21 @@ const categorySchema = new mongoose.Schema({
     lowercase: true
   },
   
+  // Top-level categories have no parent
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  
+  // Every category above this one, root first
+  ancestors: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }
+  ],
+  
   description: {
     type: String,
     maxlength: [500, 'Description cannot exceed 500 characters']
@@ -39,6 +55,7 @@ const categorySchema = new mongoose.Schema({
     }
   },
   
+  // Products in this category or any of its subcategories
   productCount: {
     type: Number,
     default: 0,
@@ -60,11 +77,37 @@ const categorySchema = new mongoose.Schema({
 
 categorySchema.index({ slug: 1 });
 categorySchema.index({ isActive: 1 });
+categorySchema.index({ parent: 1, name: 1 }, { unique: true }); // Names are unique among siblings
+categorySchema.index({ ancestors: 1 });
 
 // ==================
 // MIDDLEWARE
 // ==================
 
+// Place the category under its parent, refusing moves that would create a loop
+categorySchema.pre('validate', async function(next) {
+  if (!this.isModified('parent')) return next();
+
+  this.$locals.previousAncestors = this.isNew ? [] : [...this.ancestors];
+  this.$locals.moved = !this.isNew;
+
+  if (!this.parent) {
+    this.ancestors = [];
+    return next();
+  }
+
+  const parent = await this.constructor.findById(this.parent).select('ancestors');
+
+  if (!parent) {
+    this.invalidate('parent', 'Parent category not found');
+  } else if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+    this.invalidate('parent', 'A category cannot be moved under itself or one of its subcategories');
+  } else {
+    this.ancestors = [...parent.ancestors, parent._id];
+  }
+  next();
+});
+
 // Generate slug before saving
 categorySchema.pre('save', function(next) {
   if (this.isModified('name')) {
@@ -77,6 +120,76 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Ensure slug uniqueness - subcategories fall back to their parent's slug as a prefix
+categorySchema.pre('save', async function(next) {
+  if (!this.isModified('name')) return next();
+
+  const Category = this.constructor;
+  const taken = slug => Category.exists({ slug, _id: { $ne: this._id } });
+  let slug = this.slug;
+
+  if (this.parent && await taken(slug)) {
+    const parent = await Category.findById(this.parent).select('slug');
+    slug = `${parent.slug}-${this.slug}`;
+  }
+
+  const base = slug;
+  let count = 1;
+  while (await taken(slug)) {
+    slug = `${base}-${count}`;
+    count++;
+  }
+
+  this.slug = slug;
+  this.$locals.slugChanged = !this.isNew;
+  next();
+});
+
+// Carry renames and moves through to subcategories and products
+categorySchema.post('save', async function() {
+  const Category = this.constructor;
+  const Product = mongoose.model('Product');
+
+  if (this.$locals.slugChanged) {
+    this.$locals.slugChanged = false;
+    await Product.updateMany({ category: this._id }, { categorySlug: this.slug });
+    await Product.rebuildSearchIndex({ categoryPath: this._id });
+  }
+
+  if (!this.$locals.moved) return;
+  this.$locals.moved = false;
+
+  // Swap the part of each path above this category for its new position
+  const newPath = [...this.ancestors, this._id];
+  const repath = (path) => {
+    const index = path.findIndex(id => id.equals(this._id));
+    return [...newPath, ...path.slice(index + 1)];
+  };
+
+  const descendants = await Category.find({ ancestors: this._id }).select('ancestors');
+  if (descendants.length > 0) {
+    await Category.bulkWrite(descendants.map(category => ({
+      updateOne: {
+        filter: { _id: category._id },
+        update: { $set: { ancestors: repath(category.ancestors) } }
+      }
+    })));
+  }
+
+  const products = await Product.find({ categoryPath: this._id }).select('categoryPath');
+  if (products.length > 0) {
+    await Product.bulkWrite(products.map(product => ({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: { categoryPath: repath(product.categoryPath) } }
+      }
+    })));
+  }
+
+  await Category.refreshProductCounts([...this.$locals.previousAncestors, ...this.ancestors]);
+  await Product.rebuildSearchIndex({ categoryPath: this._id });
+});
+
 // ==================
 // METHODS
 // ==================
@@ -84,7 +197,7 @@ categorySchema.pre('save', function(next) {
 // Update product count
 categorySchema.methods.updateProductCount = async function() {
   const Product = mongoose.model('Product');
-  this.productCount = await Product.countDocuments({ category: this.slug });
+  this.productCount = await Product.countDocuments({ categoryPath: this._id });
   await this.save();
 };
 
@@ -92,19 +205,69 @@ categorySchema.methods.updateProductCount = async function() {
 // STATICS
 // ==================
 
+// Find a category from either its ID or its slug
+categorySchema.statics.findByIdOrSlug = function(value) {
+  if (mongoose.isObjectIdOrHexString(value)) {
+    return this.findById(value);
+  }
+  return this.findOne({ slug: String(value).toLowerCase() });
+};
+
+// Recount products for the given categories
+categorySchema.statics.refreshProductCounts = async function(categoryIds) {
+  const Product = mongoose.model('Product');
+  const ids = [...new Set(categoryIds.map(id => id.toString()))];
+
+  for (const id of ids) {
+    const productCount = await Product.countDocuments({ categoryPath: id });
+    await this.updateOne({ _id: id }, { productCount });
+  }
+};
+
+// Map an old-style category slug and free-text subcategory onto the tree,
+// creating either if missing (used by the seeders and category migration)
+categorySchema.statics.findOrCreateLegacy = async function(slug, subcategory) {
+  let category = await this.findOne({ slug, parent: null });
+
+  if (!category) {
+    const name = slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    category = await this.create({ name });
+  }
+
+  if (!subcategory) return category;
+
+  const name = subcategory.trim().charAt(0).toUpperCase() + subcategory.trim().slice(1);
+  const child = await this.findOne({ parent: category._id, name });
+  return child || this.create({ name, parent: category._id });
+};
+
 // Get active categories
 categorySchema.statics.getActive = function() {
   return this.find({ isActive: true }).sort('name');
 };
 
-// Get categories with product counts
+// Get categories as a nested tree (each with a `children` array)
+categorySchema.statics.getTree = async function(filter = {}) {
+  const categories = await this.find(filter).sort('name').lean();
+  const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    (parent ? parent.children : roots).push(node);
+  }
+
+  return roots;
+};
+
+// Get categories with product counts (including subcategories)
 categorySchema.statics.getWithCounts = async function() {
   return this.aggregate([
     {
       $lookup: {
         from: 'products',
-        localField: 'slug',
-        foreignField: 'category',
+        localField: '_id',
+        foreignField: 'categoryPath',
         as: 'products'
       }
     },
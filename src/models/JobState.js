@@ -0,0 +1,65 @@
+/**
+ * ============================================
+ * JOB STATE MODEL
+ * ============================================
+ * Remembers when once-a-day background tasks last ran,
+ * so a restart or a second server instance doesn't
+ * run them again
+ */
+
+const mongoose = require('mongoose');
+
+const jobStateSchema = new mongoose.Schema({
+  // Task name, e.g. 'reconciliation-report'
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Period the task last ran for, e.g. a date
+  lastPeriod: {
+    type: String
+  },
+
+  lastRunAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true
+});
+
+// ==================
+// STATICS
+// ==================
+
+// Claim a task for a period. Returns false if it has already run for that
+// period, here or on another instance.
+jobStateSchema.statics.claimPeriod = async function(key, period) {
+  try {
+    const state = await this.findOneAndUpdate(
+      { key, lastPeriod: { $ne: period } },
+      { $set: { lastPeriod: period, lastRunAt: new Date() } },
+      { upsert: true, new: true }
+    );
+
+    return Boolean(state);
+  } catch (error) {
+    // The upsert lost to an existing document already claimed for this period
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Give up a claim whose task failed, so the next run tries again
+jobStateSchema.statics.releasePeriod = function(key, period) {
+  return this.updateOne(
+    { key, lastPeriod: period },
+    { $unset: { lastPeriod: 1, lastRunAt: 1 } }
+  );
+};
+
+const JobState = mongoose.model('JobState', jobStateSchema);
+
+module.exports = JobState;
@@ -6,6 +6,18 @@
  */
 
 const mongoose = require('mongoose');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { sendOrderStatusEmail } = require('../utils/emailService');
+
+// Allowed order status transitions (anything else is rejected)
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -55,6 +67,18 @@ const orderSchema = new mongoose.Schema({
         ref: 'Product',
         required: true
       },
+      // Variant of the product bought, with its details as they were at checkout
+      variant: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      sku: {
+        type: String
+      },
+      options: {
+        color: String,
+        material: String,
+        size: String
+      },
       name: {
         type: String,
         required: true
@@ -101,17 +125,60 @@ const orderSchema = new mongoose.Schema({
     default: 'mpesa'
   },
   
+  // 'installments' orders are paid in several M-Pesa payments (layaway)
+  paymentPlan: {
+    type: String,
+    enum: ['full', 'installments'],
+    default: 'full'
+  },
+  
+  installments: {
+    minimumDeposit: Number,
+    dueDate: Date,
+    // Amount paid at which an admin lets the order be processed early
+    releaseThreshold: Number,
+    releaseApprovedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    releaseApprovedAt: Date,
+    // Days-before-due values already reminded about
+    remindersSent: [Number]
+  },
+  
+  // Running total of confirmed payments, and what is still owed
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Payments already counted in amountPaid
+  creditedPayments: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    }
+  ],
+  
+  balance: {
+    type: Number
+  },
+  
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'partially_paid', 'paid', 'failed', 'refunded'],
     default: 'pending',
     index: true
   },
   
   paymentDetails: {
     mpesaReceiptNumber: String,
-    transactionId: String,
+    transactionId: String, // Provider reference (CheckoutRequestID) of the latest attempt
+    providerTransactionId: String, // Card/fake gateway transaction that paid the order
+    checkoutUrl: String, // Hosted checkout page of the latest attempt
     phoneNumber: String,
+    failureReason: String, // Result of the latest failed attempt
     paidAt: Date
   },
   
@@ -156,6 +223,82 @@ const orderSchema = new mongoose.Schema({
   refundAmount: {
     type: Number,
     min: 0
+  },
+  
+  refunds: [
+    {
+      amount: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      method: {
+        type: String,
+        enum: ['mpesa', 'card', 'cod']
+      },
+      // Original M-Pesa receipt the refund is made against
+      mpesaReceiptNumber: String,
+      return: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Return'
+      },
+      // Payout record when the money is sent back through the payment provider
+      payout: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Refund'
+      },
+      reason: String,
+      refundedAt: {
+        type: Date,
+        default: Date.now
+      },
+      processedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }
+  ],
+  
+  // Return requests made against the order. Bumped in the same transaction
+  // that creates a return, so overlapping requests can't both pass the
+  // quantity check.
+  returnRequests: {
+    type: Number,
+    default: 0
+  },
+  
+  // Unpaid online orders only keep their stock until this time
+  stockHoldExpiresAt: {
+    type: Date
+  },
+  
+  // Cash on delivery: admin confirmation and the rider's cash collection
+  cod: {
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    confirmedAt: Date,
+    rider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: Date,
+    collectionStatus: {
+      type: String,
+      enum: ['pending', 'collected', 'short']
+    },
+    amountCollected: {
+      type: Number,
+      min: 0
+    },
+    variance: Number, // amountCollected - total (negative when short)
+    collectedAt: Date,
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    collectionNote: String
   }
   
 }, {
@@ -171,6 +314,9 @@ orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ orderStatus: 1, paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'paymentDetails.mpesaReceiptNumber': 1 });
+orderSchema.index({ stockHoldExpiresAt: 1 }, { sparse: true });
+orderSchema.index({ 'cod.rider': 1, 'cod.collectedAt': -1 });
+orderSchema.index({ paymentPlan: 1, paymentStatus: 1, 'installments.dueDate': 1 });
 
 // ==================
 // VIRTUALS
@@ -183,13 +329,19 @@ orderSchema.virtual('isCompleted').get(function() {
 
 // Check if order can be cancelled
 orderSchema.virtual('canBeCancelled').get(function() {
-  return ['pending', 'confirmed'].includes(this.orderStatus);
+  return this.getNextStatuses().includes('cancelled');
 });
 
 // ==================
 // MIDDLEWARE
 // ==================
 
+// Keep the outstanding balance in step with payments
+orderSchema.pre('save', function(next) {
+  this.balance = Math.max(Math.round(this.total) - (this.amountPaid || 0), 0);
+  next();
+});
+
 // Generate order number before saving
 orderSchema.pre('save', async function(next) {
   if (this.isNew) {
@@ -202,7 +354,7 @@ orderSchema.pre('save', async function(next) {
     const startOfDay = new Date(date.setHours(0, 0, 0, 0));
     const count = await mongoose.model('Order').countDocuments({
       createdAt: { $gte: startOfDay }
-    });
+    }).session(this.$session());
     
     // Generate order number: ORD-YYYYMMDD-XXXX
     this.orderNumber = `ORD-${year}${month}${day}-${String(count + 1).padStart(4, '0')}`;
@@ -226,8 +378,39 @@ orderSchema.pre('save', function(next) {
 // METHODS
 // ==================
 
-// Update order status
+// Get the statuses this order may move to next
+orderSchema.methods.getNextStatuses = function() {
+  return STATUS_TRANSITIONS[this.orderStatus] || [];
+};
+
+// Update order status (enforces the status state machine and runs side effects)
 orderSchema.methods.updateStatus = async function(newStatus, note, updatedBy) {
+  const currentStatus = this.orderStatus;
+  const allowedStatuses = this.getNextStatuses();
+  
+  if (!allowedStatuses.includes(newStatus)) {
+    throw new ErrorResponse(
+      `Cannot change order status from ${currentStatus} to ${newStatus}. ` +
+      `Valid next states: ${allowedStatuses.join(', ') || 'none'}`,
+      409,
+      { currentStatus, allowedStatuses }
+    );
+  }
+  
+  // Instalment orders wait for full payment or an approved deposit threshold
+  if (newStatus === 'confirmed' && this.paymentPlan === 'installments' &&
+      this.paymentStatus !== 'paid' && !this.isReleasable()) {
+    throw new ErrorResponse(
+      `Order has a balance of Ksh ${this.balance} and no approved deposit threshold has been reached`,
+      409
+    );
+  }
+  
+  // Cash orders are only delivered once the rider has collected in full
+  if (newStatus === 'delivered' && this.paymentMethod === 'cod' && this.cod?.collectionStatus !== 'collected') {
+    throw new ErrorResponse('Record the cash collection before marking a cash on delivery order as delivered', 409);
+  }
+  
   this.orderStatus = newStatus;
   this.statusHistory.push({
     status: newStatus,
@@ -235,18 +418,155 @@ orderSchema.methods.updateStatus = async function(newStatus, note, updatedBy) {
     note: note || `Status changed to ${newStatus}`,
     updatedBy
   });
-  await this.save();
+  
+  if (newStatus === 'delivered') {
+    this.deliveryDate = new Date();
+  }
+  
+  // Confirming a cash order is the admin's check that the customer is genuine
+  if (newStatus === 'confirmed' && this.paymentMethod === 'cod') {
+    this.cod.confirmedBy = updatedBy;
+    this.cod.confirmedAt = new Date();
+  }
+  
+  if (newStatus === 'cancelled') {
+    this.cancelReason = note;
+    this.stockHoldExpiresAt = undefined;
+    
+    // Save the cancellation and return the stock together
+    const Product = mongoose.model('Product');
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Only cancel the order as it was loaded - a payment landing meanwhile wins
+        const { matchedCount } = await this.constructor.updateOne(
+          { _id: this._id, orderStatus: currentStatus, amountPaid: this.amountPaid ?? null },
+          { $set: { orderStatus: newStatus } },
+          { session }
+        );
+        if (matchedCount === 0) {
+          throw new ErrorResponse('Order changed while it was being cancelled - reload it and try again', 409);
+        }
+        
+        await this.save({ session });
+        for (const item of this.items) {
+          await Product.releaseStock(item, session);
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+  } else {
+    await this.save();
+  }
+  
+  await sendOrderStatusEmail(this, newStatus);
+};
+
+// Whether an admin-approved deposit threshold has been reached
+orderSchema.methods.isReleasable = function() {
+  const threshold = this.installments?.releaseThreshold;
+  return Boolean(threshold) && (this.amountPaid || 0) >= threshold;
+};
+
+// Smallest and largest amount the next payment may be
+orderSchema.methods.getPaymentLimits = function() {
+  const balance = Math.max(Math.round(this.total) - (this.amountPaid || 0), 0);
+  
+  if (this.paymentPlan !== 'installments') {
+    return { min: balance, max: balance };
+  }
+  
+  // The first payment must cover the deposit (or everything, if less is owed)
+  const min = this.amountPaid > 0
+    ? 1
+    : Math.min(this.installments.minimumDeposit, balance);
+  
+  return { min, max: balance };
+};
+
+// Apply a confirmed payment; the last one marks the order paid.
+// Each payment is credited at most once, so a retried settlement is harmless.
+orderSchema.methods.applyPayment = async function(paymentId, amount, paymentDetails) {
+  const details = Object.fromEntries(
+    Object.entries(paymentDetails).filter(([, value]) => value !== undefined)
+  );
+  const isPaid = { $eq: ['$paymentStatus', 'paid'] };
+  
+  // Credit, settle the payment status and merge the details in one update, so
+  // instalments landing together never see or save each other's stale totals
+  let updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, creditedPayments: { $ne: paymentId } },
+    [
+      {
+        $set: {
+          amountPaid: { $add: [{ $ifNull: ['$amountPaid', 0] }, amount] },
+          creditedPayments: { $concatArrays: [{ $ifNull: ['$creditedPayments', []] }, [paymentId]] }
+        }
+      },
+      {
+        $set: {
+          balance: { $max: [{ $subtract: [{ $round: ['$total', 0] }, '$amountPaid'] }, 0] },
+          paymentStatus: {
+            $cond: [
+              { $or: [isPaid, { $gte: ['$amountPaid', { $round: ['$total', 0] }] }] },
+              'paid',
+              'partially_paid'
+            ]
+          }
+        }
+      },
+      {
+        $set: {
+          paymentDetails: {
+            $mergeObjects: [
+              { $ifNull: ['$paymentDetails', {}] },
+              { $literal: details },
+              { paidAt: { $cond: [isPaid, { $ifNull: ['$paymentDetails.paidAt', '$$NOW'] }, '$$REMOVE'] } }
+            ]
+          }
+        }
+      },
+      // The payment secures the stock (sold, or held until the due date)
+      { $unset: ['stockHoldExpiresAt', 'paymentDetails.failureReason'] }
+    ],
+    { new: true }
+  );
+  
+  // Already credited - pick up where an interrupted settlement left off
+  if (!updated) {
+    updated = await this.constructor.findById(this._id);
+  }
+  
+  // Take the stored values without marking them for the next save
+  for (const path of ['amountPaid', 'balance', 'creditedPayments', 'paymentStatus', 'paymentDetails', 'stockHoldExpiresAt']) {
+    this.set(path, updated.get(path));
+    this.unmarkModified(path);
+  }
+  
+  if (this.orderStatus !== 'pending') return;
+  
+  if (this.paymentStatus === 'paid') {
+    await this.updateStatus('confirmed', 'Payment received and order confirmed');
+  } else if (this.isReleasable()) {
+    await this.updateStatus('confirmed', 'Approved deposit threshold reached - released for processing');
+  }
 };
 
 // Mark as paid
 orderSchema.methods.markAsPaid = async function(paymentDetails) {
   this.paymentStatus = 'paid';
+  this.amountPaid = Math.max(this.amountPaid || 0, Math.round(this.total));
   this.paymentDetails = {
     ...this.paymentDetails,
     ...paymentDetails,
+    failureReason: undefined,
     paidAt: new Date()
   };
   
+  // Stock is now sold, no longer just held
+  this.stockHoldExpiresAt = undefined;
+  
   // Auto-confirm order when paid
   if (this.orderStatus === 'pending') {
     await this.updateStatus('confirmed', 'Payment received and order confirmed');
@@ -255,22 +575,96 @@ orderSchema.methods.markAsPaid = async function(paymentDetails) {
   }
 };
 
+// Record cash collected by the rider; full payment marks the order paid and delivered
+orderSchema.methods.recordCodCollection = async function({ amount, collectedBy, note }) {
+  if (this.paymentMethod !== 'cod') {
+    throw new ErrorResponse('Only cash on delivery orders collect cash', 400);
+  }
+  
+  if (this.cod?.collectionStatus === 'collected') {
+    throw new ErrorResponse('Cash has already been collected for this order', 400);
+  }
+  
+  if (!['shipped', 'delivered'].includes(this.orderStatus)) {
+    throw new ErrorResponse('Cash can only be collected once the order is out for delivery', 400);
+  }
+  
+  // A short collection can be topped up on a later visit
+  const amountCollected = (this.cod.amountCollected || 0) + amount;
+  const amountDue = Math.round(this.total);
+  
+  this.cod.amountCollected = amountCollected;
+  this.cod.variance = amountCollected - amountDue;
+  this.cod.collectionStatus = amountCollected >= amountDue ? 'collected' : 'short';
+  this.cod.collectedAt = new Date();
+  this.cod.collectedBy = collectedBy;
+  this.cod.collectionNote = note;
+  
+  if (this.cod.collectionStatus === 'short') {
+    await this.save();
+    return;
+  }
+  
+  await this.markAsPaid({ transactionId: `COD-${this.orderNumber}` });
+  
+  if (this.orderStatus === 'shipped') {
+    await this.updateStatus('delivered', 'Delivered and cash collected', collectedBy);
+  }
+};
+
 // Cancel order
 orderSchema.methods.cancelOrder = async function(reason, cancelledBy) {
   if (!this.canBeCancelled) {
-    throw new Error('Order cannot be cancelled at this stage');
+    throw new ErrorResponse('Order cannot be cancelled at this stage', 400);
   }
   
-  this.orderStatus = 'cancelled';
-  this.cancelReason = reason;
-  this.statusHistory.push({
-    status: 'cancelled',
-    timestamp: new Date(),
-    note: reason,
-    updatedBy: cancelledBy
-  });
+  await this.updateStatus('cancelled', reason, cancelledBy);
+};
+
+// Check a refund fits within what was paid and not yet refunded
+// (pending: payouts already on their way to the customer)
+orderSchema.methods.assertRefundable = function(amount, pending = 0) {
+  if (!['paid', 'partially_paid'].includes(this.paymentStatus)) {
+    throw new ErrorResponse('Only paid orders can be refunded', 400);
+  }
+  
+  // Instalment orders can only get back what has been paid so far
+  const paidTotal = this.amountPaid || this.total;
+  const refundable = paidTotal - (this.refundAmount || 0) - pending;
+  if (amount > refundable) {
+    throw new ErrorResponse(`Refund exceeds the refundable balance of Ksh ${Math.max(refundable, 0)}`, 400);
+  }
+};
+
+// Record a full or partial refund against the original payment
+orderSchema.methods.recordRefund = async function({ amount, returnId, reason, processedBy, payoutId }) {
+  this.assertRefundable(amount);
+  
+  const paidTotal = this.amountPaid || this.total;
+  
+  const refund = {
+    amount,
+    method: this.paymentMethod,
+    mpesaReceiptNumber: this.paymentMethod === 'mpesa'
+      ? this.paymentDetails.mpesaReceiptNumber
+      : undefined,
+    return: returnId,
+    payout: payoutId,
+    reason,
+    refundedAt: new Date(),
+    processedBy
+  };
+  
+  this.refunds.push(refund);
+  this.refundAmount = (this.refundAmount || 0) + amount;
+  
+  // Partial refunds keep the order paid; a full refund flips it
+  if (this.refundAmount >= paidTotal) {
+    this.paymentStatus = 'refunded';
+  }
   
   await this.save();
+  return this.refunds[this.refunds.length - 1];
 };
 
 // Calculate delivery estimate (3-5 business days)
@@ -295,6 +689,16 @@ orderSchema.methods.getDeliveryEstimate = function() {
 // STATICS
 // ==================
 
+// Query for unpaid online (M-Pesa or card) orders whose stock hold has run out
+orderSchema.statics.expiredHoldFilter = function(now = new Date()) {
+  return {
+    paymentMethod: { $ne: 'cod' },
+    paymentStatus: { $ne: 'paid' },
+    orderStatus: 'pending',
+    stockHoldExpiresAt: { $lte: now }
+  };
+};
+
 // Get user's orders
 orderSchema.statics.getUserOrders = function(userId, options = {}) {
   const query = this.find({ user: userId })
@@ -0,0 +1,92 @@
+/**
+ * ============================================
+ * ONE-TIME CODE MODEL
+ * ============================================
+ * The current SMS code for a phone number and purpose.
+ * Requesting a new code replaces the previous one.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const otpSchema = new mongoose.Schema({
+  // Phone number in 254XXXXXXXXX format
+  phone: {
+    type: String,
+    required: true
+  },
+
+  purpose: {
+    type: String,
+    enum: ['verify_phone', 'login'],
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // HMAC of the code - the code itself is only sent by SMS
+  codeHash: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  lastSentAt: {
+    type: Date,
+    required: true
+  },
+
+  consumedAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true
+});
+
+// ==================
+// INDEXES
+// ==================
+
+otpSchema.index({ phone: 1, purpose: 1 }, { unique: true });
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 }); // kept a day for resend throttling
+
+// ==================
+// STATIC METHODS
+// ==================
+
+// Hash a code, bound to the phone and purpose it was issued for
+otpSchema.statics.hashCode = function(phone, purpose, code) {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${phone}:${purpose}:${code}`)
+    .digest('hex');
+};
+
+// ==================
+// METHODS
+// ==================
+
+// Check a submitted code against the stored hash
+otpSchema.methods.matches = function(code) {
+  const expected = Buffer.from(this.codeHash);
+  const actual = Buffer.from(this.constructor.hashCode(this.phone, this.purpose, String(code)));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const Otp = mongoose.model('Otp', otpSchema);
+
+module.exports = Otp;
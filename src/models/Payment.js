@@ -0,0 +1,313 @@
+/**
+ * ============================================
+ * PAYMENT MODEL
+ * ============================================
+ * Every payment attempt on an order, with its request,
+ * result and raw callback. Keyed by the provider's
+ * reference (CheckoutRequestID for M-Pesa) and receipt
+ * so callbacks and webhooks apply only once.
+ */
+
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  provider: {
+    type: String,
+    enum: ['mpesa', 'card', 'fake'],
+    default: 'mpesa'
+  },
+
+  // Provider's ID for this attempt; missing when initiation was rejected
+  reference: {
+    type: String
+  },
+
+  // Hosted checkout page the customer is sent to (card, fake)
+  checkoutUrl: {
+    type: String
+  },
+
+  // M-Pesa only; missing when the STK push itself was rejected
+  checkoutRequestId: {
+    type: String
+  },
+
+  merchantRequestId: {
+    type: String
+  },
+
+  // What we asked the customer to pay
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Phone the STK push was sent to (254XXXXXXXXX)
+  phoneNumber: {
+    type: String,
+    required: function() {
+      return this.provider === 'mpesa';
+    }
+  },
+
+  // Summary of what was sent to Daraja (no credentials)
+  request: {
+    accountReference: String,
+    transactionDesc: String,
+    initiatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'flagged'],
+    default: 'pending',
+    index: true
+  },
+
+  // Set from the first callback; later ones are duplicates
+  mpesaReceiptNumber: {
+    type: String
+  },
+
+  // Card/fake gateway transaction ID (M-Pesa uses mpesaReceiptNumber)
+  providerTransactionId: {
+    type: String
+  },
+
+  paidAmount: {
+    type: Number
+  },
+
+  paidPhoneNumber: {
+    type: String
+  },
+
+  resultCode: {
+    type: Number
+  },
+
+  resultDesc: {
+    type: String
+  },
+
+  // Error returned when the STK push could not be sent
+  errorMessage: {
+    type: String
+  },
+
+  rawCallback: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  flagReasons: [
+    {
+      type: String
+    }
+  ],
+
+  callbackCount: {
+    type: Number,
+    default: 0
+  },
+
+  // When the (first) callback or status query result was processed
+  processedAt: {
+    type: Date
+  },
+
+  // How the final result was learned ('callback' includes provider webhooks)
+  confirmedVia: {
+    type: String,
+    enum: ['callback', 'query', 'admin']
+  },
+
+  // Status queries made by reconciliation when no callback arrives
+  queryAttempts: {
+    type: Number,
+    default: 0
+  },
+
+  nextQueryAt: {
+    type: Date
+  },
+
+  lastQueriedAt: {
+    type: Date
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  reviewedAt: {
+    type: Date
+  },
+
+  reviewNote: {
+    type: String,
+    trim: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// ==================
+// INDEXES
+// ==================
+
+paymentSchema.index(
+  { checkoutRequestId: 1 },
+  { unique: true, partialFilterExpression: { checkoutRequestId: { $type: 'string' } } }
+);
+
+// A receipt can only ever confirm one payment
+paymentSchema.index(
+  { mpesaReceiptNumber: 1 },
+  { unique: true, partialFilterExpression: { mpesaReceiptNumber: { $type: 'string' } } }
+);
+paymentSchema.index(
+  { provider: 1, reference: 1 },
+  { unique: true, partialFilterExpression: { reference: { $type: 'string' } } }
+);
+paymentSchema.index(
+  { provider: 1, providerTransactionId: 1 },
+  { unique: true, partialFilterExpression: { providerTransactionId: { $type: 'string' } } }
+);
+paymentSchema.index({ status: 1, createdAt: -1 });
+paymentSchema.index({ order: 1, createdAt: -1 });
+paymentSchema.index({ status: 1, processedAt: 1, nextQueryAt: 1 });
+
+// ==================
+// METHODS
+// ==================
+
+// Compare a successful callback with what was requested; returns reasons to flag it
+paymentSchema.methods.getMismatches = function(result, order) {
+  const reasons = [];
+
+  const paidAmount = Number(result.amount);
+  if (paidAmount !== this.amount) {
+    reasons.push(`Amount mismatch: paid ${paidAmount}, expected ${this.amount}`);
+  }
+
+  // Another attempt may have reduced the balance since this one was requested
+  const balance = Math.max(Math.round(order.total) - (order.amountPaid || 0), 0);
+  if (paidAmount > balance) {
+    reasons.push(`Overpayment: paid ${paidAmount}, balance was ${balance}`);
+  }
+
+  if (result.currency && result.currency !== 'KES') {
+    reasons.push(`Currency mismatch: paid in ${result.currency}, expected KES`);
+  }
+
+  // Card gateways don't report a phone number
+  if (this.provider === 'mpesa') {
+    const paidPhone = String(result.phoneNumber || '');
+    if (paidPhone !== this.phoneNumber) {
+      reasons.push(`Phone mismatch: paid from ${paidPhone || 'unknown'}, expected ${this.phoneNumber}`);
+    }
+  }
+
+  return reasons;
+};
+
+// Receipt proving the money arrived, whichever provider took it
+paymentSchema.methods.getReceipt = function() {
+  return this.provider === 'mpesa' ? this.mpesaReceiptNumber : this.providerTransactionId;
+};
+
+// ==================
+// STATICS
+// ==================
+
+// Claim a callback for processing. Returns null if the payment is unknown
+// or a previous callback already processed it (Safaricom retries callbacks).
+paymentSchema.statics.claimForCallback = async function(checkoutRequestId) {
+  const payment = await this.findOneAndUpdate(
+    { checkoutRequestId, processedAt: { $exists: false } },
+    { $set: { processedAt: new Date() }, $inc: { callbackCount: 1 } },
+    { new: true }
+  );
+
+  if (!payment) {
+    // Still count duplicates so retries are visible
+    await this.updateOne({ checkoutRequestId }, { $inc: { callbackCount: 1 } });
+  }
+
+  return payment;
+};
+
+// Claim a provider webhook for processing (same rules as claimForCallback)
+paymentSchema.statics.claimForWebhook = async function(provider, reference) {
+  const payment = await this.findOneAndUpdate(
+    { provider, reference, processedAt: { $exists: false } },
+    { $set: { processedAt: new Date() }, $inc: { callbackCount: 1 } },
+    { new: true }
+  );
+
+  if (!payment) {
+    await this.updateOne({ provider, reference }, { $inc: { callbackCount: 1 } });
+  }
+
+  return payment;
+};
+
+// Claim an unprocessed attempt after a definitive status query result
+paymentSchema.statics.claimForQuery = function(paymentId) {
+  return this.findOneAndUpdate(
+    { _id: paymentId, processedAt: { $exists: false } },
+    { $set: { processedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Undo a claim whose result could not be applied, so a retried callback,
+// status query or the reconciler picks the attempt up again
+paymentSchema.statics.releaseClaim = function(paymentId) {
+  return this.updateOne(
+    { _id: paymentId },
+    {
+      $set: { status: 'pending' },
+      $unset: { processedAt: 1, confirmedVia: 1, flagReasons: 1 }
+    }
+  );
+};
+
+// Pending attempts whose callback is overdue and are due for a status query
+paymentSchema.statics.getStale = function(olderThan, limit = 50) {
+  return this.find({
+    status: 'pending',
+    checkoutRequestId: { $type: 'string' },
+    processedAt: { $exists: false },
+    createdAt: { $lte: olderThan },
+    $or: [
+      { nextQueryAt: { $exists: false } },
+      { nextQueryAt: { $lte: new Date() } }
+    ]
+  })
+    .sort('createdAt')
+    .limit(limit);
+};
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
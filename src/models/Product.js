@@ -1,5 +1,111 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const { buildSearchFields } = require('../utils/searchText');
+
+// Fields the search index is built from
+const SEARCHABLE_PATHS = ['name', 'description', 'tags', 'category', 'specifications', 'variants'];
+
+const imageSchema = {
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String,
+    required: true
+  },
+  alt: {
+    type: String,
+    default: ''
+  }
+};
+
+// Words (and word fragments) a product can be found by - see utils/searchText
+const searchIndexSchema = new mongoose.Schema({
+  fields: {
+    name: [String],
+    tags: [String],
+    category: [String],
+    attributes: [String],
+    description: [String]
+  },
+  terms: [String],
+  grams: [String]
+}, { _id: false });
+
+// A purchasable option of a product (e.g. grey velvet, 3-seater)
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Please provide a SKU for each variant'],
+    uppercase: true,
+    trim: true,
+    maxlength: [64, 'SKU cannot exceed 64 characters']
+  },
+
+  options: {
+    color: {
+      type: String,
+      trim: true
+    },
+    // Fabric or finish
+    material: {
+      type: String,
+      trim: true
+    },
+    size: {
+      type: String,
+      trim: true
+    }
+  },
+
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+
+  salePrice: {
+    type: Number,
+    min: [0, 'Sale price cannot be negative'],
+    validate: {
+      validator: function(value) {
+        const price = this.price ?? this.parent().price;
+        return !value || value < price;
+      },
+      message: 'Variant sale price must be less than its regular price'
+    }
+  },
+
+  stock: {
+    type: Number,
+    required: [true, 'Please specify stock quantity for each variant'],
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  },
+
+  images: [imageSchema]
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Option values joined for display, e.g. "Grey / Velvet / 3-seater"
+variantSchema.virtual('label').get(function() {
+  const { color, material, size } = this.options || {};
+  return [color, material, size].filter(Boolean).join(' / ');
+});
+
+variantSchema.virtual('inStock').get(function() {
+  return this.stock > 0;
+});
+
+// Variant prices replace the product's; otherwise the product's sale applies
+variantSchema.virtual('finalPrice').get(function() {
+  if (this.salePrice) return this.salePrice;
+  if (this.price != null) return this.price;
+  return this.parent().finalPrice;
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -38,38 +144,31 @@ const productSchema = new mongoose.Schema({
     }
   },
   
+  // Most specific category the product belongs to (may be a subcategory)
   category: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
     required: [true, 'Please specify product category'],
-    enum: {
-      values: ['living-room', 'bedroom', 'dining', 'office', 'outdoor', 'storage', 'lighting', 'decor'],
-      message: 'Invalid category'
-    },
     index: true
   },
   
-  subcategory: {
+  // Copied from the category so listings don't need a lookup
+  categorySlug: {
     type: String,
-    trim: true
+    lowercase: true,
+    index: true
   },
   
-  images: [
+  // The category and every category above it, root first
+  categoryPath: [
     {
-      url: {
-        type: String,
-        required: true
-      },
-      publicId: {
-        type: String,
-        required: true
-      },
-      alt: {
-        type: String,
-        default: ''
-      }
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
     }
   ],
   
+  images: [imageSchema],
+  
   specifications: {
     dimensions: {
       type: String,
@@ -102,12 +201,24 @@ const productSchema = new mongoose.Schema({
     }
   ],
   
+  // Total across variants when the product has any
   stock: {
     type: Number,
     required: [true, 'Please specify stock quantity'],
     min: [0, 'Stock cannot be negative'],
     default: 0
   },
+
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: function(variants) {
+        const skus = variants.map(variant => variant.sku);
+        return new Set(skus).size === skus.length;
+      },
+      message: 'Variant SKUs must be unique'
+    }
+  },
   
   featured: {
     type: Boolean,
@@ -140,6 +251,21 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Number of reviews cannot be negative']
   },
   
+  // Tokenised copy of the searchable fields, maintained on save
+  searchIndex: {
+    type: searchIndexSchema,
+    select: false
+  },
+  
+  reviewModeration: {
+    type: String,
+    enum: {
+      values: ['auto-approve', 'moderated'],
+      message: 'Review moderation must be auto-approve or moderated'
+    },
+    default: 'auto-approve'
+  },
+  
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -156,16 +282,25 @@ const productSchema = new mongoose.Schema({
 // INDEXES
 // ==================
 
-// Text index for search functionality
-productSchema.index({ name: 'text', tags: 'text', description: 'text' });
+// Search: exact/prefix word lookups and typo-tolerant fragment lookups
+productSchema.index({ 'searchIndex.terms': 1 });
+productSchema.index({ 'searchIndex.grams': 1 });
 
 // Compound indexes for common queries
-productSchema.index({ category: 1, featured: 1 });
-productSchema.index({ category: 1, bestSeller: 1 });
-productSchema.index({ category: 1, newArrival: 1 });
+productSchema.index({ categoryPath: 1, featured: 1 });
+productSchema.index({ categoryPath: 1, bestSeller: 1 });
+productSchema.index({ categoryPath: 1, newArrival: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ createdAt: -1 });
 
+// SKUs are unique across the catalogue
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+productSchema.index({ 'variants.options.color': 1 });
+productSchema.index({ 'variants.options.material': 1 });
+
 // ==================
 // VIRTUALS
 // ==================
@@ -191,10 +326,57 @@ productSchema.virtual('finalPrice').get(function() {
   return this.salePrice && this.salePrice < this.price ? this.salePrice : this.price;
 });
 
+// ==================
+// HELPERS
+// ==================
+
+/**
+ * Search fields for a product
+ * @param {object} product - Product document or plain object
+ * @param {string[]} categoryNames - Names along the product's category path
+ */
+const buildProductSearchIndex = (product, categoryNames) => {
+  const { specifications = {}, variants = [] } = product;
+
+  return buildSearchFields({
+    name: product.name,
+    tags: product.tags,
+    categories: categoryNames,
+    attributes: [
+      specifications.material,
+      specifications.color,
+      ...variants.flatMap(variant => [
+        variant.sku,
+        variant.options?.color,
+        variant.options?.material,
+        variant.options?.size
+      ])
+    ].filter(Boolean),
+    description: product.description
+  });
+};
+
 // ==================
 // MIDDLEWARE
 // ==================
 
+// Denormalise the category's slug and path whenever it changes
+productSchema.pre('validate', async function(next) {
+  if (!this.isModified('category') || !this.category) return next();
+
+  const category = await mongoose.model('Category').findById(this.category).select('slug ancestors');
+
+  if (!category) {
+    this.invalidate('category', 'Category not found');
+    return next();
+  }
+
+  this.$locals.previousCategoryPath = this.isNew ? [] : [...this.categoryPath];
+  this.categorySlug = category.slug;
+  this.categoryPath = [...category.ancestors, category._id];
+  next();
+});
+
 // Generate slug before saving
 productSchema.pre('save', function(next) {
   if (this.isModified('name')) {
@@ -224,6 +406,23 @@ productSchema.pre('save', async function(next) {
   next();
 });
 
+// Product stock is the sum of its variants' stock
+productSchema.pre('save', function(next) {
+  if (this.variants.length > 0) {
+    this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+  }
+  next();
+});
+
+// Rebuild the search index when searchable fields change
+productSchema.pre('save', async function(next) {
+  if (!this.isNew && !SEARCHABLE_PATHS.some(path => this.isModified(path))) return next();
+
+  const categories = await mongoose.model('Category').find({ _id: { $in: this.categoryPath } }).select('name');
+  this.searchIndex = buildProductSearchIndex(this, categories.map(category => category.name));
+  next();
+});
+
 // Update timestamps for image changes
 productSchema.pre('save', function(next) {
   if (this.isModified('images')) {
@@ -232,6 +431,19 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Keep category product counts in step with the product's category
+productSchema.post('save', async function() {
+  const previousPath = this.$locals.previousCategoryPath;
+  if (!previousPath) return;
+
+  this.$locals.previousCategoryPath = undefined;
+  await mongoose.model('Category').refreshProductCounts([...previousPath, ...this.categoryPath]);
+});
+
+productSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await mongoose.model('Category').refreshProductCounts(this.categoryPath);
+});
+
 // ==================
 // METHODS
 // ==================
@@ -243,6 +455,12 @@ productSchema.methods.updateStock = async function(quantity) {
   await this.save();
 };
 
+// Unit price for a variant (or the product itself when it has none)
+productSchema.methods.getUnitPrice = function(variantId) {
+  const variant = variantId && this.variants.id(variantId);
+  return variant ? variant.finalPrice : this.finalPrice;
+};
+
 // Add review and update rating
 productSchema.methods.addReview = async function(rating) {
   this.numReviews += 1;
@@ -254,6 +472,44 @@ productSchema.methods.addReview = async function(rating) {
 // STATICS
 // ==================
 
+// Atomically decrement stock, only if enough units are still available.
+// Items for products with variants must name the variant; its stock and
+// the product total move together.
+// Returns null when the product/variant is missing or stock is insufficient.
+productSchema.statics.reserveStock = function({ product, variant, quantity }, session) {
+  if (variant) {
+    return this.findOneAndUpdate(
+      { _id: product, variants: { $elemMatch: { _id: variant, stock: { $gte: quantity } } } },
+      { $inc: { 'variants.$.stock': -quantity, stock: -quantity } },
+      { new: true, session }
+    );
+  }
+
+  return this.findOneAndUpdate(
+    { _id: product, 'variants.0': { $exists: false }, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity } },
+    { new: true, session }
+  );
+};
+
+// Return previously reserved units to stock. Units of a variant that has
+// since been removed have nowhere to go and are dropped.
+productSchema.statics.releaseStock = function({ product, variant, quantity }, session) {
+  if (variant) {
+    return this.findOneAndUpdate(
+      { _id: product, 'variants._id': variant },
+      { $inc: { 'variants.$.stock': quantity, stock: quantity } },
+      { new: true, session }
+    );
+  }
+
+  return this.findByIdAndUpdate(
+    product,
+    { $inc: { stock: quantity } },
+    { new: true, session }
+  );
+};
+
 // Get featured products
 productSchema.statics.getFeatured = function(limit = 8) {
   return this.find({ featured: true, stock: { $gt: 0 } })
@@ -275,16 +531,46 @@ productSchema.statics.getNewArrivals = function(limit = 8) {
     .limit(limit);
 };
 
-// Search products
-productSchema.statics.search = function(query, options = {}) {
-  const searchQuery = {
-    $text: { $search: query },
-    stock: { $gt: 0 }
-  };
-  
-  return this.find(searchQuery, { score: { $meta: 'textScore' } })
-    .sort({ score: { $meta: 'textScore' } })
-    .limit(options.limit || 20);
+// Rebuild the search index for matching products (bulk edits, category
+// renames, and products written without save hooks)
+// Returns the number of products updated
+productSchema.statics.rebuildSearchIndex = async function(filter = {}) {
+  const categories = await mongoose.model('Category').find().select('name').lean();
+  const categoryNames = new Map(categories.map(category => [category._id.toString(), category.name]));
+
+  const cursor = this.find(filter)
+    .select('name description tags categoryPath specifications variants.sku variants.options')
+    .lean()
+    .cursor();
+
+  let updates = [];
+  let count = 0;
+
+  for await (const product of cursor) {
+    const names = (product.categoryPath || [])
+      .map(id => categoryNames.get(id.toString()))
+      .filter(Boolean);
+
+    updates.push({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: { searchIndex: buildProductSearchIndex(product, names) } }
+      }
+    });
+
+    if (updates.length === 500) {
+      await this.bulkWrite(updates);
+      count += updates.length;
+      updates = [];
+    }
+  }
+
+  if (updates.length > 0) {
+    await this.bulkWrite(updates);
+    count += updates.length;
+  }
+
+  return count;
 };
 
 const Product = mongoose.model('Product', productSchema);
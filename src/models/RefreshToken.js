@@ -0,0 +1,116 @@
+/**
+ * ============================================
+ * REFRESH TOKEN MODEL
+ * ============================================
+ * One row per issued refresh token. Tokens from the same
+ * login share a family; each refresh revokes the old token
+ * and issues its replacement in the same family.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 of the token - the raw value is only ever sent to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Login session this token belongs to (also carried in access tokens as `sid`)
+  family: {
+    type: String,
+    required: true
+  },
+
+  device: {
+    userAgent: String,
+    ip: String
+  },
+
+  // Session completed the second factor (carried into access tokens as `mfa`)
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  lastUsedAt: {
+    type: Date
+  },
+
+  revokedAt: {
+    type: Date
+  },
+
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_changed']
+  },
+
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  }
+
+}, {
+  timestamps: true
+});
+
+// ==================
+// INDEXES
+// ==================
+
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired tokens
+
+// ==================
+// STATIC METHODS
+// ==================
+
+// Hash a raw refresh token for lookup
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Check whether a login session still has a live refresh token
+refreshTokenSchema.statics.isSessionActive = async function(family) {
+  const token = await this.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!token;
+};
+
+// Revoke every live token in a login session
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every live token a user holds (all devices)
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,170 @@
+/**
+ * ============================================
+ * REFUND MODEL
+ * ============================================
+ * Tracks a refund payout from request to completion
+ * through the provider that took the payment
+ */
+
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+
+  return: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return'
+  },
+
+  orderNumber: {
+    type: String
+  },
+
+  // Recorded on the order's refund entry once the payout completes
+  reason: {
+    type: String
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Refund amount must be at least 1 KES']
+  },
+
+  // How the money is sent back (M-Pesa reversal/B2C, card refund, fake)
+  method: {
+    type: String,
+    enum: ['reversal', 'b2c', 'card', 'fake'],
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'timed_out'],
+    default: 'pending',
+    index: true
+  },
+
+  phoneNumber: {
+    type: String
+  },
+
+  // Receipt of the customer's original payment
+  mpesaReceiptNumber: {
+    type: String
+  },
+
+  // Card/fake transaction being refunded
+  paymentTransactionId: {
+    type: String
+  },
+
+  conversationId: {
+    type: String,
+    index: true
+  },
+
+  originatorConversationId: {
+    type: String,
+    index: true
+  },
+
+  // Provider's transaction ID of the payout itself
+  transactionId: {
+    type: String,
+    index: true
+  },
+
+  resultCode: {
+    type: Number
+  },
+
+  resultDesc: {
+    type: String
+  },
+
+  rawResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Transaction status query sent after the payout timed out
+  statusQuery: {
+    conversationId: {
+      type: String,
+      index: true
+    },
+    originatorConversationId: {
+      type: String,
+      index: true
+    },
+    requestedAt: Date,
+    resultDesc: String
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  completedAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true
+});
+
+// ==================
+// INDEXES
+// ==================
+
+refundSchema.index({ status: 1, createdAt: -1 });
+
+// ==================
+// VIRTUALS
+// ==================
+
+// A refund is settled once M-Pesa has given a final answer
+refundSchema.virtual('isSettled').get(function() {
+  return ['completed', 'failed', 'timed_out'].includes(this.status);
+});
+
+// ==================
+// STATICS
+// ==================
+
+// Find the refund a Daraja result belongs to
+refundSchema.statics.findByConversation = function(conversationId, originatorConversationId) {
+  const conditions = [];
+  if (conversationId) conditions.push({ conversationId });
+  if (originatorConversationId) conditions.push({ originatorConversationId });
+
+  if (conditions.length === 0) return Promise.resolve(null);
+
+  return this.findOne({ $or: conditions });
+};
+
+// Find the refund a transaction status result belongs to
+refundSchema.statics.findByStatusQuery = function(conversationId, originatorConversationId) {
+  const conditions = [];
+  if (conversationId) conditions.push({ 'statusQuery.conversationId': conversationId });
+  if (originatorConversationId) conditions.push({ 'statusQuery.originatorConversationId': originatorConversationId });
+
+  if (conditions.length === 0) return Promise.resolve(null);
+
+  return this.findOne({ $or: conditions });
+};
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+module.exports = Refund;
@@ -0,0 +1,210 @@
+/**
+ * ============================================
+ * RETURN MODEL
+ * ============================================
+ * Customer return requests and their refunds
+ */
+
+const mongoose = require('mongoose');
+
+const returnSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  items: [
+    {
+      orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+      },
+      variant: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      name: {
+        type: String,
+        required: true
+      },
+      price: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      }
+    }
+  ],
+
+  reason: {
+    type: String,
+    required: [true, 'Please provide a reason for the return'],
+    enum: {
+      values: ['damaged', 'defective', 'wrong-item', 'not-as-described', 'changed-mind', 'other'],
+      message: 'Invalid return reason'
+    }
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  images: [
+    {
+      url: {
+        type: String,
+        required: true
+      },
+      publicId: {
+        type: String,
+        required: true
+      }
+    }
+  ],
+
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received'],
+    default: 'requested',
+    index: true
+  },
+
+  refundType: {
+    type: String,
+    enum: ['full', 'partial']
+  },
+
+  refundAmount: {
+    type: Number,
+    min: 0
+  },
+
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+
+  adminNote: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  restockedAt: {
+    type: Date
+  },
+
+  statusHistory: [
+    {
+      status: {
+        type: String,
+        required: true
+      },
+      timestamp: {
+        type: Date,
+        default: Date.now
+      },
+      note: String,
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }
+  ]
+
+}, {
+  timestamps: true
+});
+
+// ==================
+// INDEXES
+// ==================
+
+returnSchema.index({ status: 1, createdAt: 1 });
+
+// ==================
+// VIRTUALS
+// ==================
+
+// Value of the returned items (the maximum refund)
+returnSchema.virtual('itemsValue').get(function() {
+  return this.items.reduce((total, item) => total + item.price * item.quantity, 0);
+});
+
+// ==================
+// MIDDLEWARE
+// ==================
+
+// Add initial status to history
+returnSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.statusHistory.push({
+      status: this.status,
+      timestamp: new Date(),
+      note: 'Return requested',
+      updatedBy: this.user
+    });
+  }
+  next();
+});
+
+// ==================
+// METHODS
+// ==================
+
+// Move to a new status and record it in the history
+returnSchema.methods.setStatus = function(newStatus, note, updatedBy) {
+  this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    timestamp: new Date(),
+    note: note || `Return ${newStatus}`,
+    updatedBy
+  });
+};
+
+// ==================
+// STATICS
+// ==================
+
+// Quantity of each order item already covered by open or completed returns
+returnSchema.statics.getReturnedQuantities = async function(orderId, session = null) {
+  const returns = await this.find({
+    order: orderId,
+    status: { $ne: 'rejected' }
+  }).select('items').session(session);
+
+  const quantities = {};
+
+  for (const ret of returns) {
+    for (const item of ret.items) {
+      const key = item.orderItem.toString();
+      quantities[key] = (quantities[key] || 0) + item.quantity;
+    }
+  }
+
+  return quantities;
+};
+
+const Return = mongoose.model('Return', returnSchema);
+
+module.exports = Return;
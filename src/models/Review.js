@@ -1,6 +1,6 @@
 /**
  * ============================================
- * REVIEW MODEL (Future Feature)
+ * REVIEW MODEL
  * ============================================
  * Product reviews and ratings
  */
@@ -55,7 +55,28 @@ const reviewSchema = new mongoose.Schema({
   
   isApproved: {
     type: Boolean,
-    default: true // Set to false if you want to moderate reviews
+    default: true // Kept in sync with moderationStatus
+  },
+  
+  moderationStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'flagged'],
+    default: 'approved'
+  },
+  
+  moderationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Moderation reason cannot exceed 500 characters']
+  },
+  
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  moderatedAt: {
+    type: Date
   }
   
 }, {
@@ -70,18 +91,27 @@ const reviewSchema = new mongoose.Schema({
 reviewSchema.index({ product: 1, user: 1 }, { unique: true });
 reviewSchema.index({ product: 1, createdAt: -1 });
 reviewSchema.index({ isApproved: 1 });
+reviewSchema.index({ moderationStatus: 1, createdAt: 1 });
 
 // ==================
 // MIDDLEWARE
 // ==================
 
+// Only approved reviews are publicly visible
+reviewSchema.pre('save', function(next) {
+  if (this.isModified('moderationStatus')) {
+    this.isApproved = this.moderationStatus === 'approved';
+  }
+  next();
+});
+
 // Update product rating after review is saved
 reviewSchema.post('save', async function() {
   await this.constructor.updateProductRating(this.product);
 });
 
 // Update product rating after review is removed
-reviewSchema.post('remove', async function() {
+reviewSchema.post('deleteOne', { document: true, query: false }, async function() {
   await this.constructor.updateProductRating(this.product);
 });
 
@@ -91,10 +121,13 @@ reviewSchema.post('remove', async function() {
 
 // Update product's average rating
 reviewSchema.statics.updateProductRating = async function(productId) {
+  // Aggregation pipelines are not cast, so make sure we match on an ObjectId
+  const productObjectId = new mongoose.Types.ObjectId(productId.toString());
+
   const result = await this.aggregate([
     {
       $match: { 
-        product: productId,
+        product: productObjectId,
         isApproved: true
       }
     },
@@ -136,6 +169,46 @@ reviewSchema.statics.getProductReviews = function(productId, options = {}) {
   return query;
 };
 
+// Check whether a user has a delivered order containing the product
+reviewSchema.statics.hasPurchased = async function(userId, productId) {
+  const Order = mongoose.model('Order');
+  const order = await Order.exists({
+    user: userId,
+    orderStatus: 'delivered',
+    'items.product': productId
+  });
+
+  return !!order;
+};
+
+// Approve, reject or flag many reviews at once and refresh affected product ratings
+reviewSchema.statics.moderate = async function(reviewIds, status, reason, moderatedBy) {
+  const reviews = await this.find({ _id: { $in: reviewIds } }).select('product');
+  
+  if (reviews.length === 0) {
+    return { modifiedCount: 0, productIds: [] };
+  }
+  
+  const result = await this.updateMany(
+    { _id: { $in: reviews.map(review => review._id) } },
+    {
+      moderationStatus: status,
+      isApproved: status === 'approved',
+      moderationReason: reason,
+      moderatedBy,
+      moderatedAt: new Date()
+    }
+  );
+  
+  // updateMany skips document middleware, so recalculate ratings explicitly
+  const productIds = [...new Set(reviews.map(review => review.product.toString()))];
+  for (const productId of productIds) {
+    await this.updateProductRating(productId);
+  }
+  
+  return { modifiedCount: result.modifiedCount, productIds };
+};
+
 // Get user's reviews
 reviewSchema.statics.getUserReviews = function(userId) {
   return this.find({ user: userId })
@@ -0,0 +1,47 @@
+/**
+ * ============================================
+ * ROLE MODEL
+ * ============================================
+ * A named set of permissions. Built-in roles only get a
+ * document once an admin edits them.
+ */
+
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{1,39}$/, 'Role name must be 2-40 lowercase letters, numbers or underscores']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+
+  permissions: {
+    type: [{
+      type: String,
+      enum: ALL_PERMISSIONS
+    }],
+    default: []
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
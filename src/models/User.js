@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const totp = require('../utils/totp');
+const { NON_STAFF_ROLES } = require('../config/permissions');
+
+// Hash a backup code (case and separators ignored)
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''))
+  .digest('hex');
 
 const userSchema = new mongoose.Schema({
   fullName: {
@@ -39,10 +48,11 @@ const userSchema = new mongoose.Schema({
     ]
   },
   
+  // Name of a built-in or admin-defined role (see config/permissions)
   role: {
     type: String,
-    enum: ['customer', 'admin'],
-    default: 'customer'
+    default: 'customer',
+    trim: true
   },
   
   address: {
@@ -71,12 +81,94 @@ const userSchema = new mongoose.Schema({
   
   verificationToken: String,
   
+  verificationTokenExpire: Date,
+  
+  // Last time a verification link was emailed (for resend throttling)
+  verificationSentAt: Date,
+  
+  verifiedAt: Date,
+  
+  // Confirmed by SMS code - required for phone (passwordless) login
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  
+  phoneVerifiedAt: Date,
+  
+  // Authenticator app (TOTP) second factor
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting its first code during enrolment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last time step accepted, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // Login challenge waiting for its code; cleared once used
+    challengeId: {
+      type: String,
+      select: false
+    },
+    enabledAt: Date
+  },
+  
   resetPasswordToken: String,
   
   resetPasswordExpire: Date,
   
   lastLogin: {
     type: Date
+  },
+  
+  // Most recent login attempts, newest first
+  loginHistory: {
+    type: [{
+      _id: false,
+      ip: String,
+      userAgent: String,
+      method: {
+        type: String,
+        enum: ['password', 'otp', 'two_factor', 'password_reset']
+      },
+      success: Boolean,
+      newDevice: Boolean,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  
+  // Progressive lockout after repeated failed logins
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  
+  lockUntil: Date,
+  
+  // Locks since the last successful login - each one lasts twice as long
+  lockCount: {
+    type: Number,
+    default: 0
   }
   
 }, {
@@ -89,11 +181,22 @@ const userSchema = new mongoose.Schema({
 
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ phone: 1, phoneVerified: 1 });
+userSchema.index({ lockUntil: 1 });
 
 // ==================
 // MIDDLEWARE
 // ==================
 
+// A changed phone number has to be verified again
+userSchema.pre('save', function(next) {
+  if (this.isModified('phone') && !this.isNew) {
+    this.phoneVerified = false;
+    this.phoneVerifiedAt = undefined;
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   // Only hash if password is modified
@@ -145,16 +248,99 @@ userSchema.methods.getVerificationToken = function() {
     .update(verificationToken)
     .digest('hex');
   
+  this.verificationTokenExpire = Date.now() + authConfig.emailVerification.tokenHours * 60 * 60 * 1000;
+  this.verificationSentAt = Date.now();
+  
   return verificationToken;
 };
 
+// Whether this account must use two-factor authentication
+userSchema.methods.requiresTwoFactor = function() {
+  return this.twoFactor?.enabled || !NON_STAFF_ROLES.includes(this.role);
+};
+
+// Replace backup codes - returns the plain codes to show once
+userSchema.methods.generateBackupCodes = function() {
+  const codes = Array.from({ length: authConfig.twoFactor.backupCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  
+  this.twoFactor.backupCodes = codes.map(hashBackupCode);
+  
+  return codes;
+};
+
+// Check an authenticator code or a backup code
+// Needs +twoFactor.secret +twoFactor.backupCodes selected
+// Returns 'totp', 'backup' or null. The code is used up in the database
+// straight away, so two requests racing with the same code can't both pass.
+userSchema.methods.verifySecondFactor = async function(code) {
+  if (!this.twoFactor?.enabled || !code) return null;
+  
+  const step = totp.verifyCode(this.twoFactor.secret, code);
+  
+  if (step !== null) {
+    const { modifiedCount } = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (modifiedCount === 0) return null;
+    
+    this.twoFactor.lastUsedStep = step;
+    this.unmarkModified('twoFactor.lastUsedStep');
+    return 'totp';
+  }
+  
+  // Backup codes work once each
+  const hash = hashBackupCode(code);
+  
+  if (!(this.twoFactor.backupCodes || []).includes(hash)) return null;
+  
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash } }
+  );
+  if (modifiedCount === 0) return null;
+  
+  this.twoFactor.backupCodes.pull(hash);
+  this.unmarkModified('twoFactor.backupCodes');
+  return 'backup';
+};
+
+// Whether the account is currently locked out
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Clear failed attempts and any lock (successful login or admin action)
+userSchema.methods.clearLockout = function() {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+};
+
 // Get user without sensitive data
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.verificationToken;
+  delete user.verificationTokenExpire;
+  delete user.loginHistory;
   delete user.resetPasswordToken;
   delete user.resetPasswordExpire;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.backupCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   return user;
 };
 
@@ -179,6 +365,64 @@ userSchema.statics.findByCredentials = async function(email, password) {
   return user;
 };
 
+// Phone numbers are stored as 07..., +2547... or 2547...
+// @param {string} phone - Number in 254XXXXXXXXX format
+userSchema.statics.phoneVariants = function(phone) {
+  const local = phone.slice(3);
+  return [`0${local}`, `+254${local}`, `254${local}`];
+};
+
+// Find the user who has verified this phone number
+userSchema.statics.findByVerifiedPhone = function(phone) {
+  return this.findOne({
+    phone: { $in: this.phoneVariants(phone) },
+    phoneVerified: true
+  });
+};
+
+// Count a failed login, locking the account once the limit is reached.
+// The count is incremented atomically so parallel guesses can't slip past the limit.
+// Returns the lock expiry if this attempt locked the account, otherwise null
+userSchema.statics.registerFailedLogin = async function(userId) {
+  const { maxFailedAttempts, baseLockMinutes, maxLockMinutes } = authConfig.lockout;
+  
+  const user = await this.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: 'failedLoginAttempts lockCount' }
+  );
+  
+  if (!user || user.failedLoginAttempts < maxFailedAttempts) return null;
+  
+  const lockCount = (user.lockCount || 0) + 1;
+  const lockMinutes = Math.min(baseLockMinutes * 2 ** (lockCount - 1), maxLockMinutes);
+  const lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  
+  // Only the first attempt over the limit locks; the counter resets with it
+  const { modifiedCount } = await this.updateOne(
+    { _id: userId, failedLoginAttempts: { $gte: maxFailedAttempts } },
+    { $set: { lockUntil, failedLoginAttempts: 0 }, $inc: { lockCount: 1 } }
+  );
+  
+  return modifiedCount > 0 ? lockUntil : null;
+};
+
+// Add a login attempt to a user's history, keeping only the most recent
+userSchema.statics.recordLoginAttempt = function(userId, entry) {
+  return this.updateOne(
+    { _id: userId },
+    {
+      $push: {
+        loginHistory: {
+          $each: [{ ...entry, at: new Date() }],
+          $position: 0,
+          $slice: authConfig.loginHistoryLimit
+        }
+      }
+    }
+  );
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
\ No newline at end of file
@@ -3,39 +3,381 @@ const router = express.Router();
 const {
   getDashboard,
   getAllUsers,
+  getUserLoginHistory,
+  clearUserLockout,
   updateUserRole,
   deleteUser,
   getSalesAnalytics,
-  getLowStockProducts
+  getLowStockProducts,
+  getReviewsForModeration,
+  moderateReviews,
+  flagReview
 } = require('../controllers/adminController');
+const {
+  getAllReturns,
+  approveReturn,
+  rejectReturn,
+  receiveReturn
+} = require('../controllers/returnController');
+const {
+  getAllRefunds,
+  retryRefund,
+  queryRefund
+} = require('../controllers/refundController');
+const {
+  getAllPayments,
+  reviewFlaggedPayment,
+  getReconciliationReport
+} = require('../controllers/paymentController');
+const {
+  getCodOrders,
+  assignRider,
+  getCollectionReport
+} = require('../controllers/codController');
+const {
+  getPermissionList,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
 const { protect } = require('../middleware/authMiddleware');
-const { authorizeAdmin } = require('../middleware/adminMiddleware');
+const {
+  getAuditLogs,
+  exportAuditLogs
+} = require('../controllers/auditController');
+const { requirePermission } = require('../middleware/adminMiddleware');
+const { audit } = require('../middleware/auditMiddleware');
+const { ALL_PERMISSIONS } = require('../config/permissions');
 const { validateObjectId } = require('../middleware/validateRequest');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validateRequest');
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication; each route checks its own permission
 router.use(protect);
-router.use(authorizeAdmin);
 
 // Dashboard
-router.get('/dashboard', getDashboard);
+router.get('/dashboard', requirePermission('dashboard:read'), getDashboard);
 
 // Users management
-router.get('/users', getAllUsers);
+const validateUserQuery = [
+  query('locked')
+    .optional()
+    .isBoolean().withMessage('locked must be true or false'),
+  handleValidationErrors
+];
+
+router.get('/users', requirePermission('users:read'), validateUserQuery, getAllUsers);
+router.get('/users/:id/login-history', requirePermission('users:read'), validateObjectId, getUserLoginHistory);
+router.delete(
+  '/users/:id/lockout',
+  requirePermission('users:manage'),
+  validateObjectId,
+  audit('user.lockout.clear', { model: 'User' }),
+  clearUserLockout
+);
 
 // Update user role validation
 const validateUserRole = [
   body('role')
-    .notEmpty().withMessage('Role is required')
-    .isIn(['customer', 'admin']).withMessage('Invalid role'),
+    .trim()
+    .notEmpty().withMessage('Role is required'),
   handleValidationErrors
 ];
-router.put('/users/:id/role', validateObjectId, validateUserRole, updateUserRole);
-router.delete('/users/:id', validateObjectId, deleteUser);
+router.put(
+  '/users/:id/role',
+  requirePermission('users:manage'),
+  validateObjectId,
+  validateUserRole,
+  audit('user.role.update', { model: 'User' }),
+  updateUserRole
+);
+router.delete(
+  '/users/:id',
+  requirePermission('users:manage'),
+  validateObjectId,
+  audit('user.delete', { model: 'User' }),
+  deleteUser
+);
+
+// Roles and permissions
+const validateRole = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Role name is required')
+    .matches(/^[a-z][a-z0-9_]{1,39}$/).withMessage('Role name must be 2-40 lowercase letters, numbers or underscores'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('permissions')
+    .optional()
+    .isArray().withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(ALL_PERMISSIONS).withMessage('Unknown permission'),
+  handleValidationErrors
+];
+
+const validateRoleUpdate = [
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('permissions')
+    .optional()
+    .isArray().withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(ALL_PERMISSIONS).withMessage('Unknown permission'),
+  handleValidationErrors
+];
+
+router.get('/permissions', requirePermission('roles:manage'), getPermissionList);
+router.get('/roles', requirePermission('roles:manage'), getRoles);
+const auditRole = (action) => audit(action, { model: 'Role', param: 'name', key: 'name' });
+
+router.post('/roles', requirePermission('roles:manage'), validateRole, auditRole('role.create'), createRole);
+router.put('/roles/:name', requirePermission('roles:manage'), validateRoleUpdate, auditRole('role.update'), updateRole);
+router.delete('/roles/:name', requirePermission('roles:manage'), auditRole('role.delete'), deleteRole);
 
 // Analytics
-router.get('/analytics/sales', getSalesAnalytics);
-router.get('/products/low-stock', getLowStockProducts);
+router.get('/analytics/sales', requirePermission('reports:read'), getSalesAnalytics);
+router.get('/products/low-stock', requirePermission('inventory:read'), getLowStockProducts);
+
+// Review moderation validation
+const validateReviewQueue = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'flagged']).withMessage('Invalid moderation status'),
+  query('product')
+    .optional()
+    .isMongoId().withMessage('Invalid product ID'),
+  handleValidationErrors
+];
+
+const validateModerateReviews = [
+  body('reviewIds')
+    .isArray({ min: 1 }).withMessage('At least one review ID is required'),
+  body('reviewIds.*')
+    .isMongoId().withMessage('Invalid review ID'),
+  body('action')
+    .isIn(['approve', 'reject']).withMessage('Action must be approve or reject'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const validateFlagReview = [
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Review moderation
+router.get('/reviews', requirePermission('reviews:moderate'), validateReviewQueue, getReviewsForModeration);
+router.put(
+  '/reviews/moderate',
+  requirePermission('reviews:moderate'),
+  validateModerateReviews,
+  audit('review.moderate', { model: 'Review', ids: req => req.body.reviewIds }),
+  moderateReviews
+);
+router.put(
+  '/reviews/:id/flag',
+  requirePermission('reviews:moderate'),
+  validateObjectId,
+  validateFlagReview,
+  audit('review.flag', { model: 'Review' }),
+  flagReview
+);
+
+// Return validation
+const validateReturnQuery = [
+  query('status')
+    .optional()
+    .isIn(['requested', 'approved', 'rejected', 'received']).withMessage('Invalid return status'),
+  handleValidationErrors
+];
+
+const validateApproveReturn = [
+  body('refundType')
+    .optional()
+    .isIn(['full', 'partial']).withMessage('Refund type must be full or partial'),
+  body('refundAmount')
+    .if(body('refundType').equals('partial'))
+    .notEmpty().withMessage('Refund amount is required for partial refunds')
+    .isFloat({ min: 1 }).withMessage('Refund amount must be at least 1 KES'),
+  body('note').optional().trim(),
+  handleValidationErrors
+];
+
+const validateRejectReturn = [
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Rejection reason is required'),
+  handleValidationErrors
+];
+
+// Returns and refunds
+router.get('/returns', requirePermission('returns:manage'), validateReturnQuery, getAllReturns);
+router.put(
+  '/returns/:id/approve',
+  requirePermission('returns:manage'),
+  validateObjectId,
+  validateApproveReturn,
+  audit('return.approve', { model: 'Return' }),
+  approveReturn
+);
+router.put(
+  '/returns/:id/reject',
+  requirePermission('returns:manage'),
+  validateObjectId,
+  validateRejectReturn,
+  audit('return.reject', { model: 'Return' }),
+  rejectReturn
+);
+router.put(
+  '/returns/:id/receive',
+  requirePermission('returns:manage'),
+  validateObjectId,
+  audit('return.receive', { model: 'Return' }),
+  receiveReturn
+);
+
+// Refund payouts
+const validateRefundQuery = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'processing', 'completed', 'failed', 'timed_out']).withMessage('Invalid refund status'),
+  query('order')
+    .optional()
+    .isMongoId().withMessage('Invalid order ID'),
+  handleValidationErrors
+];
+
+router.get('/refunds', requirePermission('payments:read'), validateRefundQuery, getAllRefunds);
+router.post(
+  '/refunds/:id/retry',
+  requirePermission('payments:refund'),
+  validateObjectId,
+  audit('refund.retry', { model: 'Refund' }),
+  retryRefund
+);
+router.post(
+  '/refunds/:id/query',
+  requirePermission('payments:refund'),
+  validateObjectId,
+  audit('refund.query', { model: 'Refund' }),
+  queryRefund
+);
+
+// Payment attempts
+const validatePaymentQuery = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'completed', 'failed', 'flagged']).withMessage('Invalid payment status'),
+  query('provider')
+    .optional()
+    .isIn(['mpesa', 'card', 'fake']).withMessage('Invalid payment provider'),
+  query('order')
+    .optional()
+    .isMongoId().withMessage('Invalid order ID'),
+  query('receipt')
+    .optional()
+    .isString().withMessage('Invalid receipt number')
+    .trim(),
+  query('checkoutRequestId')
+    .optional()
+    .isString().withMessage('Invalid checkout request ID')
+    .trim(),
+  query('phone')
+    .optional()
+    .matches(/^(\+254|254|0)?[17]\d{8}$/).withMessage('Invalid Kenyan phone number'),
+  query('startDate')
+    .optional()
+    .isISO8601().withMessage('Invalid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601().withMessage('Invalid end date'),
+  handleValidationErrors
+];
+
+const validatePaymentReview = [
+  body('action')
+    .isIn(['accept', 'reject']).withMessage('Action must be accept or reject'),
+  body('note').optional().trim(),
+  handleValidationErrors
+];
+
+const validateReconciliationQuery = [
+  query('date')
+    .optional()
+    .isISO8601().withMessage('Date must be in YYYY-MM-DD format'),
+  handleValidationErrors
+];
+
+router.get('/payments', requirePermission('payments:read'), validatePaymentQuery, getAllPayments);
+router.get('/payments/reconciliation', requirePermission('payments:read'), validateReconciliationQuery, getReconciliationReport);
+router.put(
+  '/payments/:id/review',
+  requirePermission('payments:review'),
+  validateObjectId,
+  validatePaymentReview,
+  audit('payment.review', { model: 'Payment' }),
+  reviewFlaggedPayment
+);
+
+// Cash on delivery
+const validateCodQuery = [
+  query('stage')
+    .optional()
+    .isIn(['awaiting-confirmation', 'awaiting-collection', 'short', 'collected']).withMessage('Invalid COD stage'),
+  query('rider')
+    .optional()
+    .isMongoId().withMessage('Invalid rider ID'),
+  handleValidationErrors
+];
+
+const validateAssignRider = [
+  body('riderId')
+    .notEmpty().withMessage('Rider ID is required')
+    .isMongoId().withMessage('Invalid rider ID'),
+  handleValidationErrors
+];
+
+const validateCollectionReport = [
+  query('date')
+    .optional()
+    .isISO8601().withMessage('Date must be in YYYY-MM-DD format'),
+  handleValidationErrors
+];
+
+router.get('/cod/orders', requirePermission('cod:manage'), validateCodQuery, getCodOrders);
+router.get('/cod/report', requirePermission('cod:manage'), validateCollectionReport, getCollectionReport);
+router.put(
+  '/orders/:id/cod/rider',
+  requirePermission('cod:manage'),
+  validateObjectId,
+  validateAssignRider,
+  audit('order.cod.assign-rider', { model: 'Order' }),
+  assignRider
+);
+
+// Audit log
+const validateAuditQuery = [
+  query('actor')
+    .optional()
+    .isMongoId().withMessage('Invalid actor ID'),
+  query('entity').optional().trim(),
+  query('entityId').optional().trim(),
+  query('action').optional().trim(),
+  query('startDate')
+    .optional()
+    .isISO8601().withMessage('Invalid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601().withMessage('Invalid end date'),
+  handleValidationErrors
+];
+
+router.get('/audit-logs', requirePermission('audit:read'), validateAuditQuery, getAuditLogs);
+router.get('/audit-logs/export', requirePermission('audit:read'), validateAuditQuery, exportAuditLogs);
 
 module.exports = router;
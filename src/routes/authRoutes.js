@@ -4,24 +4,65 @@ const {
   register,
   login,
   logout,
+  logoutAll,
+  refreshToken,
   getMe,
+  verifyEmail,
+  resendVerification,
+  requestLoginCode,
+  loginWithCode,
+  sendPhoneVerificationCode,
+  verifyPhone,
+  completeTwoFactorLogin,
   forgotPassword,
   resetPassword
 } = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor
+} = require('../controllers/twoFactorController');
 const { protect } = require('../middleware/authMiddleware');
+const {
+  passwordResetIpLimiter,
+  passwordResetEmailLimiter,
+  loginIpLimiter,
+  loginEmailLimiter,
+  otpRequestLimiter,
+  twoFactorLimiter
+} = require('../middleware/rateLimiter');
 const {
   validateRegister,
-  validateLogin
+  validateLogin,
+  validateOtpRequest,
+  validateOtpLogin,
+  validateOtpCode
 } = require('../middleware/validateRequest');
 
 // Public routes
 router.post('/register', validateRegister, register);
-router.post('/login', validateLogin, login);
-router.post('/forgot-password', forgotPassword);
+router.post('/login', loginIpLimiter, loginEmailLimiter, validateLogin, login);
+router.post('/refresh', refreshToken);
+router.post('/otp/request', otpRequestLimiter, validateOtpRequest, requestLoginCode);
+router.post('/otp/login', validateOtpLogin, loginWithCode);
+router.post('/2fa/challenge', twoFactorLimiter, completeTwoFactorLogin);
+router.post('/forgot-password', passwordResetIpLimiter, passwordResetEmailLimiter, forgotPassword);
 router.put('/reset-password/:token', resetPassword);
+router.get('/verify-email/:token', verifyEmail);
 
 // Protected routes
 router.get('/me', protect, getMe);
 router.post('/logout', protect, logout);
+router.post('/logout-all', protect, logoutAll);
+router.post('/resend-verification', protect, resendVerification);
+router.post('/phone/send-code', protect, otpRequestLimiter, sendPhoneVerificationCode);
+router.post('/phone/verify', protect, validateOtpCode, verifyPhone);
+
+// Two-factor authentication
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, twoFactorLimiter, validateOtpCode, enableTwoFactor);
+router.post('/2fa/backup-codes', protect, twoFactorLimiter, regenerateBackupCodes);
+router.post('/2fa/disable', protect, twoFactorLimiter, disableTwoFactor);
 
 module.exports = router;
\ No newline at end of file
@@ -19,6 +19,9 @@ const validateAddToCart = [
   body('productId')
     .notEmpty().withMessage('Product ID is required')
     .isMongoId().withMessage('Invalid product ID'),
+  body('variantId')
+    .optional()
+    .isMongoId().withMessage('Invalid variant ID'),
   body('quantity')
     .optional()
     .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
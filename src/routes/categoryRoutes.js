@@ -8,7 +8,8 @@ const {
   deleteCategory
 } = require('../controllers/categoryController');
 const { protect } = require('../middleware/authMiddleware');
-const { authorizeAdmin } = require('../middleware/adminMiddleware');
+const { requirePermission } = require('../middleware/adminMiddleware');
+const { audit } = require('../middleware/auditMiddleware');
 const {
   validateCategory,
   validateObjectId
@@ -19,8 +20,30 @@ router.get('/', getAllCategories);
 router.get('/:slug', getCategoryBySlug);
 
 // Admin routes
-router.post('/', protect, authorizeAdmin, validateCategory, createCategory);
-router.put('/:id', protect, authorizeAdmin, validateObjectId, validateCategory, updateCategory);
-router.delete('/:id', protect, authorizeAdmin, validateObjectId, deleteCategory);
+router.post(
+  '/',
+  protect,
+  requirePermission('categories:write'),
+  validateCategory,
+  audit('category.create', { model: 'Category' }),
+  createCategory
+);
+router.put(
+  '/:id',
+  protect,
+  requirePermission('categories:write'),
+  validateObjectId,
+  validateCategory,
+  audit('category.update', { model: 'Category' }),
+  updateCategory
+);
+router.delete(
+  '/:id',
+  protect,
+  requirePermission('categories:write'),
+  validateObjectId,
+  audit('category.delete', { model: 'Category' }),
+  deleteCategory
+);
 
 module.exports = router;
\ No newline at end of file
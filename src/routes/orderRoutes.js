@@ -6,31 +6,108 @@ const {
   getOrderById,
   getAllOrders,
   updateOrderStatus,
+  approveDepositRelease,
   cancelOrder
 } = require('../controllers/orderController');
+const {
+  requestReturn,
+  getOrderReturns
+} = require('../controllers/returnController');
+const { getOrderPayments } = require('../controllers/paymentController');
+const {
+  checkCodEligibility,
+  getMyDeliveries,
+  recordCollection
+} = require('../controllers/codController');
 const { protect } = require('../middleware/authMiddleware');
-const { authorizeAdmin } = require('../middleware/adminMiddleware');
+const { requirePermission } = require('../middleware/adminMiddleware');
+const { audit } = require('../middleware/auditMiddleware');
+const { uploadMultiple, handleMulterError, cleanupOnValidationError } = require('../middleware/uploadMiddleware');
 const {
   validateOrder,
   validateObjectId
 } = require('../middleware/validateRequest');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validateRequest');
 
 // Protected routes (require login)
 router.post('/', protect, validateOrder, createOrder);
 router.get('/my-orders', protect, getMyOrders);
+
+// Cash on delivery (before /:id so the paths aren't read as order IDs)
+const validateCodEligibility = [
+  query('city').trim().notEmpty().withMessage('City is required'),
+  query('total').isFloat({ min: 0 }).withMessage('Order total must be a positive number'),
+  handleValidationErrors
+];
+
+const validateCodCollection = [
+  body('amount')
+    .notEmpty().withMessage('Amount collected is required')
+    .isFloat({ min: 1 }).withMessage('Amount collected must be at least 1 KES'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+router.get('/cod/eligibility', protect, validateCodEligibility, checkCodEligibility);
+router.get('/cod/deliveries', protect, requirePermission('cod:collect'), getMyDeliveries);
+router.post(
+  '/:id/cod/collect',
+  protect,
+  requirePermission('cod:collect'),
+  validateObjectId,
+  validateCodCollection,
+  audit('order.cod.collect', { model: 'Order' }),
+  recordCollection
+);
+
 router.get('/:id', protect, validateObjectId, getOrderById);
+router.get('/:id/payments', protect, validateObjectId, getOrderPayments);
 
 // Cancel order validation
 const validateCancelOrder = [
   body('reason').optional().trim(),
   handleValidationErrors
 ];
-router.delete('/:id', protect, validateObjectId, validateCancelOrder, cancelOrder);
+router.delete(
+  '/:id',
+  protect,
+  validateObjectId,
+  validateCancelOrder,
+  // Customers cancelling their own orders aren't staff actions
+  audit('order.cancel', {
+    model: 'Order',
+    skip: (req, [order]) => order?.user?.toString() === req.user.id
+  }),
+  cancelOrder
+);
+
+// Return request validation (items arrive as a JSON string in multipart forms)
+const validateReturnRequest = [
+  body('items').notEmpty().withMessage('Select at least one item to return'),
+  body('reason')
+    .notEmpty().withMessage('Return reason is required')
+    .isIn(['damaged', 'defective', 'wrong-item', 'not-as-described', 'changed-mind', 'other'])
+    .withMessage('Invalid return reason'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  cleanupOnValidationError,
+  handleValidationErrors
+];
 
-// Admin routes
-router.get('/', protect, authorizeAdmin, getAllOrders);
+// Returns
+router.post(
+  '/:id/returns',
+  protect,
+  validateObjectId,
+  uploadMultiple,
+  handleMulterError,
+  validateReturnRequest,
+  requestReturn
+);
+router.get('/:id/returns', protect, validateObjectId, getOrderReturns);
+
+// Staff routes
+router.get('/', protect, requirePermission('orders:read'), getAllOrders);
 
 // Update status validation
 const validateOrderStatus = [
@@ -41,6 +118,31 @@ const validateOrderStatus = [
   body('note').optional().trim(),
   handleValidationErrors
 ];
-router.put('/:id/status', protect, authorizeAdmin, validateObjectId, validateOrderStatus, updateOrderStatus);
+router.put(
+  '/:id/status',
+  protect,
+  requirePermission('orders:update-status'),
+  validateObjectId,
+  validateOrderStatus,
+  audit('order.status.update', { model: 'Order' }),
+  updateOrderStatus
+);
+
+// Deposit release validation
+const validateDepositRelease = [
+  body('releaseThreshold')
+    .notEmpty().withMessage('Release threshold is required')
+    .isFloat({ min: 1 }).withMessage('Release threshold must be a positive amount'),
+  handleValidationErrors
+];
+router.put(
+  '/:id/installments/release',
+  protect,
+  requirePermission('payments:review'),
+  validateObjectId,
+  validateDepositRelease,
+  audit('order.installments.release', { model: 'Order' }),
+  approveDepositRelease
+);
 
 module.exports = router;
\ No newline at end of file
@@ -1,13 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const {
+  initiateCheckout,
   initiatePayment,
+  getPaymentStatus,
+  providerWebhook,
+  fakeCheckout,
   mpesaCallback,
+  mpesaPayoutResult,
+  mpesaPayoutTimeout,
+  mpesaPayoutStatusResult,
+  mpesaPayoutStatusTimeout,
   checkPaymentStatus
 } = require('../controllers/paymentController');
 const { protect } = require('../middleware/authMiddleware');
+const { verifyMpesaSource } = require('../middleware/mpesaMiddleware');
 const { body } = require('express-validator');
-const { handleValidationErrors } = require('../middleware/validateRequest');
+const { handleValidationErrors, validateObjectId } = require('../middleware/validateRequest');
+
+// Checkout validation (phone is needed for M-Pesa only, amount for instalments only)
+const validateCheckout = [
+  body('orderId')
+    .notEmpty().withMessage('Order ID is required')
+    .isMongoId().withMessage('Invalid order ID'),
+  body('phone')
+    .optional()
+    .trim()
+    .matches(/^(\+254|254|0)?[17]\d{8}$/).withMessage('Invalid Kenyan phone number'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 1 }).withMessage('Amount must be at least 1 KES'),
+  handleValidationErrors
+];
 
 // STK Push validation
 const validateSTKPush = [
@@ -25,10 +49,22 @@ const validateSTKPush = [
 ];
 
 // Protected routes
+router.post('/initiate', protect, validateCheckout, initiateCheckout);
 router.post('/mpesa/stk-push', protect, validateSTKPush, initiatePayment);
 router.get('/mpesa/status/:checkoutRequestId', protect, checkPaymentStatus);
+router.get('/:id/status', protect, validateObjectId, getPaymentStatus);
+
+// Provider webhooks (verified by the provider) and the offline fake checkout
+router.post('/webhooks/:provider', providerWebhook);
+router.get('/fake/checkout/:reference', fakeCheckout);
 
-// Public route (called by Safaricom)
-router.post('/mpesa/callback', mpesaCallback);
+// Public routes (called by Safaricom)
+router.post('/mpesa/callback', verifyMpesaSource, mpesaCallback);
+router.post('/mpesa/b2c/result', verifyMpesaSource, mpesaPayoutResult);
+router.post('/mpesa/b2c/timeout', verifyMpesaSource, mpesaPayoutTimeout);
+router.post('/mpesa/reversal/result', verifyMpesaSource, mpesaPayoutResult);
+router.post('/mpesa/reversal/timeout', verifyMpesaSource, mpesaPayoutTimeout);
+router.post('/mpesa/transaction-status/result', verifyMpesaSource, mpesaPayoutStatusResult);
+router.post('/mpesa/transaction-status/timeout', verifyMpesaSource, mpesaPayoutStatusTimeout);
 
 module.exports = router;
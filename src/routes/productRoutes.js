@@ -6,6 +6,7 @@ const {
   getBestSellers,
   getNewArrivals,
   searchProducts,
+  getSearchSuggestions,
   getProductsByCategory,
   getProductBySlug,
   createProduct,
@@ -14,38 +15,74 @@ const {
   uploadProductImages,
   deleteProductImage
 } = require('../controllers/productController');
+const reviewRoutes = require('./reviewRoutes');
 const { protect } = require('../middleware/authMiddleware');
-const { authorizeAdmin } = require('../middleware/adminMiddleware');
+const { requirePermission } = require('../middleware/adminMiddleware');
+const { audit } = require('../middleware/auditMiddleware');
 const { uploadMultiple, handleMulterError } = require('../middleware/uploadMiddleware');
 const {
   validateProduct,
   validateObjectId
 } = require('../middleware/validateRequest');
 
+// Nested review routes
+router.use('/:id/reviews', reviewRoutes);
+
 // Public routes
 router.get('/', getAllProducts);
 router.get('/featured', getFeaturedProducts);
 router.get('/bestsellers', getBestSellers);
 router.get('/new-arrivals', getNewArrivals);
 router.get('/search', searchProducts);
+router.get('/search/suggest', getSearchSuggestions);
 router.get('/category/:category', getProductsByCategory);
 router.get('/:slug', getProductBySlug);
 
 // Admin routes
-router.post('/', protect, authorizeAdmin, validateProduct, createProduct);
-router.put('/:id', protect, authorizeAdmin, validateObjectId, validateProduct, updateProduct);
-router.delete('/:id', protect, authorizeAdmin, validateObjectId, deleteProduct);
+router.post(
+  '/',
+  protect,
+  requirePermission('products:write'),
+  validateProduct,
+  audit('product.create', { model: 'Product' }),
+  createProduct
+);
+router.put(
+  '/:id',
+  protect,
+  requirePermission('products:write'),
+  validateObjectId,
+  validateProduct,
+  audit('product.update', { model: 'Product' }),
+  updateProduct
+);
+router.delete(
+  '/:id',
+  protect,
+  requirePermission('products:write'),
+  validateObjectId,
+  audit('product.delete', { model: 'Product' }),
+  deleteProduct
+);
 
 // Image upload routes
 router.post(
   '/:id/images',
   protect,
-  authorizeAdmin,
+  requirePermission('products:write'),
   validateObjectId,
   uploadMultiple,
   handleMulterError,
+  audit('product.images.add', { model: 'Product' }),
   uploadProductImages
 );
-router.delete('/:id/images/:publicId', protect, authorizeAdmin, validateObjectId, deleteProductImage);
+router.delete(
+  '/:id/images/:publicId',
+  protect,
+  requirePermission('products:write'),
+  validateObjectId,
+  audit('product.images.delete', { model: 'Product' }),
+  deleteProductImage
+);
 
 module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+// mergeParams gives access to :id from the parent product router
+const router = express.Router({ mergeParams: true });
+const {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview
+} = require('../controllers/reviewController');
+const { protect } = require('../middleware/authMiddleware');
+const { audit } = require('../middleware/auditMiddleware');
+const { param } = require('express-validator');
+const {
+  validateReview,
+  validateReviewUpdate,
+  validateObjectId,
+  handleValidationErrors
+} = require('../middleware/validateRequest');
+
+// Review ID validation
+const validateReviewId = [
+  param('reviewId')
+    .isMongoId().withMessage('Invalid review ID'),
+  handleValidationErrors
+];
+
+// Public routes
+router.get('/', validateObjectId, getProductReviews);
+
+// Protected routes
+router.post('/', protect, validateObjectId, validateReview, createReview);
+router.put('/:reviewId', protect, validateObjectId, validateReviewId, validateReviewUpdate, updateReview);
+router.delete(
+  '/:reviewId',
+  protect,
+  validateObjectId,
+  validateReviewId,
+  audit('review.delete', { model: 'Review', param: 'reviewId' }),
+  deleteReview
+);
+
+module.exports = router;
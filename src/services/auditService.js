@@ -0,0 +1,124 @@
+/**
+ * ============================================
+ * AUDIT SERVICE
+ * ============================================
+ * Diffs before/after snapshots and writes audit entries
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the audit log
+const IGNORED_FIELDS = ['__v', 'updatedAt', 'password', 'resetPasswordToken', 'verificationToken', 'loginHistory'];
+
+/**
+ * Flatten a document to dotted paths. Arrays, dates and ids are kept whole.
+ * @param {object} value - Plain object (lean document)
+ * @returns {object} path -> value
+ */
+const flatten = (value, prefix = '', output = {}) => {
+  for (const [key, child] of Object.entries(value || {})) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    const isPlainObject = child && typeof child === 'object' &&
+      !Array.isArray(child) && !(child instanceof Date) && child.constructor === Object;
+
+    if (isPlainObject) {
+      flatten(child, path, output);
+    } else {
+      output[path] = child;
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Remove ignored fields from a snapshot
+ */
+const sanitize = (doc) => {
+  if (!doc) return undefined;
+  const copy = { ...doc };
+  IGNORED_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+/**
+ * Field-level differences between two snapshots
+ * @param {object} before - Document before the change
+ * @param {object} after - Document after the change
+ * @returns {Array<{field, before, after}>}
+ */
+const diff = (before, after) => {
+  const beforeFields = flatten(before);
+  const afterFields = flatten(after);
+  const fields = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (JSON.stringify(beforeFields[field]) !== JSON.stringify(afterFields[field])) {
+      changes.push({ field, before: beforeFields[field], after: afterFields[field] });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Write an audit entry. Failures are logged, never thrown -
+ * the action itself has already happened.
+ * @param {object} source - Who made the change (actor or job fields)
+ * @param {object} entry - { action, entity, entityId, before, after }
+ */
+const writeAudit = async (source, { action, entity, entityId, before, after }) => {
+  try {
+    const entry = {
+      ...source,
+      action,
+      entity,
+      entityId: entityId ? String(entityId) : undefined
+    };
+
+    if (before && after) {
+      entry.changes = diff(before, after);
+    } else {
+      entry.snapshot = sanitize(after || before);
+    }
+
+    await AuditLog.create(entry);
+  } catch (error) {
+    console.error(`❌ Failed to write audit log for ${action}: ${error.message}`);
+  }
+};
+
+/**
+ * Audit a change made through a request
+ * @param {object} req - Express request (actor, IP, route)
+ * @param {object} entry - { action, entity, entityId, before, after }
+ */
+const recordAudit = (req, entry) => {
+  return writeAudit({
+    actor: req.user._id || req.user.id,
+    actorEmail: req.user.email,
+    actorRole: req.user.role,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  }, entry);
+};
+
+/**
+ * Audit a change made by a background job
+ * @param {string} job - Job name, e.g. 'stock-hold-sweeper'
+ * @param {object} entry - { action, entity, entityId, before, after }
+ */
+const recordJobAudit = (job, entry) => {
+  return writeAudit({ job }, entry);
+};
+
+module.exports = {
+  recordAudit,
+  recordJobAudit,
+  diff
+};
@@ -5,6 +5,8 @@
  * HTML email templates for various notifications
  */
 
+const authConfig = require('../config/auth');
+
 /**
  * Welcome email template
  */
@@ -244,6 +246,135 @@ const welcomeEmail = (name) => {
     `;
   };
   
+  /**
+   * Password changed notification
+   */
+  const passwordChangedEmail = (name) => {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2c5f2d; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .warning { background: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔐 Your Password Was Changed</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${name},</h2>
+            <p>The password for your Furniture Hub account was changed on ${new Date().toLocaleString('en-KE', { timeZone: 'Africa/Nairobi' })}.</p>
+            
+            <div class="warning">
+              <strong>⚠️ Wasn't you?</strong> Reset your password straight away and contact our support team.
+            </div>
+            
+            <p>If you made this change, no action is needed.</p>
+          </div>
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} Furniture Hub. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  };
+  
+  /**
+   * New device / location login alert
+   */
+  const newLoginAlertEmail = (name, login) => {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2c5f2d; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .details { background: white; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          .warning { background: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔔 New Sign-in to Your Account</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${name},</h2>
+            <p>Your Furniture Hub account was just signed in to from a device or network we haven't seen before.</p>
+            
+            <div class="details">
+              <p><strong>When:</strong> ${login.at.toLocaleString('en-KE', { timeZone: 'Africa/Nairobi' })}</p>
+              <p><strong>IP address:</strong> ${login.ip || 'Unknown'}</p>
+              <p><strong>Device:</strong> ${login.userAgent || 'Unknown'}</p>
+            </div>
+            
+            <div class="warning">
+              <strong>⚠️ Wasn't you?</strong> Reset your password now and use "log out of all devices" to end other sessions.
+            </div>
+            
+            <p>If this was you, no action is needed.</p>
+          </div>
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} Furniture Hub. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  };
+  
+  /**
+   * Email verification
+   */
+  const emailVerificationEmail = (name, verifyUrl) => {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2c5f2d; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .button { background: #2c5f2d; color: white; padding: 12px 30px; text-decoration: none; 
+                    border-radius: 5px; display: inline-block; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>✉️ Verify Your Email</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${name},</h2>
+            <p>Please confirm this is your email address so you can place orders and receive updates about them.</p>
+            
+            <a href="${verifyUrl}" class="button">Verify Email</a>
+            
+            <p>This link will expire in ${authConfig.emailVerification.tokenHours} hours. If you didn't create a Furniture Hub account, you can ignore this email.</p>
+          </div>
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} Furniture Hub. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  };
+  
   /**
    * Low stock alert email (for admins)
    */
@@ -252,7 +383,7 @@ const welcomeEmail = (name) => {
       <tr>
         <td style="padding: 10px; border-bottom: 1px solid #ddd;">${product.name}</td>
         <td style="padding: 10px; border-bottom: 1px solid #ddd; text-align: center;">${product.stock}</td>
-        <td style="padding: 10px; border-bottom: 1px solid #ddd;">${product.category}</td>
+        <td style="padding: 10px; border-bottom: 1px solid #ddd;">${product.categorySlug}</td>
       </tr>
     `).join('');
   
@@ -303,10 +434,122 @@ const welcomeEmail = (name) => {
     `;
   };
   
+  /**
+   * Daily M-Pesa reconciliation report (for admins)
+   */
+  const reconciliationReportEmail = (report) => {
+    const labels = {
+      paidWithoutPayment: 'Paid orders with no completed payment',
+      paidWithoutReceipt: 'Paid orders still missing a receipt',
+      amountMismatches: 'Amount received differs from amount paid on the order',
+      duplicatePayments: 'Orders paid more than once',
+      receiptsWithoutPaidOrder: 'Receipts whose order is not paid'
+    };
+  
+    const discrepanciesHtml = Object.entries(report.discrepancies)
+      .filter(([, entries]) => entries.length > 0)
+      .map(([key, entries]) => `
+        <h3>${labels[key]} (${entries.length})</h3>
+        <ul>
+          ${entries.map(entry => `<li>${entry.orderNumber}${entry.mpesaReceiptNumber ? ` - ${entry.mpesaReceiptNumber}` : ''}</li>`).join('')}
+        </ul>
+      `).join('');
+  
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: ${report.discrepancyCount > 0 ? '#dc3545' : '#2c5f2d'}; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          table { width: 100%; border-collapse: collapse; margin: 20px 0; background: white; }
+          td { padding: 10px; border-bottom: 1px solid #ddd; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📊 M-Pesa Reconciliation - ${report.date}</h1>
+          </div>
+          <div class="content">
+            <table>
+              <tr><td>Orders paid</td><td style="text-align: right;">${report.totals.paidOrders} (Ksh ${report.totals.paidOrdersAmount.toLocaleString()})</td></tr>
+              <tr><td>Receipts</td><td style="text-align: right;">${report.totals.receipts} (Ksh ${report.totals.receiptsAmount.toLocaleString()})</td></tr>
+              <tr><td>Payment attempts</td><td style="text-align: right;">${report.attempts.total}</td></tr>
+              <tr><td>Failed / flagged / pending</td><td style="text-align: right;">${report.attempts.failed} / ${report.attempts.flagged} / ${report.attempts.pending}</td></tr>
+            </table>
+            
+            ${report.discrepancyCount > 0 ? discrepanciesHtml : '<p>No discrepancies found.</p>'}
+          </div>
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} Furniture Hub. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  };
+  
+  /**
+   * Instalment payment reminder email template
+   */
+  const paymentReminderEmail = (order, daysLeft) => {
+    const dueDate = new Date(order.installments.dueDate).toLocaleDateString('en-KE', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+  
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2c5f2d; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .balance { font-size: 22px; font-weight: bold; color: #2c5f2d; }
+          .button { background: #2c5f2d; color: white; padding: 12px 30px; text-decoration: none; 
+                    border-radius: 5px; display: inline-block; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>⏰ Payment Reminder</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${order.customer.fullName},</h2>
+            <p>Your instalment plan for order <strong>${order.orderNumber}</strong> is due in
+               ${daysLeft} day${daysLeft === 1 ? '' : 's'} (${dueDate}).</p>
+            <p>Paid so far: Ksh ${order.amountPaid.toLocaleString()} of Ksh ${order.total.toLocaleString()}</p>
+            <p class="balance">Balance: Ksh ${order.balance.toLocaleString()}</p>
+            <p>Pay any amount towards the balance with M-Pesa from your order page.</p>
+            <a href="${process.env.FRONTEND_URL}/orders/${order._id}" class="button">Pay Now</a>
+          </div>
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} Furniture Hub. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  };
+  
   module.exports = {
     welcomeEmail,
     orderConfirmationEmail,
     orderStatusEmail,
     passwordResetEmail,
-    lowStockAlertEmail
+    passwordChangedEmail,
+    newLoginAlertEmail,
+    emailVerificationEmail,
+    lowStockAlertEmail,
+    reconciliationReportEmail,
+    paymentReminderEmail
   };
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * ============================================
+ * LOGIN SECURITY SERVICE
+ * ============================================
+ * Account lockout, login history and new-device alerts
+ */
+
+const User = require('../models/User');
+const { sendNewLoginAlertEmail } = require('../utils/emailService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+/**
+ * Refuse to continue while the account is locked
+ * @param {object} user - User document
+ * @throws {ErrorResponse} 423 with retryAfterSeconds
+ */
+const assertNotLocked = (user) => {
+  if (!user.isLocked()) return;
+
+  const retryAfterSeconds = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+
+  throw new ErrorResponse(
+    `Account is temporarily locked after too many failed logins. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`,
+    423,
+    { retryAfterSeconds }
+  );
+};
+
+/**
+ * Count a failed login and add it to the user's history
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @param {string} method - password | otp | two_factor
+ * @returns {Promise<boolean>} True if this attempt locked the account
+ */
+const recordFailedLogin = async (user, req, method) => {
+  const lockUntil = await User.registerFailedLogin(user._id);
+
+  await User.recordLoginAttempt(user._id, {
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    method,
+    success: false
+  });
+
+  if (lockUntil) {
+    user.lockUntil = lockUntil;
+    console.warn(`⚠️  Account ${user.email} locked until ${lockUntil.toISOString()}`);
+  }
+
+  return Boolean(lockUntil);
+};
+
+/**
+ * Clear lockout state, add the login to the history and email the user
+ * if it came from a device or network we haven't seen them use before.
+ * Saves the user.
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @param {string} method - password | otp | two_factor | password_reset
+ */
+const recordSuccessfulLogin = async (user, req, method) => {
+  const ip = req.ip;
+  const userAgent = req.get('user-agent');
+
+  const { loginHistory = [] } = await User.findById(user._id).select('+loginHistory').lean() || {};
+  const previous = loginHistory.filter(entry => entry.success);
+
+  // No history yet means this is the device they signed up on
+  const newDevice = previous.length > 0 && !previous.some(entry => entry.userAgent === userAgent);
+  const newLocation = previous.length > 0 && !previous.some(entry => entry.ip === ip);
+
+  user.clearLockout();
+  user.lastLogin = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  await User.recordLoginAttempt(user._id, {
+    ip,
+    userAgent,
+    method,
+    success: true,
+    newDevice: newDevice || newLocation
+  });
+
+  if (newDevice || newLocation) {
+    await sendNewLoginAlertEmail(user, { ip, userAgent, at: new Date() });
+  }
+};
+
+module.exports = {
+  assertNotLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin
+};
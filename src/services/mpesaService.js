@@ -9,6 +9,9 @@ const axios = require('axios');
 const mpesaConfig = require('../config/mpesa');
 const { ErrorResponse } = require('../middleware/errorHandler');
 
+// Daraja error code for "The transaction is being processed"
+const STK_STILL_PROCESSING = '500.001.1001';
+
 /**
  * Generate M-Pesa access token
  * @returns {Promise<string>} Access token
@@ -193,10 +196,19 @@ const querySTKPushStatus = async (checkoutRequestId) => {
     return {
       resultCode: response.data.ResultCode,
       resultDesc: response.data.ResultDesc,
-      status: response.data.ResultCode === '0' ? 'success' : 'failed'
+      status: String(response.data.ResultCode) === '0' ? 'success' : 'failed'
     };
 
   } catch (error) {
+    // Daraja answers with an error while the customer has not yet responded
+    if (error.response?.data?.errorCode === STK_STILL_PROCESSING) {
+      return {
+        resultCode: null,
+        resultDesc: error.response.data.errorMessage,
+        status: 'processing'
+      };
+    }
+
     console.error('M-Pesa Query Error:', error.response?.data || error.message);
     throw new ErrorResponse('Failed to query payment status', 500);
   }
@@ -240,10 +252,171 @@ const processCallback = (callbackData) => {
   }
 };
 
+/**
+ * Send an asynchronous Daraja request (B2C, reversal) and return the conversation IDs
+ * @param {string} endpoint - Daraja endpoint URL
+ * @param {object} payload - Request payload
+ * @returns {Promise<object>} Conversation IDs and response description
+ */
+const sendAsyncRequest = async (endpoint, payload) => {
+  const accessToken = await generateAccessToken();
+
+  const response = await axios.post(endpoint, payload, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  if (response.data.ResponseCode !== '0') {
+    throw new Error(response.data.ResponseDescription || 'Request was not accepted');
+  }
+
+  return {
+    conversationId: response.data.ConversationID,
+    originatorConversationId: response.data.OriginatorConversationID,
+    responseDescription: response.data.ResponseDescription
+  };
+};
+
+/**
+ * Send money to a customer via B2C (used for refunds)
+ * @param {string} phone - Customer phone number
+ * @param {number} amount - Amount to pay out
+ * @param {string} remarks - Reason for the payment
+ * @param {string} occasion - Optional reference (e.g. order number)
+ * @returns {Promise<object>} Conversation IDs
+ */
+const initiateB2CPayment = async (phone, amount, remarks, occasion) => {
+  try {
+    const payload = {
+      InitiatorName: mpesaConfig.initiatorName,
+      SecurityCredential: mpesaConfig.securityCredential,
+      CommandID: 'BusinessPayment',
+      Amount: Math.round(amount),
+      PartyA: mpesaConfig.b2cShortcode,
+      PartyB: formatPhoneNumber(phone),
+      Remarks: remarks || 'Refund',
+      QueueTimeOutURL: mpesaConfig.b2cTimeoutURL,
+      ResultURL: mpesaConfig.b2cResultURL,
+      Occasion: occasion || ''
+    };
+
+    return await sendAsyncRequest(mpesaConfig.getEndpoints().b2c, payload);
+
+  } catch (error) {
+    console.error('M-Pesa B2C Error:', error.response?.data || error.message);
+
+    const errorMessage = error.response?.data?.errorMessage || error.message;
+    throw new ErrorResponse(`M-Pesa B2C payment failed: ${errorMessage}`, 400);
+  }
+};
+
+/**
+ * Reverse (part of) a customer's original M-Pesa payment
+ * @param {string} transactionId - Original M-Pesa receipt number
+ * @param {number} amount - Amount to reverse
+ * @param {string} remarks - Reason for the reversal
+ * @returns {Promise<object>} Conversation IDs
+ */
+const initiateReversal = async (transactionId, amount, remarks) => {
+  try {
+    const payload = {
+      Initiator: mpesaConfig.initiatorName,
+      SecurityCredential: mpesaConfig.securityCredential,
+      CommandID: 'TransactionReversal',
+      TransactionID: transactionId,
+      Amount: Math.round(amount),
+      ReceiverParty: mpesaConfig.shortcode,
+      RecieverIdentifierType: '11', // Daraja's spelling
+      ResultURL: mpesaConfig.reversalResultURL,
+      QueueTimeOutURL: mpesaConfig.reversalTimeoutURL,
+      Remarks: remarks || 'Refund',
+      Occasion: ''
+    };
+
+    return await sendAsyncRequest(mpesaConfig.getEndpoints().reversal, payload);
+
+  } catch (error) {
+    console.error('M-Pesa Reversal Error:', error.response?.data || error.message);
+
+    const errorMessage = error.response?.data?.errorMessage || error.message;
+    throw new ErrorResponse(`M-Pesa reversal failed: ${errorMessage}`, 400);
+  }
+};
+
+/**
+ * Ask M-Pesa whether a B2C payment or reversal went through
+ * @param {string} originatorConversationId - OriginatorConversationID of the original request
+ * @param {string} remarks - Reason for the query
+ * @returns {Promise<object>} Conversation IDs of the query
+ */
+const queryTransactionStatus = async (originatorConversationId, remarks) => {
+  try {
+    const payload = {
+      Initiator: mpesaConfig.initiatorName,
+      SecurityCredential: mpesaConfig.securityCredential,
+      CommandID: 'TransactionStatusQuery',
+      OriginalConversationID: originatorConversationId,
+      PartyA: mpesaConfig.shortcode,
+      IdentifierType: '4',
+      ResultURL: mpesaConfig.transactionStatusResultURL,
+      QueueTimeOutURL: mpesaConfig.transactionStatusTimeoutURL,
+      Remarks: remarks || 'Refund status',
+      Occasion: ''
+    };
+
+    return await sendAsyncRequest(mpesaConfig.getEndpoints().transactionStatus, payload);
+
+  } catch (error) {
+    console.error('M-Pesa Transaction Status Error:', error.response?.data || error.message);
+
+    const errorMessage = error.response?.data?.errorMessage || error.message;
+    throw new ErrorResponse(`M-Pesa transaction status query failed: ${errorMessage}`, 400);
+  }
+};
+
+/**
+ * Process a B2C/reversal result callback
+ * @param {object} resultData - Result data from M-Pesa
+ * @returns {object} Processed result
+ */
+const processResultCallback = (resultData) => {
+  try {
+    const { Result } = resultData;
+
+    const parameters = {};
+    const resultParameters = Result.ResultParameters?.ResultParameter || [];
+    (Array.isArray(resultParameters) ? resultParameters : [resultParameters])
+      .forEach(param => {
+        parameters[param.Key] = param.Value;
+      });
+
+    return {
+      success: Number(Result.ResultCode) === 0,
+      resultType: Result.ResultType,
+      resultCode: Result.ResultCode,
+      resultDesc: Result.ResultDesc,
+      conversationId: Result.ConversationID,
+      originatorConversationId: Result.OriginatorConversationID,
+      transactionId: Result.TransactionID,
+      parameters
+    };
+
+  } catch (error) {
+    console.error('M-Pesa Result Processing Error:', error);
+    throw new ErrorResponse('Failed to process M-Pesa result', 500);
+  }
+};
+
 module.exports = {
   generateAccessToken,
   initiateSTKPush,
   querySTKPushStatus,
   processCallback,
+  initiateB2CPayment,
+  initiateReversal,
+  queryTransactionStatus,
+  processResultCallback,
   formatPhoneNumber
 };
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * ============================================
+ * ONE-TIME CODE SERVICE
+ * ============================================
+ * Issues SMS codes with a resend cooldown and checks
+ * them with expiry and attempt limits
+ */
+
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const smsConfig = require('../config/sms');
+const { sendSms } = require('./sms');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+const { otp: otpConfig } = smsConfig;
+
+const MESSAGES = {
+  verify_phone: (code) => `Your Furniture Hub verification code is ${code}. It expires in ${otpConfig.expiryMinutes} minutes.`,
+  login: (code) => `Your Furniture Hub login code is ${code}. It expires in ${otpConfig.expiryMinutes} minutes. Never share this code.`
+};
+
+/**
+ * Generate a numeric code of the configured length
+ */
+const generateCode = () => {
+  return String(crypto.randomInt(0, 10 ** otpConfig.length)).padStart(otpConfig.length, '0');
+};
+
+/**
+ * Seconds until another code may be sent, or 0
+ * @param {object} otp - Existing Otp document
+ */
+const getCooldownRemaining = (otp) => {
+  if (!otp) return 0;
+
+  const nextAllowedAt = otp.lastSentAt.getTime() + otpConfig.resendCooldownSeconds * 1000;
+  return Math.max(Math.ceil((nextAllowedAt - Date.now()) / 1000), 0);
+};
+
+/**
+ * Issue a new code and send it by SMS, replacing any previous code
+ * @param {object} options
+ * @param {string} options.phone - Phone number in 254XXXXXXXXX format
+ * @param {string} options.purpose - verify_phone | login
+ * @param {string} options.userId - User the code is for
+ * @returns {Promise<object>} { expiresAt }
+ */
+const sendOtp = async ({ phone, purpose, userId }) => {
+  const existing = await Otp.findOne({ phone, purpose });
+  const retryAfterSeconds = getCooldownRemaining(existing);
+
+  if (retryAfterSeconds > 0) {
+    throw new ErrorResponse('Please wait before requesting another code', 429, { retryAfterSeconds });
+  }
+
+  const code = generateCode();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + otpConfig.expiryMinutes * 60 * 1000);
+
+  await Otp.findOneAndUpdate(
+    { phone, purpose },
+    {
+      user: userId,
+      codeHash: Otp.hashCode(phone, purpose, code),
+      expiresAt,
+      attempts: 0,
+      lastSentAt: now,
+      $unset: { consumedAt: 1 }
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  await sendSms(phone, MESSAGES[purpose](code));
+
+  return { expiresAt };
+};
+
+/**
+ * Check a code. A correct code is consumed; wrong codes count
+ * towards the attempt limit, after which a new code is needed.
+ * @param {object} options
+ * @param {string} options.phone - Phone number in 254XXXXXXXXX format
+ * @param {string} options.purpose - verify_phone | login
+ * @param {string} options.code - Code entered by the user
+ * @returns {Promise<object>} The consumed Otp document
+ */
+const verifyOtp = async ({ phone, purpose, code }) => {
+  // Count the attempt up front so parallel guesses can't exceed the limit
+  const otp = await Otp.findOneAndUpdate(
+    {
+      phone,
+      purpose,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: otpConfig.maxAttempts }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!otp) {
+    throw new ErrorResponse('Code is invalid or has expired. Please request a new one.', 400);
+  }
+
+  if (!otp.matches(code)) {
+    const attemptsLeft = otpConfig.maxAttempts - otp.attempts;
+    throw new ErrorResponse(
+      attemptsLeft > 0 ? 'Incorrect code' : 'Too many incorrect attempts. Please request a new code.',
+      400,
+      { attemptsLeft }
+    );
+  }
+
+  otp.consumedAt = new Date();
+  await otp.save();
+
+  return otp;
+};
+
+module.exports = {
+  sendOtp,
+  verifyOtp
+};
@@ -0,0 +1,373 @@
+/**
+ * ============================================
+ * PAYMENT SERVICE
+ * ============================================
+ * Starts payments through the order's provider, applies
+ * results to the ledger and orders, and builds the daily
+ * M-Pesa reconciliation report
+ */
+
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { getProviderForOrder } = require('./providers');
+const { formatPhoneNumber } = require('./mpesaService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { getDayRange } = require('../utils/helpers');
+
+/**
+ * Start a payment attempt for an order through its provider.
+ * Every attempt is recorded, including ones the provider rejects outright.
+ * @param {object} order - Unpaid order
+ * @param {object} options - { userId, phone, amount } (amount defaults to the balance)
+ * @returns {Promise<object>} { payment, result }
+ */
+const initiateOrderPayment = async (order, { userId, phone, amount: requested }) => {
+  const provider = getProviderForOrder(order);
+
+  // Instalment orders take any amount from the deposit up to the balance
+  const limits = order.getPaymentLimits();
+  const amount = requested ? Math.round(requested) : limits.max;
+
+  if (amount < limits.min || amount > limits.max) {
+    const message = limits.min === limits.max
+      ? `Payment amount must be Ksh ${limits.max}`
+      : `Payment amount must be between Ksh ${limits.min} and Ksh ${limits.max}`;
+    throw new ErrorResponse(message, 400, limits);
+  }
+
+  const description = order.paymentPlan === 'installments'
+    ? `Instalment for order ${order.orderNumber}`
+    : `Payment for order ${order.orderNumber}`;
+
+  const attempt = {
+    order: order._id,
+    user: userId,
+    provider: provider.name,
+    amount,
+    phoneNumber: phone ? formatPhoneNumber(phone) : undefined,
+    request: {
+      accountReference: order.orderNumber,
+      transactionDesc: description,
+      initiatedAt: new Date()
+    }
+  };
+
+  let result;
+  try {
+    result = await provider.initiate({ order, amount, phone, description });
+  } catch (error) {
+    await Payment.create({
+      ...attempt,
+      status: 'failed',
+      errorMessage: error.message
+    });
+    throw error;
+  }
+
+  // Record the attempt in the payment ledger
+  const payment = await Payment.create({
+    ...attempt,
+    reference: result.reference,
+    checkoutUrl: result.checkoutUrl,
+    checkoutRequestId: result.checkoutRequestId,
+    merchantRequestId: result.merchantRequestId
+  });
+
+  // Point the order at its latest attempt
+  order.paymentDetails = {
+    ...order.paymentDetails,
+    phoneNumber: phone || order.paymentDetails?.phoneNumber,
+    transactionId: result.reference,
+    checkoutUrl: result.checkoutUrl
+  };
+  await order.save();
+
+  return { payment, result };
+};
+
+/**
+ * Apply a final payment result to a claimed payment attempt and its order
+ * @param {object} payment - Payment already claimed for processing
+ * @param {object} result - { success, resultCode, resultDesc, mpesaReceiptNumber?,
+ *                            transactionId?, amount?, currency?, phoneNumber? }
+ * @param {string} source - 'callback' (incl. webhooks) | 'query'
+ * @returns {Promise<object|null>} { payment, order }, or null if the order is gone
+ */
+const applyPaymentResult = async (payment, result, source) => {
+  try {
+    return await settlePayment(payment, result, source);
+  } catch (error) {
+    // Don't leave the attempt marked processed with nothing applied -
+    // M-Pesa won't resend an acknowledged callback
+    await Payment.releaseClaim(payment._id);
+    throw error;
+  }
+};
+
+const settlePayment = async (payment, result, source) => {
+  const order = await Order.findById(payment.order);
+
+  if (!order) {
+    console.error('Order not found for payment:', payment.reference || payment.checkoutRequestId);
+    return null;
+  }
+
+  payment.resultCode = Number(result.resultCode);
+  payment.resultDesc = result.resultDesc;
+  payment.confirmedVia = source;
+
+  if (!result.success) {
+    payment.status = 'failed';
+    await payment.save();
+
+    // A failed instalment leaves earlier payments standing
+    if (order.paymentStatus !== 'partially_paid') {
+      order.paymentStatus = 'failed';
+    }
+    order.paymentDetails.failureReason = result.resultDesc;
+    await order.save();
+
+    console.log(`❌ Payment failed for order ${order.orderNumber}: ${result.resultDesc}`);
+    return { payment, order };
+  }
+
+  // M-Pesa status queries only say the payment went through - no receipt, amount
+  // or phone. Card verify responses carry them, so they get the same checks.
+  const flagReasons = [];
+
+  if (source === 'callback' || result.amount !== undefined) {
+    const isMpesa = payment.provider === 'mpesa';
+    const receipt = isMpesa ? result.mpesaReceiptNumber : result.transactionId;
+    const receiptField = isMpesa ? 'mpesaReceiptNumber' : 'providerTransactionId';
+
+    payment[receiptField] = receipt;
+    payment.paidAmount = Number(result.amount);
+    payment.paidPhoneNumber = result.phoneNumber ? String(result.phoneNumber) : undefined;
+
+    flagReasons.push(...payment.getMismatches(result, order));
+
+    // A receipt can only confirm one payment
+    const receiptUsed = await Payment.exists({
+      provider: payment.provider,
+      [receiptField]: receipt,
+      _id: { $ne: payment._id }
+    });
+    if (receiptUsed) {
+      flagReasons.push(`Receipt ${receipt} was already used`);
+      payment[receiptField] = undefined;
+    }
+  }
+
+  if (order.paymentStatus === 'paid') {
+    flagReasons.push('Order was already paid by another attempt');
+  }
+
+  // The hold sweeper cancelled the order and released its stock - needs a refund
+  if (order.orderStatus === 'cancelled') {
+    flagReasons.push('Paid after hold expired - order was already cancelled');
+  }
+
+  if (flagReasons.length > 0) {
+    payment.status = 'flagged';
+    payment.flagReasons = flagReasons;
+    await payment.save();
+
+    console.warn(`⚠️  Payment flagged for review on order ${order.orderNumber}: ${flagReasons.join('; ')}`);
+    return { payment, order };
+  }
+
+  payment.status = 'completed';
+  await payment.save();
+
+  await order.applyPayment(payment._id, payment.paidAmount ?? payment.amount, {
+    mpesaReceiptNumber: payment.mpesaReceiptNumber,
+    providerTransactionId: payment.providerTransactionId,
+    transactionId: payment.reference || payment.checkoutRequestId,
+    phoneNumber: payment.paidPhoneNumber || order.paymentDetails?.phoneNumber
+  });
+
+  console.log(`✅ Payment ${source === 'query' ? 'confirmed by status query' : 'successful'} for order ${order.orderNumber} (balance Ksh ${order.balance})`);
+  return { payment, order };
+};
+
+/**
+ * Apply a normalised provider webhook to its payment attempt.
+ * Duplicate and unknown webhooks are ignored.
+ * @param {string} provider - Provider name
+ * @param {object} result - Normalised payment result
+ * @param {object} rawBody - Raw webhook body
+ * @returns {Promise<object|null>} { payment, order }, or null if ignored
+ */
+const processWebhookResult = async (provider, result, rawBody) => {
+  const payment = await Payment.claimForWebhook(provider, result.reference);
+
+  if (!payment) {
+    console.warn(`Ignoring unknown or duplicate ${provider} webhook:`, result.reference);
+    return null;
+  }
+
+  payment.rawCallback = rawBody;
+  return applyPaymentResult(payment, result, 'callback');
+};
+
+/**
+ * Fill in the receipt of a payment that a status query already confirmed
+ * when its (late) callback finally arrives
+ * @param {object} result - Output of processCallback
+ * @param {object} rawCallback - Raw callback body
+ * @returns {Promise<object|null>} Updated payment, or null if nothing to fill in
+ */
+const backfillReceipt = async (result, rawCallback) => {
+  if (!result.success || !result.mpesaReceiptNumber) return null;
+
+  const receiptUsed = await Payment.exists({ mpesaReceiptNumber: result.mpesaReceiptNumber });
+  if (receiptUsed) return null;
+
+  const payment = await Payment.findOneAndUpdate(
+    {
+      checkoutRequestId: result.checkoutRequestId,
+      confirmedVia: 'query',
+      status: 'completed',
+      mpesaReceiptNumber: { $exists: false }
+    },
+    {
+      $set: {
+        mpesaReceiptNumber: result.mpesaReceiptNumber,
+        paidAmount: Number(result.amount),
+        paidPhoneNumber: result.phoneNumber ? String(result.phoneNumber) : undefined,
+        rawCallback
+      }
+    },
+    { new: true }
+  );
+
+  if (!payment) return null;
+
+  await Order.updateOne(
+    {
+      _id: payment.order,
+      'paymentDetails.transactionId': payment.checkoutRequestId,
+      'paymentDetails.mpesaReceiptNumber': { $exists: false }
+    },
+    { $set: { 'paymentDetails.mpesaReceiptNumber': result.mpesaReceiptNumber } }
+  );
+
+  return payment;
+};
+
+/**
+ * Compare M-Pesa orders paid on a day against the receipts in the payment ledger
+ * @param {Date|string} date - Day to reconcile
+ * @returns {Promise<object>} Report with totals and discrepancies
+ */
+const buildReconciliationReport = async (date) => {
+  const { start, end } = getDayRange(date);
+
+  const paidOrders = await Order.find({
+    paymentMethod: 'mpesa',
+    paymentStatus: { $in: ['paid', 'refunded'] },
+    'paymentDetails.paidAt': { $gte: start, $lt: end }
+  }).select('orderNumber total amountPaid paymentPlan paymentStatus orderStatus paymentDetails');
+
+  // Completed attempts for those orders plus anything that settled on the day
+  const payments = await Payment.find({
+    $or: [
+      { order: { $in: paidOrders.map(order => order._id) } },
+      { processedAt: { $gte: start, $lt: end } },
+      { createdAt: { $gte: start, $lt: end } }
+    ]
+  }).populate('order', 'orderNumber total paymentStatus');
+
+  // Instalment orders receive several payments; part-paid ones are expected
+  const settledStatuses = ['paid', 'partially_paid', 'refunded'];
+
+  const completedByOrder = {};
+  for (const payment of payments) {
+    if (payment.status !== 'completed' || !payment.order) continue;
+    const orderId = payment.order._id.toString();
+    (completedByOrder[orderId] = completedByOrder[orderId] || []).push(payment);
+  }
+
+  const discrepancies = {
+    paidWithoutPayment: [],
+    paidWithoutReceipt: [],
+    amountMismatches: [],
+    duplicatePayments: [],
+    receiptsWithoutPaidOrder: []
+  };
+
+  for (const order of paidOrders) {
+    const completed = completedByOrder[order._id.toString()] || [];
+    const entry = { orderId: order._id, orderNumber: order.orderNumber, total: order.total };
+
+    if (completed.length === 0) {
+      discrepancies.paidWithoutPayment.push(entry);
+      continue;
+    }
+
+    if (!order.paymentDetails?.mpesaReceiptNumber) {
+      discrepancies.paidWithoutReceipt.push({ ...entry, checkoutRequestId: order.paymentDetails?.transactionId });
+    }
+
+    if (completed.length > 1 && order.paymentPlan !== 'installments') {
+      discrepancies.duplicatePayments.push({
+        ...entry,
+        receipts: completed.map(payment => payment.mpesaReceiptNumber)
+      });
+    }
+
+    // Every completed payment should be counted in the order's amount paid
+    const received = completed.reduce((sum, payment) => sum + (payment.paidAmount ?? payment.amount), 0);
+    const amountPaid = order.amountPaid || Math.round(order.total);
+    if (received !== amountPaid) {
+      discrepancies.amountMismatches.push({ ...entry, amountPaid, received });
+    }
+  }
+
+  for (const payment of payments) {
+    if (payment.status !== 'completed' || !payment.order) continue;
+    if (!settledStatuses.includes(payment.order.paymentStatus)) {
+      discrepancies.receiptsWithoutPaidOrder.push({
+        paymentId: payment._id,
+        orderNumber: payment.order.orderNumber,
+        mpesaReceiptNumber: payment.mpesaReceiptNumber,
+        amount: payment.paidAmount ?? payment.amount
+      });
+    }
+  }
+
+  const dayPayments = payments.filter(payment => payment.createdAt >= start && payment.createdAt < end);
+  const receipts = payments.filter(payment =>
+    payment.status === 'completed' && payment.processedAt >= start && payment.processedAt < end
+  );
+
+  const countWhere = (status) => dayPayments.filter(payment => payment.status === status).length;
+
+  return {
+    date: start.toISOString().slice(0, 10),
+    period: { start, end },
+    totals: {
+      paidOrders: paidOrders.length,
+      paidOrdersAmount: paidOrders.reduce((sum, order) => sum + order.total, 0),
+      receipts: receipts.length,
+      receiptsAmount: receipts.reduce((sum, payment) => sum + (payment.paidAmount ?? payment.amount), 0)
+    },
+    attempts: {
+      total: dayPayments.length,
+      completed: countWhere('completed'),
+      failed: countWhere('failed'),
+      flagged: countWhere('flagged'),
+      pending: countWhere('pending')
+    },
+    discrepancies,
+    discrepancyCount: Object.values(discrepancies).reduce((sum, list) => sum + list.length, 0)
+  };
+};
+
+module.exports = {
+  initiateOrderPayment,
+  applyPaymentResult,
+  processWebhookResult,
+  backfillReceipt,
+  buildReconciliationReport
+};
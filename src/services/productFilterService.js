@@ -0,0 +1,364 @@
+/**
+ * ============================================
+ * PRODUCT FILTER SERVICE
+ * ============================================
+ * Turns catalogue query parameters into MongoDB filters
+ * and counts how many products each filter value would
+ * return (facets)
+ */
+
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { escapeRegex } = require('../utils/helpers');
+const { rankProducts } = require('./productSearchService');
+
+// Lower bounds (Ksh) of the price facet buckets; the last is open-ended
+const PRICE_BUCKETS = [0, 10000, 25000, 50000, 100000, 250000];
+
+// "N stars & up" rating facet options
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// Most distinct values returned for a free-text facet (material, colour)
+const MAX_FACET_VALUES = 30;
+
+/**
+ * Read a multi-select parameter - comma separated or repeated
+ * @returns {string[]}
+ */
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Parse price ranges such as "10000-25000" or "250000-" (no upper limit)
+ * @returns {Array<{min: number, max: number|null}>}
+ */
+const parsePriceRanges = (value) => {
+  return toList(value)
+    .map(range => {
+      const [min, max] = range.split('-');
+      return {
+        min: Number(min) || 0,
+        max: max ? Number(max) : null
+      };
+    })
+    .filter(range => !Number.isNaN(range.min) && !Number.isNaN(range.max));
+};
+
+/**
+ * Match products whose specifications, or any in-stock variant, have one of
+ * the selected materials and colours. Values match case-insensitively as
+ * substrings. Material and colour must be found on the same variant.
+ */
+const attributeClause = ({ material = [], color = [] }) => {
+  if (material.length === 0 && color.length === 0) return null;
+
+  const toRegex = values => ({ $in: values.map(value => new RegExp(escapeRegex(value), 'i')) });
+  const specMatch = {};
+  const variantMatch = { stock: { $gt: 0 } };
+
+  if (material.length > 0) {
+    specMatch['specifications.material'] = toRegex(material);
+    variantMatch['options.material'] = toRegex(material);
+  }
+  if (color.length > 0) {
+    specMatch['specifications.color'] = toRegex(color);
+    variantMatch['options.color'] = toRegex(color);
+  }
+
+  return { $or: [specMatch, { variants: { $elemMatch: variantMatch } }] };
+};
+
+const combine = (clauses) => (clauses.length > 0 ? { $and: clauses } : {});
+
+/**
+ * Build the filters for a product listing.
+ *
+ * Faceted filters (category, material, color, price, rating, onSale, inStock)
+ * accept several values, OR-ed together within the facet. Each facet's counts
+ * apply every filter except its own, so picking one value doesn't hide the
+ * others in that facet.
+ *
+ * A search is ranked within the other active filters, so narrow filters still
+ * find all their matches. Facet counts use a second ranking within the
+ * non-faceted filters only.
+ *
+ * @param {object} params - Query string
+ * @param {object} options
+ * @param {number} options.searchLimit - Ranked results needed (skip + page size)
+ * @param {boolean} options.facets - Whether facet counts will be asked for
+ * @returns {Promise<object>} { all, base, facetMatch(except), search? }
+ *          search = { ranking, total, totalIsEstimate }
+ */
+const buildProductFilters = async (params, { searchLimit, facets = true } = {}) => {
+  const {
+    minPrice,
+    maxPrice,
+    minRating,
+    onSale,
+    inStock = 'true',
+    tags,
+    search,
+    featured,
+    bestSeller,
+    newArrival
+  } = params;
+
+  // Filters that have no facet of their own
+  const base = [];
+
+  const tagList = toList(tags);
+  if (tagList.length > 0) base.push({ tags: { $in: tagList } });
+
+  if (featured === 'true') base.push({ featured: true });
+  if (bestSeller === 'true') base.push({ bestSeller: true });
+  if (newArrival === 'true') base.push({ newArrival: true });
+
+  // Faceted filters, keyed by facet
+  const selected = {};
+
+  // Categories (ID or slug) include their subcategories; unknown ones match nothing
+  const categoryValues = toList(params.category);
+  if (categoryValues.length > 0) {
+    const categories = await Promise.all(categoryValues.map(value => Category.findByIdOrSlug(value)));
+    selected.category = {
+      categoryPath: { $in: categories.filter(Boolean).map(category => category._id) }
+    };
+  }
+
+  const attributes = {
+    material: toList(params.material),
+    color: toList(params.color)
+  };
+
+  const priceClauses = [];
+  if (minPrice || maxPrice) {
+    const price = {};
+    if (minPrice) price.$gte = Number(minPrice);
+    if (maxPrice) price.$lte = Number(maxPrice);
+    priceClauses.push({ price });
+  }
+
+  const priceRanges = parsePriceRanges(params.priceRange);
+  if (priceRanges.length > 0) {
+    priceClauses.push({
+      $or: priceRanges.map(({ min, max }) => ({
+        price: max === null ? { $gte: min } : { $gte: min, $lt: max }
+      }))
+    });
+  }
+  if (priceClauses.length > 0) selected.price = combine(priceClauses);
+
+  if (minRating) selected.rating = { averageRating: { $gte: Number(minRating) } };
+
+  if (onSale === 'true') selected.onSale = { salePrice: { $gt: 0 } };
+
+  // In-stock only unless asked for out-of-stock ('false') or everything ('all')
+  if (inStock === 'true') selected.inStock = { stock: { $gt: 0 } };
+  if (inStock === 'false') selected.inStock = { stock: { $lte: 0 } };
+
+  /**
+   * Faceted filter clauses, leaving out one facet's own selection
+   * @param {string} except - Facet to leave out
+   */
+  const facetClauses = (except) => {
+    const clauses = Object.entries(selected)
+      .filter(([facet]) => facet !== except)
+      .map(([, clause]) => clause);
+
+    const attributeSelection = attribute => (except === attribute ? [] : attributes[attribute]);
+    const attributeFilter = attributeClause({
+      material: attributeSelection('material'),
+      color: attributeSelection('color')
+    });
+    if (attributeFilter) clauses.push(attributeFilter);
+
+    return clauses;
+  };
+
+  const filters = {
+    base: combine(base),
+    facetMatch: except => combine(facetClauses(except)),
+    all: combine([...base, ...facetClauses()])
+  };
+
+  if (!search) return filters;
+
+  // Search narrows to matching products; their IDs come back most relevant first
+  const [ranked, facetRanked] = await Promise.all([
+    rankProducts(search, filters.all, searchLimit),
+    facets ? rankProducts(search, filters.base) : null
+  ]);
+
+  return {
+    ...filters,
+    base: facetRanked ? combine([{ _id: { $in: facetRanked.ids } }, ...base]) : filters.base,
+    all: combine([{ _id: { $in: ranked.ids } }, ...base, ...facetClauses()]),
+    search: {
+      ranking: ranked.ids,
+      total: ranked.total,
+      totalIsEstimate: ranked.totalIsEstimate
+    }
+  };
+};
+
+/**
+ * Distinct material or colour values across specifications and in-stock variants
+ */
+const attributeFacet = (facetMatch, attribute) => [
+  { $match: facetMatch(attribute) },
+  {
+    $project: {
+      values: {
+        $setUnion: [
+          [`$specifications.${attribute}`],
+          {
+            $map: {
+              input: {
+                $filter: {
+                  input: { $ifNull: ['$variants', []] },
+                  as: 'variant',
+                  cond: { $gt: ['$$variant.stock', 0] }
+                }
+              },
+              as: 'variant',
+              in: `$$variant.options.${attribute}`
+            }
+          }
+        ]
+      }
+    }
+  },
+  { $unwind: '$values' },
+  { $match: { values: { $type: 'string', $ne: '' } } },
+  // Count each product once per value, ignoring case
+  {
+    $group: {
+      _id: { product: '$_id', key: { $toLower: { $trim: { input: '$values' } } } },
+      value: { $first: { $trim: { input: '$values' } } }
+    }
+  },
+  {
+    $group: {
+      _id: '$_id.key',
+      value: { $first: '$value' },
+      count: { $sum: 1 }
+    }
+  },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: MAX_FACET_VALUES },
+  { $project: { _id: 0, value: 1, count: 1 } }
+];
+
+/**
+ * Count products per filter value with a single $facet aggregation
+ * @param {object} filters - From buildProductFilters
+ * @returns {Promise<object>} { categories, materials, colors, price, rating, onSale, inStock }
+ */
+const getProductFacets = async (filters) => {
+  const { facetMatch } = filters;
+
+  const [result] = await Product.aggregate([
+    { $match: filters.base },
+    {
+      $facet: {
+        categories: [
+          { $match: facetMatch('category') },
+          { $unwind: '$categoryPath' },
+          { $group: { _id: '$categoryPath', count: { $sum: 1 } } },
+          {
+            $lookup: {
+              from: 'categories',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'category'
+            }
+          },
+          { $unwind: '$category' },
+          {
+            $project: {
+              _id: 0,
+              id: '$_id',
+              name: '$category.name',
+              slug: '$category.slug',
+              parent: '$category.parent',
+              count: 1
+            }
+          },
+          { $sort: { count: -1, name: 1 } }
+        ],
+        materials: attributeFacet(facetMatch, 'material'),
+        colors: attributeFacet(facetMatch, 'color'),
+        price: [
+          { $match: facetMatch('price') },
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BUCKETS,
+              default: PRICE_BUCKETS[PRICE_BUCKETS.length - 1],
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        rating: [
+          { $match: facetMatch('rating') },
+          {
+            $group: RATING_THRESHOLDS.reduce((group, threshold) => ({
+              ...group,
+              [threshold]: { $sum: { $cond: [{ $gte: ['$averageRating', threshold] }, 1, 0] } }
+            }), { _id: null })
+          }
+        ],
+        onSale: [
+          { $match: facetMatch('onSale') },
+          {
+            $group: {
+              _id: null,
+              onSale: { $sum: { $cond: [{ $gt: ['$salePrice', 0] }, 1, 0] } }
+            }
+          }
+        ],
+        inStock: [
+          { $match: facetMatch('inStock') },
+          {
+            $group: {
+              _id: null,
+              inStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 1, 0] } },
+              outOfStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 0, 1] } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const priceCounts = new Map(result.price.map(bucket => [bucket._id, bucket.count]));
+  const ratingCounts = result.rating[0] || {};
+
+  return {
+    categories: result.categories,
+    materials: result.materials,
+    colors: result.colors,
+    price: PRICE_BUCKETS.map((min, index) => ({
+      min,
+      max: PRICE_BUCKETS[index + 1] ?? null,
+      count: priceCounts.get(min) || 0
+    })),
+    rating: RATING_THRESHOLDS.map(min => ({
+      min,
+      count: ratingCounts[min] || 0
+    })),
+    onSale: result.onSale[0]?.onSale || 0,
+    inStock: {
+      inStock: result.inStock[0]?.inStock || 0,
+      outOfStock: result.inStock[0]?.outOfStock || 0
+    }
+  };
+};
+
+module.exports = {
+  buildProductFilters,
+  getProductFacets
+};
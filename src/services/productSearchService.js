@@ -0,0 +1,263 @@
+/**
+ * ============================================
+ * PRODUCT SEARCH SERVICE
+ * ============================================
+ * Ranked, typo-tolerant product search on plain MongoDB.
+ * Candidates are fetched through the indexed search terms
+ * and word fragments stored on each product, then scored
+ * here by field weight and match closeness.
+ */
+
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const searchConfig = require('../config/search');
+const { escapeRegex } = require('../utils/helpers');
+const {
+  tokenize,
+  getSynonyms,
+  trigrams,
+  editDistance,
+  allowedTypos
+} = require('../utils/searchText');
+
+// How much of a field's weight each kind of match earns
+const MATCH_QUALITY = {
+  exact: 1,
+  synonym: 0.9,
+  prefix: 0.7,
+  oneTypo: 0.6,
+  twoTypos: 0.45
+};
+
+// Small boosts for merchandised products with otherwise equal relevance
+const FEATURED_BOOST = 0.1;
+const BEST_SELLER_BOOST = 0.1;
+
+const RESULT_FIELDS = 'name slug price salePrice images category categorySlug stock featured bestSeller newArrival averageRating numReviews';
+
+/**
+ * Split a query into words with the ways each may match
+ * @param {string} query - Raw user input
+ * @param {object} options
+ * @param {boolean} options.prefixLast - Let the last word match by prefix at any length (autocomplete)
+ * @returns {Array<{word: string, synonyms: string[], prefix: boolean, typos: number}>}
+ */
+const parseQuery = (query, { prefixLast = false } = {}) => {
+  const words = [...new Set(tokenize(String(query).slice(0, searchConfig.maxQueryLength)))]
+    .slice(0, searchConfig.maxQueryTerms);
+
+  return words.map((word, index) => ({
+    word,
+    synonyms: getSynonyms(word),
+    prefix: word.length >= searchConfig.minPrefixLength || (prefixLast && index === words.length - 1),
+    typos: allowedTypos(word)
+  }));
+};
+
+/**
+ * How well one query word matches one indexed word (0 for no match)
+ */
+const matchWord = (queryWord, term) => {
+  if (term === queryWord.word) return MATCH_QUALITY.exact;
+  if (queryWord.synonyms.includes(term)) return MATCH_QUALITY.synonym;
+  if (queryWord.prefix && term.startsWith(queryWord.word)) return MATCH_QUALITY.prefix;
+
+  if (queryWord.typos > 0) {
+    const distance = editDistance(queryWord.word, term, queryWord.typos);
+    if (distance === 1) return MATCH_QUALITY.oneTypo;
+    if (distance <= queryWord.typos) return MATCH_QUALITY.twoTypos;
+  }
+
+  return 0;
+};
+
+/**
+ * Score a product's search fields against the query. Each query word
+ * counts once, by its best match in the highest-weighted field.
+ * @returns {{score: number, matched: number}} matched = query words found
+ */
+const scoreProduct = (searchIndex, queryWords) => {
+  let score = 0;
+  let matched = 0;
+
+  for (const queryWord of queryWords) {
+    let best = 0;
+
+    for (const [field, weight] of Object.entries(searchConfig.weights)) {
+      for (const term of searchIndex?.fields?.[field] || []) {
+        best = Math.max(best, matchWord(queryWord, term) * weight);
+      }
+    }
+
+    if (best > 0) matched++;
+    score += best;
+  }
+
+  return { score, matched };
+};
+
+/**
+ * Filter for products sharing a word, synonym, prefix or fragment with the query
+ * @param {Array} queryWords - From parseQuery
+ * @param {object} match - Extra MongoDB filter
+ * @returns {object} { filter, exactTerms, grams }
+ */
+const candidateFilter = (queryWords, match) => {
+  const exactTerms = queryWords.flatMap(queryWord => [queryWord.word, ...queryWord.synonyms]);
+  const prefixes = queryWords
+    .filter(queryWord => queryWord.prefix)
+    .map(queryWord => new RegExp(`^${escapeRegex(queryWord.word)}`));
+  const grams = [...new Set(
+    queryWords.filter(queryWord => queryWord.typos > 0).flatMap(queryWord => trigrams(queryWord.word))
+  )];
+
+  const anyMatch = [{ 'searchIndex.terms': { $in: [...exactTerms, ...prefixes] } }];
+  if (grams.length > 0) anyMatch.push({ 'searchIndex.grams': { $in: grams } });
+
+  return { filter: { $and: [match, { $or: anyMatch }] }, exactTerms, grams };
+};
+
+/**
+ * Fetch the products most likely to match, using the term and fragment indexes.
+ * Products sharing more exact words and fragments with the query come first.
+ * @param {Array} queryWords - From parseQuery
+ * @param {object} match - Extra MongoDB filter
+ * @param {number} limit - Most candidates to return
+ */
+const findCandidates = (queryWords, match, limit) => {
+  const { filter, exactTerms, grams } = candidateFilter(queryWords, match);
+
+  return Product.aggregate([
+    { $match: filter },
+    {
+      $addFields: {
+        searchOverlap: {
+          $add: [
+            { $multiply: [{ $size: { $setIntersection: [{ $ifNull: ['$searchIndex.terms', []] }, exactTerms] } }, 10] },
+            { $size: { $setIntersection: [{ $ifNull: ['$searchIndex.grams', []] }, grams] } }
+          ]
+        }
+      }
+    },
+    { $sort: { searchOverlap: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { searchIndex: 1, featured: 1, bestSeller: 1 } }
+  ]);
+};
+
+/**
+ * Score and order candidates. Products matching every query word are
+ * returned if there are any; otherwise the best partial matches.
+ * @returns {Array} Candidates, best first
+ */
+const rankCandidates = (candidates, queryWords) => {
+  const scored = candidates
+    .map(product => ({ product, ...scoreProduct(product.searchIndex, queryWords) }))
+    .filter(result => result.matched > 0);
+
+  const complete = scored.filter(result => result.matched === queryWords.length);
+  const results = complete.length > 0 ? complete : scored;
+
+  for (const result of results) {
+    result.score *= 1
+      + (result.product.featured ? FEATURED_BOOST : 0)
+      + (result.product.bestSeller ? BEST_SELLER_BOOST : 0);
+  }
+
+  return results
+    .sort((a, b) => b.matched - a.matched || b.score - a.score)
+    .map(result => result.product);
+};
+
+/**
+ * Load products by ID, keeping the given order
+ */
+const loadInOrder = async (ids, fields) => {
+  const products = await Product.find({ _id: { $in: ids } }).select(fields).lean();
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+  return ids.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+/**
+ * Rank the products matching a query
+ * @param {string} query - Raw user input
+ * @param {object} match - Extra MongoDB filter, applied before candidates are picked
+ * @param {number} limit - Candidates to score (at least the configured pool size)
+ * @returns {Promise<{ids: ObjectId[], total: number, totalIsEstimate: boolean}>}
+ *          IDs most relevant first. When more products matched than were scored,
+ *          total counts every product sharing a word or fragment with the query.
+ */
+const rankProducts = async (query, match = {}, limit = searchConfig.candidateLimit) => {
+  const queryWords = parseQuery(query);
+  if (queryWords.length === 0) return { ids: [], total: 0, totalIsEstimate: false };
+
+  const poolSize = Math.min(Math.max(limit, searchConfig.candidateLimit), searchConfig.maxCandidateLimit);
+  const candidates = await findCandidates(queryWords, match, poolSize);
+  const ids = rankCandidates(candidates, queryWords).map(product => product._id);
+
+  if (candidates.length < poolSize) {
+    return { ids, total: ids.length, totalIsEstimate: false };
+  }
+
+  const total = await Product.countDocuments(candidateFilter(queryWords, match).filter);
+  return { ids, total, totalIsEstimate: true };
+};
+
+/**
+ * Search in-stock products
+ * @param {string} query - Raw user input
+ * @param {object} options - { skip, limit }
+ * @returns {Promise<{products: object[], total: number, totalIsEstimate: boolean}>}
+ */
+const searchProducts = async (query, { skip = 0, limit = 20 } = {}) => {
+  // Score enough candidates to fill the requested page
+  const { ids, total, totalIsEstimate } = await rankProducts(query, { stock: { $gt: 0 } }, skip + limit);
+  const products = await loadInOrder(ids.slice(skip, skip + limit), RESULT_FIELDS);
+
+  return { products, total, totalIsEstimate };
+};
+
+/**
+ * Autocomplete suggestions - the last word is treated as still being typed
+ * @param {string} query - Raw user input
+ * @param {number} limit - Most products to suggest
+ * @returns {Promise<{products: object[], categories: object[]}>}
+ */
+const suggest = async (query, limit = searchConfig.suggest.defaultLimit) => {
+  const text = String(query).trim().slice(0, searchConfig.maxQueryLength);
+  const queryWords = parseQuery(text, { prefixLast: true });
+
+  if (text.length < searchConfig.suggest.minQueryLength || queryWords.length === 0) {
+    return { products: [], categories: [] };
+  }
+
+  const [candidates, categories] = await Promise.all([
+    findCandidates(queryWords, { stock: { $gt: 0 } }, Math.min(limit * 5, searchConfig.candidateLimit)),
+    Category.find({ isActive: true, name: new RegExp(`^${escapeRegex(text)}`, 'i') })
+      .select('name slug')
+      .limit(searchConfig.suggest.categoryLimit)
+      .lean()
+  ]);
+
+  const ids = rankCandidates(candidates, queryWords).slice(0, limit).map(product => product._id);
+  const products = await loadInOrder(ids, 'name slug price salePrice images');
+
+  return {
+    products: products.map(product => ({
+      _id: product._id,
+      name: product.name,
+      slug: product.slug,
+      price: product.salePrice || product.price,
+      image: product.images?.[0]?.url || ''
+    })),
+    categories
+  };
+};
+
+module.exports = {
+  parseQuery,
+  scoreProduct,
+  rankProducts,
+  searchProducts,
+  suggest
+};
@@ -0,0 +1,203 @@
+/**
+ * ============================================
+ * CARD PAYMENT PROVIDER
+ * ============================================
+ * Hosted checkout card gateway (Flutterwave/Pesapal style).
+ * The customer pays on the gateway's page; the result
+ * arrives on a webhook signed with HMAC-SHA256.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const paymentsConfig = require('../../config/payments');
+const { ErrorResponse } = require('../../middleware/errorHandler');
+
+const cardConfig = paymentsConfig.card;
+
+/**
+ * Call the gateway API
+ */
+const gatewayRequest = async (method, path, data) => {
+  if (!cardConfig.baseURL || !cardConfig.secretKey) {
+    throw new ErrorResponse('Card payments are not configured', 503);
+  }
+
+  const response = await axios({
+    method,
+    url: `${cardConfig.baseURL}${path}`,
+    data,
+    headers: {
+      Authorization: `Bearer ${cardConfig.secretKey}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  return response.data.data || response.data;
+};
+
+/**
+ * Map a gateway transaction status onto ours
+ */
+const mapStatus = (status) => {
+  if (status === 'successful' || status === 'succeeded') return 'success';
+  if (status === 'failed' || status === 'cancelled') return 'failed';
+  return 'processing';
+};
+
+/**
+ * Check the webhook signature against the raw request body
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {string} signature - Hex signature from the gateway
+ * @returns {boolean} True if the signature is valid
+ */
+const verifySignature = (rawBody, signature) => {
+  if (!cardConfig.webhookSecret || !rawBody || !signature) return false;
+
+  const expected = crypto
+    .createHmac('sha256', cardConfig.webhookSecret)
+    .update(rawBody)
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+const cardProvider = {
+  name: 'card',
+  refundMethods: ['card'],
+
+  /**
+   * Create a hosted checkout session and return its URL
+   */
+  async initiate({ order, amount, description }) {
+    const reference = `${order.orderNumber}-${Date.now()}`;
+
+    try {
+      const session = await gatewayRequest('post', cardConfig.paths.checkout, {
+        reference,
+        amount,
+        currency: cardConfig.currency,
+        description,
+        redirect_url: cardConfig.redirectURL,
+        customer: {
+          name: order.customer.fullName,
+          email: order.customer.email,
+          phone: order.customer.phone
+        },
+        metadata: {
+          orderId: order._id.toString(),
+          orderNumber: order.orderNumber
+        }
+      });
+
+      return {
+        reference,
+        checkoutUrl: session.checkout_url || session.link,
+        message: 'Complete the payment on the card checkout page'
+      };
+
+    } catch (error) {
+      if (error instanceof ErrorResponse) throw error;
+
+      console.error('Card Checkout Error:', error.response?.data || error.message);
+      const errorMessage = error.response?.data?.message || error.message;
+      throw new ErrorResponse(`Card checkout failed: ${errorMessage}`, 400);
+    }
+  },
+
+  /**
+   * Verify a checkout with the gateway
+   */
+  async query(payment) {
+    try {
+      const transaction = await gatewayRequest('get', `${cardConfig.paths.verify}/${encodeURIComponent(payment.reference)}`);
+
+      const status = mapStatus(transaction.status);
+
+      return {
+        status,
+        resultCode: status === 'success' ? 0 : 1,
+        resultDesc: transaction.processor_response || transaction.status,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        transactionId: transaction.id ? String(transaction.id) : undefined
+      };
+
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { status: 'processing', resultCode: null, resultDesc: 'Checkout not completed yet' };
+      }
+      if (error instanceof ErrorResponse) throw error;
+
+      console.error('Card Verify Error:', error.response?.data || error.message);
+      throw new ErrorResponse('Failed to query card payment status', 500);
+    }
+  },
+
+  /**
+   * Verify and normalise a gateway webhook
+   * @returns {object|null} Payment or refund result, or null for events we ignore
+   */
+  handleWebhook(req) {
+    const signature = req.headers[cardConfig.signatureHeader];
+
+    if (!verifySignature(req.rawBody, signature)) {
+      throw new ErrorResponse('Invalid webhook signature', 401);
+    }
+
+    const { event, data = {} } = req.body;
+    const status = mapStatus(data.status);
+
+    if (event && event.startsWith('refund.')) {
+      if (status === 'processing') return null;
+
+      return {
+        type: 'refund',
+        transactionId: String(data.id),
+        success: status === 'success',
+        resultDesc: data.processor_response || data.status
+      };
+    }
+
+    if (!data.reference || status === 'processing') return null;
+
+    return {
+      type: 'payment',
+      reference: data.reference,
+      success: status === 'success',
+      resultCode: status === 'success' ? 0 : 1,
+      resultDesc: data.processor_response || data.status,
+      amount: data.amount,
+      currency: data.currency,
+      transactionId: data.id ? String(data.id) : undefined
+    };
+  },
+
+  getRefundMethod() {
+    return 'card';
+  },
+
+  /**
+   * Refund (part of) the original card transaction
+   */
+  async refund(refund) {
+    const result = await gatewayRequest('post', cardConfig.paths.refunds, {
+      transaction_id: refund.paymentTransactionId,
+      amount: refund.amount,
+      reason: `Refund for order ${refund.orderNumber}`
+    });
+
+    const status = mapStatus(result.status);
+
+    return {
+      status: status === 'success' ? 'completed' : status === 'failed' ? 'failed' : 'processing',
+      transactionId: result.id ? String(result.id) : undefined,
+      resultDesc: result.status
+    };
+  }
+};
+
+module.exports = cardProvider;
@@ -0,0 +1,107 @@
+/**
+ * ============================================
+ * FAKE PAYMENT PROVIDER
+ * ============================================
+ * Offline stand-in for every payment method so the full
+ * checkout can be exercised without Safaricom or a card
+ * gateway. Enable with PAYMENT_PROVIDER_MODE=fake.
+ * Complete a checkout by opening its checkoutUrl
+ * (?outcome=success|failed).
+ */
+
+const crypto = require('crypto');
+const paymentsConfig = require('../../config/payments');
+
+// Outcomes chosen on the fake checkout page, by reference
+const outcomes = new Map();
+
+const generateId = (prefix) => `${prefix}-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+
+const fakeProvider = {
+  name: 'fake',
+  refundMethods: ['fake'],
+
+  async initiate({ amount }) {
+    const reference = generateId('FAKE');
+
+    outcomes.set(reference, { status: 'processing', amount });
+
+    return {
+      reference,
+      checkoutUrl: `${paymentsConfig.apiURL}/api/payment/fake/checkout/${reference}`,
+      message: 'Fake checkout created - open checkoutUrl to complete it'
+    };
+  },
+
+  async query(payment) {
+    const outcome = outcomes.get(payment.reference);
+
+    if (!outcome || outcome.status === 'processing') {
+      return { status: 'processing', resultCode: null, resultDesc: 'Fake checkout not completed yet' };
+    }
+
+    return {
+      status: outcome.status,
+      resultCode: outcome.status === 'success' ? 0 : 1,
+      resultDesc: `Fake payment ${outcome.status}`,
+      amount: outcome.amount,
+      transactionId: outcome.transactionId
+    };
+  },
+
+  /**
+   * Build the result the fake checkout page reports
+   * @param {object} payment - Payment attempt being completed
+   * @param {string} outcome - 'success' | 'failed'
+   * @returns {object} Normalised payment result
+   */
+  completeCheckout(payment, outcome = 'success') {
+    const success = outcome !== 'failed';
+
+    const transactionId = success ? generateId('FAKETXN') : undefined;
+
+    outcomes.set(payment.reference, { status: success ? 'success' : 'failed', amount: payment.amount, transactionId });
+
+    return {
+      type: 'payment',
+      reference: payment.reference,
+      success,
+      resultCode: success ? 0 : 1,
+      resultDesc: `Fake payment ${success ? 'success' : 'failed'}`,
+      amount: payment.amount,
+      transactionId
+    };
+  },
+
+  // Webhooks posted by hand, e.g. from a test script
+  handleWebhook(req) {
+    const { reference, status = 'success', amount, transactionId } = req.body;
+    if (!reference) return null;
+
+    const success = status === 'success';
+
+    return {
+      type: 'payment',
+      reference,
+      success,
+      resultCode: success ? 0 : 1,
+      resultDesc: `Fake payment ${status}`,
+      amount,
+      transactionId: transactionId || (success ? generateId('FAKETXN') : undefined)
+    };
+  },
+
+  getRefundMethod() {
+    return 'fake';
+  },
+
+  async refund() {
+    return {
+      status: 'completed',
+      transactionId: generateId('FAKEREF'),
+      resultDesc: 'Fake refund completed'
+    };
+  }
+};
+
+module.exports = fakeProvider;
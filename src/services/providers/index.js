@@ -0,0 +1,90 @@
+/**
+ * ============================================
+ * PAYMENT PROVIDERS
+ * ============================================
+ * Every provider implements the same interface:
+ *
+ *   name                     - Stored on Payment.provider
+ *   refundMethods            - Refund.method values it pays out
+ *   initiate({ order, amount, phone, description })
+ *                            -> { reference, checkoutUrl?, message, ... }
+ *   query(payment)           -> { status: 'success'|'failed'|'processing', resultCode, resultDesc,
+ *                                 amount?, currency?, transactionId? (if the provider reports them) }
+ *   handleWebhook(req)       -> normalised result, or null to ignore the event
+ *   getRefundMethod(order)   -> Refund.method for this order
+ *   refund(refund)           -> { status: 'processing'|'completed'|'failed', ... }
+ *   queryRefund(refund)      -> { conversationId, ... } (only providers whose payouts can time out)
+ */
+
+const paymentsConfig = require('../../config/payments');
+const { ErrorResponse } = require('../../middleware/errorHandler');
+const mpesaProvider = require('./mpesaProvider');
+const cardProvider = require('./cardProvider');
+const fakeProvider = require('./fakeProvider');
+
+const providers = {
+  mpesa: mpesaProvider,
+  card: cardProvider,
+  fake: fakeProvider
+};
+
+/**
+ * Whether a payment method is paid online through a provider
+ * @param {string} paymentMethod - Order payment method
+ * @returns {boolean}
+ */
+const isOnlinePaymentMethod = (paymentMethod) => {
+  return Boolean(paymentsConfig.methodProviders[paymentMethod]);
+};
+
+/**
+ * Get a provider by name (fake is only available in fake mode)
+ * @param {string} name - Provider name
+ * @returns {object} Provider
+ */
+const getProvider = (name) => {
+  const provider = providers[name];
+
+  if (!provider || (name === 'fake' && !paymentsConfig.useFakeProvider)) {
+    throw new ErrorResponse(`Unknown payment provider: ${name}`, 404);
+  }
+
+  return provider;
+};
+
+/**
+ * Get the provider that collects payment for an order
+ * @param {object} order - Order document
+ * @returns {object} Provider
+ */
+const getProviderForOrder = (order) => {
+  if (!isOnlinePaymentMethod(order.paymentMethod)) {
+    throw new ErrorResponse(`Orders paid by ${order.paymentMethod} are not paid online`, 400);
+  }
+
+  if (paymentsConfig.useFakeProvider) return fakeProvider;
+
+  return providers[paymentsConfig.methodProviders[order.paymentMethod]];
+};
+
+/**
+ * Get the provider that pays out a refund method
+ * @param {string} method - Refund.method
+ * @returns {object} Provider
+ */
+const getProviderForRefund = (method) => {
+  const provider = Object.values(providers).find(p => p.refundMethods.includes(method));
+
+  if (!provider) {
+    throw new ErrorResponse(`Unknown refund method: ${method}`, 400);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  isOnlinePaymentMethod,
+  getProvider,
+  getProviderForOrder,
+  getProviderForRefund
+};
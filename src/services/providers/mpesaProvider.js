@@ -0,0 +1,99 @@
+/**
+ * ============================================
+ * M-PESA PAYMENT PROVIDER
+ * ============================================
+ * STK Push payments with reversal/B2C refunds
+ */
+
+const mpesaConfig = require('../../config/mpesa');
+const { ErrorResponse } = require('../../middleware/errorHandler');
+const {
+  initiateSTKPush,
+  querySTKPushStatus,
+  processCallback,
+  initiateB2CPayment,
+  initiateReversal,
+  queryTransactionStatus
+} = require('../mpesaService');
+
+const mpesaProvider = {
+  name: 'mpesa',
+  refundMethods: ['reversal', 'b2c'],
+
+  /**
+   * Send an STK push to the customer's phone
+   */
+  async initiate({ order, amount, phone, description }) {
+    if (!phone) {
+      throw new ErrorResponse('Phone number is required for M-Pesa payments', 400);
+    }
+
+    const result = await initiateSTKPush(phone, amount, order.orderNumber, description);
+
+    return {
+      reference: result.checkoutRequestId,
+      checkoutRequestId: result.checkoutRequestId,
+      merchantRequestId: result.merchantRequestId,
+      message: result.message
+    };
+  },
+
+  /**
+   * Ask Daraja for the STK push result
+   */
+  async query(payment) {
+    return querySTKPushStatus(payment.checkoutRequestId);
+  },
+
+  /**
+   * Normalise an STK callback body
+   */
+  handleWebhook(req) {
+    const result = processCallback(req.body);
+
+    return {
+      ...result,
+      reference: result.checkoutRequestId
+    };
+  },
+
+  /**
+   * Reversals need the original receipt; fall back to B2C without one
+   */
+  getRefundMethod(order) {
+    return mpesaConfig.refundMethod === 'reversal' && order.paymentDetails?.mpesaReceiptNumber
+      ? 'reversal'
+      : 'b2c';
+  },
+
+  /**
+   * Start a refund payout - the result arrives on the result callback
+   */
+  async refund(refund) {
+    const result = refund.method === 'reversal'
+      ? await initiateReversal(refund.mpesaReceiptNumber, refund.amount, `Refund for order ${refund.orderNumber}`)
+      : await initiateB2CPayment(refund.phoneNumber, refund.amount, 'Refund', `Order ${refund.orderNumber}`);
+
+    return {
+      status: 'processing',
+      conversationId: result.conversationId,
+      originatorConversationId: result.originatorConversationId,
+      resultDesc: result.responseDescription
+    };
+  },
+
+  /**
+   * Ask whether a timed out payout went through - the answer arrives
+   * on the transaction status result callback
+   */
+  async queryRefund(refund) {
+    const result = await queryTransactionStatus(refund.originatorConversationId, `Refund for order ${refund.orderNumber}`);
+
+    return {
+      conversationId: result.conversationId,
+      originatorConversationId: result.originatorConversationId
+    };
+  }
+};
+
+module.exports = mpesaProvider;
@@ -0,0 +1,265 @@
+/**
+ * ============================================
+ * REFUND SERVICE
+ * ============================================
+ * Pays refunds back to customers through the provider
+ * that took the payment (M-Pesa reversal/B2C, card refund)
+ */
+
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const { getProviderForOrder, getProviderForRefund } = require('./providers');
+
+// Payouts that may still reach the customer
+const UNSETTLED_STATUSES = ['pending', 'processing', 'timed_out'];
+
+/**
+ * Total of an order's payouts that may still reach the customer
+ * @param {ObjectId} orderId - Order
+ * @param {ObjectId} excludeId - Refund to leave out (the one being retried)
+ * @returns {Promise<number>}
+ */
+const getUnsettledPayoutTotal = async (orderId, excludeId) => {
+  const refunds = await Refund.find({
+    order: orderId,
+    status: { $in: UNSETTLED_STATUSES },
+    ...(excludeId && { _id: { $ne: excludeId } })
+  }).select('amount');
+
+  return refunds.reduce((sum, refund) => sum + refund.amount, 0);
+};
+
+/**
+ * Record a completed payout as a refund on its order (once)
+ * @param {object} refund - Completed refund
+ */
+const recordOrderRefund = async (refund) => {
+  const order = await Order.findById(refund.order);
+
+  if (!order || order.refunds.some(entry => entry.payout?.equals(refund._id))) return;
+
+  await order.recordRefund({
+    amount: refund.amount,
+    returnId: refund.return,
+    reason: refund.reason,
+    processedBy: refund.initiatedBy,
+    payoutId: refund._id
+  });
+};
+
+/**
+ * Send a refund payout request to the provider
+ * @param {object} refund - Refund document
+ * @returns {Promise<object>} Updated refund
+ */
+const sendPayout = async (refund) => {
+  refund.attempts += 1;
+
+  try {
+    const result = await getProviderForRefund(refund.method).refund(refund);
+
+    refund.status = result.status;
+    refund.conversationId = result.conversationId;
+    refund.originatorConversationId = result.originatorConversationId;
+    refund.transactionId = result.transactionId;
+    refund.resultDesc = result.resultDesc;
+    if (result.status === 'completed') refund.completedAt = new Date();
+  } catch (error) {
+    refund.status = 'failed';
+    refund.resultDesc = error.message;
+  }
+
+  await refund.save();
+
+  // Card and fake refunds can complete straight away
+  if (refund.status === 'completed') await recordOrderRefund(refund);
+
+  return refund;
+};
+
+/**
+ * Create a refund record for an online order and start the payout.
+ * The order records the refund once the payout completes.
+ * @param {object} order - Paid M-Pesa or card order
+ * @param {number} amount - Amount to refund
+ * @param {object} options - { returnId, reason, initiatedBy }
+ * @returns {Promise<object>} Refund record
+ */
+const startRefundPayout = async (order, amount, options = {}) => {
+  order.assertRefundable(amount, await getUnsettledPayoutTotal(order._id));
+
+  const provider = getProviderForOrder(order);
+
+  const refund = await Refund.create({
+    order: order._id,
+    orderNumber: order.orderNumber,
+    return: options.returnId,
+    reason: options.reason,
+    amount,
+    method: provider.getRefundMethod(order),
+    phoneNumber: order.paymentDetails?.phoneNumber || order.customer.phone,
+    mpesaReceiptNumber: order.paymentDetails?.mpesaReceiptNumber,
+    paymentTransactionId: order.paymentDetails?.providerTransactionId,
+    initiatedBy: options.initiatedBy
+  });
+
+  return sendPayout(refund);
+};
+
+/**
+ * Retry a failed payout
+ * @param {object} refund - Refund document
+ * @returns {Promise<object>} Updated refund
+ */
+const retryRefundPayout = async (refund) => {
+  // Other refunds may have used up the balance since this one failed
+  const order = await Order.findById(refund.order);
+  if (order) {
+    order.assertRefundable(refund.amount, await getUnsettledPayoutTotal(order._id, refund._id));
+  }
+
+  refund.conversationId = undefined;
+  refund.originatorConversationId = undefined;
+  refund.transactionId = undefined;
+  refund.resultCode = undefined;
+  return sendPayout(refund);
+};
+
+/**
+ * Apply a Daraja result callback to its refund (duplicate results are ignored)
+ * @param {object} result - Output of processResultCallback
+ * @param {object} rawResult - Raw callback body
+ * @returns {Promise<object|null>} Updated refund, or null if unknown
+ */
+const applyPayoutResult = async (result, rawResult) => {
+  const refund = await Refund.findByConversation(
+    result.conversationId,
+    result.originatorConversationId
+  );
+
+  if (!refund) return null;
+
+  // Safaricom retries callbacks - the first final answer wins
+  if (refund.status === 'completed' || refund.status === 'failed') return refund;
+
+  refund.status = result.success ? 'completed' : 'failed';
+  refund.resultCode = Number(result.resultCode);
+  refund.resultDesc = result.resultDesc;
+  refund.transactionId = result.transactionId;
+  refund.rawResult = rawResult;
+  if (result.success) refund.completedAt = new Date();
+
+  await refund.save();
+  if (result.success) await recordOrderRefund(refund);
+
+  return refund;
+};
+
+/**
+ * Apply a card gateway refund webhook (duplicate events are ignored)
+ * @param {object} result - Normalised refund result from the provider
+ * @param {object} rawResult - Raw webhook body
+ * @returns {Promise<object|null>} Updated refund, or null if unknown
+ */
+const applyRefundWebhook = async (result, rawResult) => {
+  const refund = await Refund.findOne({ transactionId: result.transactionId });
+
+  if (!refund || refund.isSettled) return refund;
+
+  refund.status = result.success ? 'completed' : 'failed';
+  refund.resultDesc = result.resultDesc;
+  refund.rawResult = rawResult;
+  if (result.success) refund.completedAt = new Date();
+
+  await refund.save();
+  if (result.success) await recordOrderRefund(refund);
+
+  return refund;
+};
+
+/**
+ * Mark a refund as timed out when Daraja's queue gives up on it
+ * @param {object} rawResult - Raw timeout body
+ * @returns {Promise<object|null>} Updated refund, or null if unknown
+ */
+const applyPayoutTimeout = async (rawResult) => {
+  const body = rawResult.Result || rawResult;
+
+  const refund = await Refund.findByConversation(
+    body.ConversationID,
+    body.OriginatorConversationID
+  );
+
+  if (!refund || refund.isSettled) return refund;
+
+  refund.status = 'timed_out';
+  refund.resultDesc = body.ResultDesc || 'Request timed out in the M-Pesa queue';
+  refund.rawResult = rawResult;
+  await refund.save();
+
+  return refund;
+};
+
+/**
+ * Ask the provider whether a timed out payout went through.
+ * It stays timed out (and can't be retried) until the answer arrives.
+ * @param {object} refund - Timed out refund
+ * @returns {Promise<object>} Updated refund
+ */
+const queryRefundPayout = async (refund) => {
+  const result = await getProviderForRefund(refund.method).queryRefund(refund);
+
+  refund.statusQuery = {
+    conversationId: result.conversationId,
+    originatorConversationId: result.originatorConversationId,
+    requestedAt: new Date()
+  };
+  await refund.save();
+
+  return refund;
+};
+
+/**
+ * Apply a transaction status result to the timed out payout it was asked about
+ * @param {object} result - Output of processResultCallback
+ * @param {object} rawResult - Raw callback body
+ * @returns {Promise<object|null>} Updated refund, or null if unknown
+ */
+const applyPayoutStatusResult = async (result, rawResult) => {
+  const refund = await Refund.findByStatusQuery(
+    result.conversationId,
+    result.originatorConversationId
+  );
+
+  // A late payout result may have settled it in the meantime
+  if (!refund || refund.status !== 'timed_out') return refund;
+
+  const transactionStatus = result.parameters?.TransactionStatus;
+  const paid = result.success && transactionStatus === 'Completed';
+
+  refund.status = paid ? 'completed' : 'failed';
+  refund.resultDesc = paid
+    ? 'Payout confirmed by transaction status query'
+    : `Payout not completed: ${transactionStatus || result.resultDesc}`;
+  refund.statusQuery.resultDesc = result.resultDesc;
+  refund.rawResult = rawResult;
+  if (paid) {
+    refund.transactionId = result.parameters.ReceiptNo || refund.transactionId;
+    refund.completedAt = new Date();
+  }
+
+  await refund.save();
+  if (paid) await recordOrderRefund(refund);
+
+  return refund;
+};
+
+module.exports = {
+  startRefundPayout,
+  retryRefundPayout,
+  applyPayoutResult,
+  applyRefundWebhook,
+  applyPayoutTimeout,
+  queryRefundPayout,
+  applyPayoutStatusResult
+};
@@ -0,0 +1,100 @@
+/**
+ * ============================================
+ * ROLE SERVICE
+ * ============================================
+ * Resolves role permissions (built-in defaults overlaid
+ * with admin edits) through a short-lived in-memory cache
+ */
+
+const Role = require('../models/Role');
+const {
+  ALL_PERMISSIONS,
+  SUPER_ROLE,
+  BUILT_IN_ROLES
+} = require('../config/permissions');
+
+// Role edits reach other server instances within this long
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+/**
+ * Load every role, keyed by name
+ * @returns {Promise<Map>} name -> { name, description, permissions, isBuiltIn }
+ */
+const loadRoles = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) return cache;
+
+  const roles = new Map();
+
+  for (const [name, role] of Object.entries(BUILT_IN_ROLES)) {
+    roles.set(name, { name, ...role, isBuiltIn: true });
+  }
+
+  const saved = await Role.find().lean();
+
+  for (const role of saved) {
+    // The super role's permissions can't be narrowed
+    if (role.name === SUPER_ROLE) continue;
+
+    roles.set(role.name, {
+      name: role.name,
+      description: role.description,
+      permissions: role.permissions,
+      isBuiltIn: Boolean(BUILT_IN_ROLES[role.name])
+    });
+  }
+
+  cache = roles;
+  cacheLoadedAt = Date.now();
+
+  return roles;
+};
+
+/**
+ * Drop the cache after roles change
+ */
+const clearRoleCache = () => {
+  cache = null;
+};
+
+/**
+ * Get a role by name
+ * @returns {Promise<object|undefined>}
+ */
+const getRole = async (name) => {
+  const roles = await loadRoles();
+  return roles.get(name);
+};
+
+/**
+ * Permissions granted to a role (none for unknown roles)
+ * @param {string} name - Role name
+ * @returns {Promise<string[]>}
+ */
+const getPermissions = async (name) => {
+  if (name === SUPER_ROLE) return ALL_PERMISSIONS;
+
+  const role = await getRole(name);
+  return role ? role.permissions : [];
+};
+
+/**
+ * Permissions in a list that a user does not hold themselves.
+ * Users can only hand out permissions they have.
+ * @param {object} user - req.user (set by protect)
+ * @param {string[]} permissions
+ * @returns {string[]}
+ */
+const getUnheldPermissions = (user, permissions) => {
+  return permissions.filter(permission => !user.permissions?.includes(permission));
+};
+
+module.exports = {
+  loadRoles,
+  clearRoleCache,
+  getRole,
+  getPermissions,
+  getUnheldPermissions
+};
@@ -0,0 +1,63 @@
+/**
+ * ============================================
+ * AFRICA'S TALKING SMS PROVIDER
+ * ============================================
+ * Sends SMS through the Africa's Talking messaging API
+ */
+
+const axios = require('axios');
+const smsConfig = require('../../config/sms');
+const { ErrorResponse } = require('../../middleware/errorHandler');
+
+const atConfig = smsConfig.africasTalking;
+
+const africasTalkingProvider = {
+  name: 'africastalking',
+
+  /**
+   * Send a single SMS
+   */
+  async send({ to, message }) {
+    if (!atConfig.username || !atConfig.apiKey) {
+      throw new ErrorResponse('SMS is not configured', 503);
+    }
+
+    const params = new URLSearchParams({
+      username: atConfig.username,
+      to: `+${to}`,
+      message
+    });
+    if (atConfig.senderId) params.append('from', atConfig.senderId);
+
+    try {
+      const response = await axios.post(
+        `${atConfig.baseURL}${atConfig.paths.messaging}`,
+        params.toString(),
+        {
+          headers: {
+            apiKey: atConfig.apiKey,
+            Accept: 'application/json',
+            'Content-Type': 'application/x-www-form-urlencoded'
+          }
+        }
+      );
+
+      const recipient = response.data.SMSMessageData?.Recipients?.[0];
+
+      if (!recipient || recipient.status !== 'Success') {
+        throw new Error(recipient?.status || response.data.SMSMessageData?.Message || 'No recipient accepted');
+      }
+
+      return {
+        messageId: recipient.messageId,
+        status: recipient.status
+      };
+
+    } catch (error) {
+      console.error('SMS Send Error:', error.response?.data || error.message);
+      throw new ErrorResponse('Failed to send SMS', 502);
+    }
+  }
+};
+
+module.exports = africasTalkingProvider;
@@ -0,0 +1,40 @@
+/**
+ * ============================================
+ * CONSOLE SMS PROVIDER
+ * ============================================
+ * Local development/testing provider: prints each SMS
+ * and, when SMS_LOG_FILE is set, appends it as a JSON line
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const smsConfig = require('../../config/sms');
+
+const consoleProvider = {
+  name: 'console',
+
+  /**
+   * "Send" a single SMS
+   */
+  async send({ to, message }) {
+    const entry = {
+      messageId: `console-${crypto.randomUUID()}`,
+      to,
+      message,
+      sentAt: new Date().toISOString()
+    };
+
+    console.log(`📱 SMS to ${to}: ${message}`);
+
+    if (smsConfig.logFile) {
+      await fs.promises.appendFile(smsConfig.logFile, `${JSON.stringify(entry)}\n`);
+    }
+
+    return {
+      messageId: entry.messageId,
+      status: 'Success'
+    };
+  }
+};
+
+module.exports = consoleProvider;
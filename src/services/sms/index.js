@@ -0,0 +1,48 @@
+/**
+ * ============================================
+ * SMS PROVIDERS
+ * ============================================
+ * Every provider implements the same interface:
+ *
+ *   name                     - Provider name (SMS_PROVIDER)
+ *   send({ to, message })    -> { messageId, status }
+ *                               `to` is a 254XXXXXXXXX number
+ */
+
+const smsConfig = require('../../config/sms');
+const africasTalkingProvider = require('./africasTalkingProvider');
+const consoleProvider = require('./consoleProvider');
+
+const providers = {
+  africastalking: africasTalkingProvider,
+  console: consoleProvider
+};
+
+/**
+ * Get the configured SMS provider
+ * @returns {object} Provider
+ */
+const getSmsProvider = () => {
+  const provider = providers[smsConfig.provider];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${smsConfig.provider}`);
+  }
+
+  return provider;
+};
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} to - Phone number in 254XXXXXXXXX format
+ * @param {string} message - Message text
+ * @returns {Promise<object>} { messageId, status }
+ */
+const sendSms = (to, message) => {
+  return getSmsProvider().send({ to, message });
+};
+
+module.exports = {
+  getSmsProvider,
+  sendSms
+};
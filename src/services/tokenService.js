@@ -0,0 +1,148 @@
+/**
+ * ============================================
+ * TOKEN SERVICE
+ * ============================================
+ * Issues access/refresh token pairs, rotates refresh
+ * tokens and revokes login sessions
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const authConfig = require('../config/auth');
+const { generateToken, generateRefreshToken } = require('../utils/generateToken');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+/**
+ * Device details recorded against a refresh token
+ */
+const getDeviceInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+/**
+ * Store a new refresh token and sign an access token for the same session
+ * @param {object} user - User document
+ * @param {object} req - Express request (for device info)
+ * @param {object} options
+ * @param {string} options.family - Existing session to continue, or omit for a new login
+ * @param {boolean} options.mfa - Session completed two-factor authentication
+ * @returns {Promise<{tokens: object, record: object}>}
+ */
+const createTokenPair = async (user, req, { family = crypto.randomUUID(), mfa = false } = {}) => {
+  const refreshToken = generateRefreshToken();
+  const expiresAt = new Date(Date.now() + authConfig.refreshTokenDays * 24 * 60 * 60 * 1000);
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: RefreshToken.hashToken(refreshToken),
+    family,
+    device: getDeviceInfo(req),
+    mfa,
+    expiresAt
+  });
+
+  return {
+    record,
+    tokens: {
+      token: generateToken(user._id, user.email, user.role, family, mfa),
+      refreshToken,
+      refreshTokenExpiresAt: expiresAt
+    }
+  };
+};
+
+/**
+ * Start a new login session
+ * @param {object} options - { mfa } when the second factor was completed
+ * @returns {Promise<object>} { token, refreshToken, refreshTokenExpiresAt }
+ */
+const issueSession = async (user, req, { mfa = false } = {}) => {
+  const { tokens } = await createTokenPair(user, req, { mfa });
+  return tokens;
+};
+
+/**
+ * Exchange a refresh token for a new pair. The presented token is revoked;
+ * presenting an already-rotated token again revokes the whole session.
+ * The new token is stored before the old one is revoked, so the session
+ * never has a moment without a live token (access tokens check for one).
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @param {object} req - Express request
+ * @returns {Promise<object>} { token, refreshToken, refreshTokenExpiresAt }
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = RefreshToken.hashToken(refreshToken);
+  const now = new Date();
+
+  const liveToken = { tokenHash, revokedAt: null, expiresAt: { $gt: now } };
+
+  // Presented again after it was exchanged - the token has leaked
+  const rejectToken = async () => {
+    const existing = await RefreshToken.findOne({ tokenHash });
+
+    if (existing && existing.revokedReason === 'rotated') {
+      await RefreshToken.revokeFamily(existing.family, 'reuse_detected');
+      console.warn(`⚠️  Refresh token reuse detected for user ${existing.user} - session ${existing.family} revoked`);
+    }
+
+    throw new ErrorResponse('Invalid or expired refresh token', 401);
+  };
+
+  const current = await RefreshToken.findOne(liveToken);
+
+  if (!current) {
+    return rejectToken();
+  }
+
+  const user = await User.findById(current.user);
+
+  if (!user) {
+    await RefreshToken.revokeFamily(current.family, 'logout');
+    throw new ErrorResponse('User no longer exists', 401);
+  }
+
+  const { tokens, record } = await createTokenPair(user, req, {
+    family: current.family,
+    mfa: current.mfa
+  });
+
+  // Claim the old token atomically so it can only be exchanged once
+  const claimed = await RefreshToken.findOneAndUpdate(
+    liveToken,
+    { revokedAt: now, revokedReason: 'rotated', lastUsedAt: now, replacedBy: record._id },
+    { new: true }
+  );
+
+  if (!claimed) {
+    // Another request exchanged it first - drop the pair we just made
+    await RefreshToken.deleteOne({ _id: record._id });
+    return rejectToken();
+  }
+
+  return tokens;
+};
+
+/**
+ * Revoke a single login session
+ * @param {string} family - Session id (`sid` claim)
+ */
+const revokeSession = (family, reason = 'logout') => {
+  return RefreshToken.revokeFamily(family, reason);
+};
+
+/**
+ * Revoke every session a user has
+ * @param {string} userId - User ID
+ */
+const revokeAllSessions = (userId, reason = 'logout_all') => {
+  return RefreshToken.revokeAllForUser(userId, reason);
+};
+
+module.exports = {
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
@@ -11,14 +11,19 @@ const {
   orderConfirmationEmail,
   orderStatusEmail,
   passwordResetEmail,
-  lowStockAlertEmail
+  passwordChangedEmail,
+  newLoginAlertEmail,
+  emailVerificationEmail,
+  lowStockAlertEmail,
+  reconciliationReportEmail,
+  paymentReminderEmail
 } = require('../services/emailTemplates');
 
 /**
  * Create email transporter
  */
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
     port: process.env.EMAIL_PORT,
     secure: false, // true for 465, false for other ports
@@ -95,6 +100,19 @@ const sendOrderStatusEmail = async (order, newStatus) => {
   });
 };
 
+/**
+ * Send instalment payment reminder
+ */
+const sendPaymentReminderEmail = async (order, daysLeft) => {
+  const html = paymentReminderEmail(order, daysLeft);
+  
+  return sendEmail({
+    to: order.customer.email,
+    subject: `Payment Reminder - ${order.orderNumber} balance due in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+    html
+  });
+};
+
 /**
  * Send password reset email
  */
@@ -108,6 +126,45 @@ const sendPasswordResetEmail = async (user, resetUrl) => {
   });
 };
 
+/**
+ * Send password changed notification
+ */
+const sendPasswordChangedEmail = async (user) => {
+  const html = passwordChangedEmail(user.fullName);
+  
+  return sendEmail({
+    to: user.email,
+    subject: 'Your password was changed',
+    html
+  });
+};
+
+/**
+ * Send new device / location login alert
+ */
+const sendNewLoginAlertEmail = async (user, login) => {
+  const html = newLoginAlertEmail(user.fullName, login);
+  
+  return sendEmail({
+    to: user.email,
+    subject: 'New sign-in to your Furniture Hub account',
+    html
+  });
+};
+
+/**
+ * Send email verification link
+ */
+const sendVerificationEmail = async (user, verifyUrl) => {
+  const html = emailVerificationEmail(user.fullName, verifyUrl);
+  
+  return sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    html
+  });
+};
+
 /**
  * Send low stock alert to admin
  */
@@ -121,6 +178,20 @@ const sendLowStockAlert = async (products) => {
   });
 };
 
+/**
+ * Send daily M-Pesa reconciliation report to admin
+ */
+const sendReconciliationReport = async (report) => {
+  const html = reconciliationReportEmail(report);
+  const flag = report.discrepancyCount > 0 ? `⚠️ ${report.discrepancyCount} discrepancies` : 'All clear';
+  
+  return sendEmail({
+    to: process.env.ADMIN_EMAIL,
+    subject: `M-Pesa Reconciliation ${report.date} - ${flag}`,
+    html
+  });
+};
+
 /**
  * Test email configuration
  */
@@ -141,7 +212,12 @@ module.exports = {
   sendWelcomeEmail,
   sendOrderConfirmationEmail,
   sendOrderStatusEmail,
+  sendPaymentReminderEmail,
   sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendNewLoginAlertEmail,
+  sendVerificationEmail,
   sendLowStockAlert,
+  sendReconciliationReport,
   testEmailConfig
 };
\ No newline at end of file
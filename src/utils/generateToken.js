@@ -6,26 +6,32 @@
  */
 
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
 
 /**
  * Generate JWT token for user
  * @param {string} userId - User ID from database
  * @param {string} email - User email
- * @param {string} role - User role (customer/admin)
+ * @param {string} role - User role (customer/rider/admin)
+ * @param {string} sessionId - Refresh token family the token belongs to
+ * @param {boolean} mfa - Session completed two-factor authentication
  * @returns {string} JWT token
  */
-const generateToken = (userId, email, role) => {
+const generateToken = (userId, email, role, sessionId, mfa = false) => {
   const payload = {
     id: userId,
     email: email,
-    role: role
+    role: role,
+    sid: sessionId,
+    mfa: mfa
   };
   
   const token = jwt.sign(
     payload,
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE || '7d'
+      expiresIn: authConfig.accessTokenExpire
     }
   );
   
@@ -33,20 +39,30 @@ const generateToken = (userId, email, role) => {
 };
 
 /**
- * Generate refresh token (for future use)
- * @param {string} userId - User ID from database
+ * Generate refresh token
+ * Opaque random value - only its hash is stored
  * @returns {string} Refresh token
  */
-const generateRefreshToken = (userId) => {
-  const token = jwt.sign(
-    { id: userId },
+const generateRefreshToken = () => {
+  return crypto.randomBytes(40).toString('hex');
+};
+
+/**
+ * Generate a short-lived token for the second login step
+ * It carries no session, so protect() never accepts it
+ * @param {string} userId - User ID from database
+ * @param {string} challengeId - Challenge stored on the user (the token's jti)
+ * @returns {string} Challenge token
+ */
+const generateChallengeToken = (userId, challengeId) => {
+  return jwt.sign(
+    { id: userId, purpose: '2fa_challenge' },
     process.env.JWT_SECRET,
     {
-      expiresIn: '30d'
+      expiresIn: `${authConfig.twoFactor.challengeMinutes}m`,
+      jwtid: challengeId
     }
   );
-  
-  return token;
 };
 
 /**
@@ -65,5 +81,6 @@ const verifyToken = (token) => {
 module.exports = {
   generateToken,
   generateRefreshToken,
+  generateChallengeToken,
   verifyToken
 };
\ No newline at end of file
@@ -241,6 +241,50 @@ const formatPrice = (price) => {
     return Math.round(((originalPrice - salePrice) / originalPrice) * 100);
   };
   
+  /**
+   * Escape user input for safe use inside a RegExp
+   */
+  const escapeRegex = (str) => {
+    return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  };
+  
+  /**
+   * Start and end of the calendar day containing a date
+   */
+  const getDayRange = (date) => {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+  
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+  
+    return { start, end };
+  };
+  
+  /**
+   * Build a CSV document
+   * @param {Array<object>} rows - Records to export
+   * @param {Array<{header, value}>} columns - Column header and (row) => value
+   */
+  const toCsv = (rows, columns) => {
+    const escapeCell = (value) => {
+      if (value === undefined || value === null) return '';
+      const text = typeof value === 'object' && !(value instanceof Date)
+        ? JSON.stringify(value)
+        : value instanceof Date ? value.toISOString() : String(value);
+      // Quote when needed, and stop spreadsheets treating cells as formulas
+      const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+      return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+    };
+  
+    const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+    for (const row of rows) {
+      lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+    }
+  
+    return lines.join('\r\n');
+  };
+  
   /**
    * Retry async function
    */
@@ -276,5 +320,8 @@ const formatPrice = (price) => {
     deepClone,
     formatPhoneDisplay,
     calculateDiscount,
+    escapeRegex,
+    getDayRange,
+    toCsv,
     retryAsync
   };
\ No newline at end of file
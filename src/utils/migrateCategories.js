@@ -0,0 +1,68 @@
+/**
+ * ============================================
+ * CATEGORY MIGRATION
+ * ============================================
+ * Moves products from the old fixed category slugs and
+ * free-text subcategories onto the Category tree.
+ * Safe to re-run: only products still holding a slug are changed.
+ * Run: npm run migrate:categories
+ */
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+// Load environment variables
+dotenv.config();
+
+const migrateCategories = async () => {
+  try {
+    await connectDB();
+
+    // Category names are now unique per parent rather than globally
+    console.log('🔧 Syncing category indexes...');
+    await Category.syncIndexes();
+    await Product.syncIndexes();
+
+    // Read raw documents - the old string categories no longer cast to the schema
+    const legacyProducts = await Product.collection
+      .find({ category: { $type: 'string' } })
+      .project({ category: 1, subcategory: 1 })
+      .toArray();
+
+    console.log(`📦 ${legacyProducts.length} products to migrate...`);
+
+    for (const product of legacyProducts) {
+      const category = await Category.findOrCreateLegacy(product.category, product.subcategory);
+
+      await Product.collection.updateOne(
+        { _id: product._id },
+        {
+          $set: {
+            category: category._id,
+            categorySlug: category.slug,
+            categoryPath: [...category.ancestors, category._id]
+          },
+          $unset: { subcategory: 1 }
+        }
+      );
+    }
+
+    const categories = await Category.find().select('_id');
+    await Category.refreshProductCounts(categories.map(category => category._id));
+    await Product.rebuildSearchIndex({ _id: { $in: legacyProducts.map(product => product._id) } });
+
+    console.log('✅ Categories migrated and product counts refreshed');
+
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Category migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrateCategories();
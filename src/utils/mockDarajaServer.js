@@ -0,0 +1,238 @@
+/**
+ * ============================================
+ * MOCK DARAJA SERVER
+ * ============================================
+ * Stands in for Safaricom's Daraja API during local
+ * development and tests. Point the app at it with
+ * MPESA_BASE_URL=http://localhost:4010
+ * Run: npm run mock:mpesa
+ */
+
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+
+/**
+ * Generate an M-Pesa style receipt/transaction ID
+ */
+const generateReceipt = () => {
+  return crypto.randomBytes(5).toString('hex').toUpperCase();
+};
+
+/**
+ * Create the mock server app
+ * @param {object} options
+ * @param {string} options.outcome - 'success' | 'failure' | 'timeout' (no callback; queries stay in progress)
+ * @param {number} options.callbackDelayMs - Delay before results are posted back
+ * @returns {object} Express app; app.locals.requests records every call
+ */
+const createMockDarajaServer = (options = {}) => {
+  const app = express();
+  app.use(express.json());
+
+  app.locals.outcome = options.outcome || 'success';
+  app.locals.callbackDelayMs = options.callbackDelayMs ?? 500;
+  app.locals.requests = [];
+  app.locals.transactions = new Map();
+
+  // Record every request for assertions
+  app.use((req, res, next) => {
+    app.locals.requests.push({ method: req.method, path: req.path, body: req.body });
+    next();
+  });
+
+  // Post an asynchronous result back to the app under test
+  const sendCallback = (url, body) => {
+    if (!url || app.locals.outcome === 'timeout') return;
+
+    setTimeout(() => {
+      axios.post(url, body).catch(error => {
+        console.error(`Mock Daraja callback to ${url} failed: ${error.message}`);
+      });
+    }, app.locals.callbackDelayMs);
+  };
+
+  const isSuccess = () => app.locals.outcome === 'success';
+
+  // OAuth token
+  app.get('/oauth/v1/generate', (req, res) => {
+    res.json({ access_token: 'mock-access-token', expires_in: '3599' });
+  });
+
+  // STK push
+  app.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+    const merchantRequestId = `mock-${generateReceipt()}`;
+    const checkoutRequestId = `ws_CO_${Date.now()}${generateReceipt()}`;
+    const success = isSuccess();
+
+    app.locals.transactions.set(checkoutRequestId, { success, outcome: app.locals.outcome, body: req.body });
+
+    res.json({
+      MerchantRequestID: merchantRequestId,
+      CheckoutRequestID: checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    });
+
+    sendCallback(req.body.CallBackURL, {
+      Body: {
+        stkCallback: {
+          MerchantRequestID: merchantRequestId,
+          CheckoutRequestID: checkoutRequestId,
+          ResultCode: success ? 0 : 1032,
+          ResultDesc: success
+            ? 'The service request is processed successfully.'
+            : 'Request cancelled by user',
+          ...(success && {
+            CallbackMetadata: {
+              Item: [
+                { Name: 'Amount', Value: req.body.Amount },
+                { Name: 'MpesaReceiptNumber', Value: generateReceipt() },
+                { Name: 'TransactionDate', Value: Number(new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14)) },
+                { Name: 'PhoneNumber', Value: Number(req.body.PhoneNumber) }
+              ]
+            }
+          })
+        }
+      }
+    });
+  });
+
+  // STK query
+  app.post('/mpesa/stkpushquery/v1/query', (req, res) => {
+    const transaction = app.locals.transactions.get(req.body.CheckoutRequestID);
+
+    if (!transaction) {
+      return res.status(404).json({
+        errorCode: '404.001.03',
+        errorMessage: 'Invalid CheckoutRequestID'
+      });
+    }
+
+    // The customer never answered - Daraja keeps reporting it as in progress
+    if (transaction.outcome === 'timeout') {
+      return res.status(500).json({
+        errorCode: '500.001.1001',
+        errorMessage: 'The transaction is being processed'
+      });
+    }
+
+    res.json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successfully',
+      CheckoutRequestID: req.body.CheckoutRequestID,
+      ResultCode: transaction.success ? '0' : '1032',
+      ResultDesc: transaction.success
+        ? 'The service request is processed successfully.'
+        : 'Request cancelled by user'
+    });
+  });
+
+  // B2C payment and transaction reversal share the same async result shape
+  const handleAsyncRequest = (resultType) => (req, res) => {
+    const conversationId = `AG_${Date.now()}_${generateReceipt()}`;
+    const originatorConversationId = `mock-${generateReceipt()}`;
+    const transactionId = generateReceipt();
+    const success = isSuccess();
+
+    app.locals.transactions.set(originatorConversationId, { success, outcome: app.locals.outcome, transactionId, body: req.body });
+
+    res.json({
+      ConversationID: conversationId,
+      OriginatorConversationID: originatorConversationId,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    });
+
+    sendCallback(req.body.ResultURL, {
+      Result: {
+        ResultType: 0,
+        ResultCode: success ? 0 : 2001,
+        ResultDesc: success
+          ? 'The service request is processed successfully.'
+          : 'The initiator information is invalid.',
+        OriginatorConversationID: originatorConversationId,
+        ConversationID: conversationId,
+        TransactionID: transactionId,
+        ResultParameters: {
+          ResultParameter: [
+            { Key: 'TransactionAmount', Value: req.body.Amount },
+            { Key: 'ResultType', Value: resultType }
+          ]
+        }
+      }
+    });
+  };
+
+  app.post('/mpesa/b2c/v1/paymentrequest', handleAsyncRequest('B2C'));
+  app.post('/mpesa/reversal/v1/request', handleAsyncRequest('Reversal'));
+
+  // Transaction status of an earlier B2C payment or reversal. Payouts made
+  // while the outcome was 'timeout' never happened, so they report as failed.
+  app.post('/mpesa/transactionstatus/v1/query', (req, res) => {
+    const conversationId = `AG_${Date.now()}_${generateReceipt()}`;
+    const originatorConversationId = `mock-${generateReceipt()}`;
+    const transaction = app.locals.transactions.get(req.body.OriginalConversationID);
+    const paid = Boolean(transaction?.success);
+
+    res.json({
+      ConversationID: conversationId,
+      OriginatorConversationID: originatorConversationId,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    });
+
+    sendCallback(req.body.ResultURL, {
+      Result: {
+        ResultType: 0,
+        ResultCode: transaction ? 0 : 2001,
+        ResultDesc: transaction
+          ? 'The service request is processed successfully.'
+          : 'The transaction does not exist.',
+        OriginatorConversationID: originatorConversationId,
+        ConversationID: conversationId,
+        TransactionID: generateReceipt(),
+        ResultParameters: {
+          ResultParameter: transaction
+            ? [
+              { Key: 'TransactionStatus', Value: paid ? 'Completed' : 'Failed' },
+              { Key: 'ReceiptNo', Value: paid ? transaction.transactionId : '' },
+              { Key: 'Amount', Value: transaction.body.Amount }
+            ]
+            : []
+        }
+      }
+    });
+  });
+
+  return app;
+};
+
+/**
+ * Start the mock server
+ * @param {number} port - Port to listen on
+ * @param {object} options - See createMockDarajaServer
+ * @returns {Promise<object>} { app, server }
+ */
+const startMockDarajaServer = (port = 4010, options = {}) => {
+  const app = createMockDarajaServer(options);
+
+  return new Promise(resolve => {
+    const server = app.listen(port, () => resolve({ app, server }));
+  });
+};
+
+// Run directly: node src/utils/mockDarajaServer.js
+if (require.main === module) {
+  const port = process.env.MOCK_DARAJA_PORT || 4010;
+
+  startMockDarajaServer(port, { outcome: process.env.MOCK_DARAJA_OUTCOME }).then(() => {
+    console.log(`🧪 Mock Daraja server running on http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  createMockDarajaServer,
+  startMockDarajaServer
+};
@@ -0,0 +1,41 @@
+/**
+ * ============================================
+ * SEARCH INDEX REBUILD
+ * ============================================
+ * Rebuilds every product's search terms - run after
+ * deploying search changes (new synonyms don't need it)
+ * or importing products outside the API.
+ * Run: npm run search:reindex
+ */
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+require('../models/Category');
+const Product = require('../models/Product');
+
+// Load environment variables
+dotenv.config();
+
+const rebuildSearchIndex = async () => {
+  try {
+    await connectDB();
+
+    // Creates the search indexes and drops the old text index
+    console.log('🔧 Syncing product indexes...');
+    await Product.syncIndexes();
+
+    console.log('🔍 Rebuilding product search index...');
+    const count = await Product.rebuildSearchIndex();
+    console.log(`✅ ${count} products indexed`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Search index rebuild failed:', error);
+    process.exit(1);
+  }
+};
+
+rebuildSearchIndex();
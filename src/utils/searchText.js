@@ -0,0 +1,169 @@
+/**
+ * ============================================
+ * SEARCH TEXT UTILITIES
+ * ============================================
+ * Tokenising, synonym expansion and typo-tolerant
+ * matching used by product search
+ */
+
+const searchConfig = require('../config/search');
+
+const STOP_WORDS = new Set(searchConfig.stopWords);
+
+/**
+ * Lowercase, strip accents and replace punctuation with spaces
+ */
+const normalize = (text) => {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Reduce simple English plurals to their singular ("sofas" -> "sofa",
+ * "shelves" -> "shelf", "benches" -> "bench")
+ */
+const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (/[^aeiou]ies$/.test(word)) return word.slice(0, -3) + 'y';
+  if (word.endsWith('lves')) return word.slice(0, -3) + 'f';
+  if (/(ch|sh|x|ss|z)es$/.test(word)) return word.slice(0, -2);
+  if (/[^su]s$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Split text into normalised, stemmed words, dropping stop words
+ * @returns {string[]} Words in order (may repeat)
+ */
+const tokenize = (text) => {
+  return normalize(text)
+    .split(' ')
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(stem);
+};
+
+/**
+ * Unique words across several pieces of text
+ * @returns {string[]}
+ */
+const uniqueTokens = (...texts) => {
+  return [...new Set(texts.flat().flatMap(tokenize))];
+};
+
+// word -> every word in its synonym groups
+const synonymMap = new Map();
+for (const group of searchConfig.synonyms) {
+  const words = group.flatMap(tokenize);
+  for (const word of words) {
+    const related = synonymMap.get(word) || new Set();
+    words.filter(other => other !== word).forEach(other => related.add(other));
+    synonymMap.set(word, related);
+  }
+}
+
+/**
+ * Words meaning the same as a (stemmed) word, excluding the word itself
+ * @returns {string[]}
+ */
+const getSynonyms = (word) => [...(synonymMap.get(word) || [])];
+
+/**
+ * Overlapping three-letter fragments of a word, padded at the ends so
+ * short words and first/last letters still produce fragments
+ * ("sofa" -> "_so", "sof", "ofa", "fa_")
+ */
+const trigrams = (word) => {
+  const padded = `_${word}_`;
+  const grams = [];
+  for (let i = 0; i <= padded.length - 3; i++) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * neighbouring letters. Stops early once the distance must exceed `max`.
+ * @returns {number} Distance, or max + 1 when further apart than max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+/**
+ * Typos tolerated for a word of this length
+ */
+const allowedTypos = (word) => {
+  if (word.length < searchConfig.minFuzzyLength) return 0;
+  return word.length <= searchConfig.oneTypoMaxLength ? 1 : 2;
+};
+
+/**
+ * Build the stored search fields for a product
+ * @param {object} source
+ * @param {string} source.name
+ * @param {string[]} source.tags
+ * @param {string[]} source.categories - Names of the category and its parents
+ * @param {string[]} source.attributes - Materials, colours, sizes, SKUs
+ * @param {string} source.description
+ * @returns {object} { fields, terms, grams }
+ */
+const buildSearchFields = ({ name, tags = [], categories = [], attributes = [], description }) => {
+  const fields = {
+    name: uniqueTokens(name),
+    tags: uniqueTokens(tags),
+    category: uniqueTokens(categories),
+    attributes: uniqueTokens(attributes),
+    description: uniqueTokens(description).slice(0, searchConfig.maxDescriptionTerms)
+  };
+
+  const terms = [...new Set(Object.values(fields).flat())];
+
+  // Description words are matched exactly or by prefix, not by typo
+  const fuzzyTerms = new Set([...fields.name, ...fields.tags, ...fields.category, ...fields.attributes]);
+  const grams = [...new Set([...fuzzyTerms].filter(term => term.length >= searchConfig.minFuzzyLength).flatMap(trigrams))];
+
+  return { fields, terms, grams };
+};
+
+module.exports = {
+  normalize,
+  stem,
+  tokenize,
+  uniqueTokens,
+  getSynonyms,
+  trigrams,
+  editDistance,
+  allowedTypos,
+  buildSearchFields
+};
@@ -280,15 +280,25 @@ const seedDatabase = async () => {
     const createdCategories = await Category.insertMany(categories);
     console.log(`✅ ${createdCategories.length} categories created`);
 
-    // Add admin ID to products
-    const productsWithAdmin = sampleProducts.map(product => ({
-      ...product,
-      createdBy: admin._id
-    }));
+    // Add admin ID and category references to products
+    // (insertMany skips the model hooks that normally fill these in)
+    const categoriesBySlug = new Map(createdCategories.map(category => [category.slug, category]));
+    const productsWithAdmin = sampleProducts.map(product => {
+      const category = categoriesBySlug.get(product.category);
+      return {
+        ...product,
+        category: category._id,
+        categorySlug: category.slug,
+        categoryPath: [category._id],
+        createdBy: admin._id
+      };
+    });
 
     // Create products
     console.log('📦 Creating products...');
     const createdProducts = await Product.insertMany(productsWithAdmin);
+    await Category.refreshProductCounts(createdCategories.map(category => category._id));
+    await Product.rebuildSearchIndex();
     console.log(`✅ ${createdProducts.length} products created`);
 
     console.log('\n🎉 Database seeded successfully!');
@@ -0,0 +1,48 @@
+/**
+ * ============================================
+ * TEST HELPERS
+ * ============================================
+ * Run Express handlers without a server and stand in
+ * for MongoDB sessions, so tests need no database
+ */
+
+/**
+ * Response stub that records the status and JSON body
+ */
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+/**
+ * Run a handler or middleware until it responds or calls next
+ * @returns {Promise<object>} { res, body } when it responded,
+ *                            { res, error } when it called next
+ */
+const run = (handler, req) => new Promise((resolve, reject) => {
+  const res = mockResponse();
+
+  res.json = jest.fn((body) => {
+    resolve({ res, body });
+    return res;
+  });
+
+  Promise.resolve(handler(req, res, (error) => resolve({ res, error })))
+    .catch(reject);
+});
+
+/**
+ * Session whose transactions run their callback once
+ */
+const mockSession = () => ({
+  withTransaction: jest.fn(async (fn) => fn()),
+  endSession: jest.fn(async () => {})
+});
+
+module.exports = {
+  mockResponse,
+  run,
+  mockSession
+};
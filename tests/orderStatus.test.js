@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+jest.mock('../src/utils/emailService');
+
+const Order = require('../src/models/Order');
+const Product = require('../src/models/Product');
+const AuditLog = require('../src/models/AuditLog');
+const { sendOrderStatusEmail } = require('../src/utils/emailService');
+const { releaseExpiredHold } = require('../src/jobs/stockHoldSweeper');
+const { mockSession } = require('./helpers');
+
+const buildOrder = (fields = {}) => new Order({
+  orderNumber: 'FH-20261018-0001',
+  user: new mongoose.Types.ObjectId(),
+  customer: { fullName: 'Jane Wanjiku', email: 'jane@example.com', phone: '0712345678' },
+  items: [{ product: new mongoose.Types.ObjectId(), name: 'Sofa', price: 20000, quantity: 1 }],
+  subtotal: 20000,
+  deliveryFee: 0,
+  total: 20000,
+  paymentMethod: 'mpesa',
+  ...fields
+});
+
+let session;
+
+beforeEach(() => {
+  session = mockSession();
+  jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+  jest.spyOn(Order, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+  jest.spyOn(Product, 'releaseStock').mockResolvedValue(null);
+  sendOrderStatusEmail.mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Order.updateStatus', () => {
+  it('moves along an allowed transition and records it', async () => {
+    const order = buildOrder();
+    const adminId = new mongoose.Types.ObjectId();
+
+    await order.updateStatus('confirmed', 'Checked by phone', adminId);
+
+    expect(order.orderStatus).toBe('confirmed');
+    expect(order.statusHistory.at(-1)).toMatchObject({ status: 'confirmed', note: 'Checked by phone' });
+    expect(order.statusHistory.at(-1).updatedBy).toEqual(adminId);
+    expect(order.save).toHaveBeenCalled();
+    expect(sendOrderStatusEmail).toHaveBeenCalledWith(order, 'confirmed');
+  });
+
+  it('rejects skipping ahead with the states that are allowed', async () => {
+    const order = buildOrder();
+
+    await expect(order.updateStatus('shipped')).rejects.toMatchObject({
+      statusCode: 409,
+      details: { currentStatus: 'pending', allowedStatuses: ['confirmed', 'cancelled'] }
+    });
+    expect(order.orderStatus).toBe('pending');
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  it('never leaves a final state', async () => {
+    const order = buildOrder({ orderStatus: 'delivered' });
+
+    await expect(order.updateStatus('cancelled')).rejects.toMatchObject({ statusCode: 409 });
+    expect(order.canBeCancelled).toBe(false);
+  });
+
+  it('keeps instalment orders pending until paid or released', async () => {
+    const order = buildOrder({
+      paymentPlan: 'installments',
+      paymentStatus: 'partially_paid',
+      amountPaid: 5000,
+      installments: { minimumDeposit: 4000, dueDate: new Date(Date.now() + 86400000) }
+    });
+
+    await expect(order.updateStatus('confirmed')).rejects.toMatchObject({ statusCode: 409 });
+
+    order.installments.releaseThreshold = 5000;
+    await order.updateStatus('confirmed');
+    expect(order.orderStatus).toBe('confirmed');
+  });
+
+  it('only delivers cash orders once the cash is collected', async () => {
+    const order = buildOrder({ paymentMethod: 'cod', orderStatus: 'shipped', cod: { collectionStatus: 'pending' } });
+
+    await expect(order.updateStatus('delivered')).rejects.toMatchObject({ statusCode: 409 });
+
+    order.cod.collectionStatus = 'collected';
+    await order.updateStatus('delivered');
+    expect(order.deliveryDate).toBeInstanceOf(Date);
+  });
+
+  it('cancels and returns the stock in one transaction', async () => {
+    const order = buildOrder({ stockHoldExpiresAt: new Date() });
+
+    await order.cancelOrder('Changed my mind', order.user);
+
+    expect(session.withTransaction).toHaveBeenCalledTimes(1);
+    expect(Order.updateOne).toHaveBeenCalledWith(
+      { _id: order._id, orderStatus: 'pending', amountPaid: 0 },
+      { $set: { orderStatus: 'cancelled' } },
+      { session }
+    );
+    expect(order.save).toHaveBeenCalledWith({ session });
+    expect(Product.releaseStock).toHaveBeenCalledWith(order.items[0], session);
+    expect(order.cancelReason).toBe('Changed my mind');
+    expect(order.stockHoldExpiresAt).toBeUndefined();
+  });
+
+  it('refuses to cancel an order a payment reached meanwhile', async () => {
+    const order = buildOrder();
+    Order.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+    await expect(order.cancelOrder('Changed my mind')).rejects.toMatchObject({ statusCode: 409 });
+    expect(Product.releaseStock).not.toHaveBeenCalled();
+    expect(sendOrderStatusEmail).not.toHaveBeenCalled();
+  });
+
+  it('refuses to cancel once the order has shipped', async () => {
+    const order = buildOrder({ orderStatus: 'shipped' });
+
+    await expect(order.cancelOrder('Too late')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('stock hold sweeper', () => {
+  it('cancels an expired hold through the model and audits it as the job', async () => {
+    const order = buildOrder({ stockHoldExpiresAt: new Date(Date.now() - 60000) });
+    const find = jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    const audit = jest.spyOn(AuditLog, 'create').mockResolvedValue(null);
+
+    const cancelled = await releaseExpiredHold(order._id);
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ _id: order._id, orderStatus: 'pending' }));
+    expect(cancelled.orderStatus).toBe('cancelled');
+    expect(cancelled.statusHistory.at(-1).status).toBe('cancelled');
+    expect(sendOrderStatusEmail).toHaveBeenCalledWith(order, 'cancelled');
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({
+      job: 'stock-hold-sweeper',
+      action: 'order.cancel',
+      entityId: order._id.toString()
+    }));
+  });
+
+  it('leaves an order alone when a payment lands first', async () => {
+    const order = buildOrder({ stockHoldExpiresAt: new Date(Date.now() - 60000) });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+    const audit = jest.spyOn(AuditLog, 'create').mockResolvedValue(null);
+    Order.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+    await expect(releaseExpiredHold(order._id)).resolves.toBeNull();
+    expect(audit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+
+jest.mock('../src/utils/emailService');
+
+const Order = require('../src/models/Order');
+const Payment = require('../src/models/Payment');
+const { applyPaymentResult } = require('../src/services/paymentService');
+
+const buildOrder = (fields = {}) => new Order({
+  orderNumber: 'FH-20261018-0001',
+  user: new mongoose.Types.ObjectId(),
+  customer: { fullName: 'Jane Wanjiku', email: 'jane@example.com', phone: '0712345678' },
+  items: [{ product: new mongoose.Types.ObjectId(), name: 'Sofa', price: 20000, quantity: 1 }],
+  subtotal: 20000,
+  deliveryFee: 0,
+  total: 20000,
+  paymentMethod: 'mpesa',
+  ...fields
+});
+
+const buildPayment = (order, fields = {}) => new Payment({
+  order: order._id,
+  user: order.user,
+  provider: 'mpesa',
+  amount: 20000,
+  phoneNumber: '254712345678',
+  checkoutRequestId: 'ws_CO_1',
+  ...fields
+});
+
+// What the atomic credit hands back: the stored order after the update
+const storedAfterCredit = (order, fields) => new Order({ ...order.toObject(), ...fields });
+
+beforeEach(() => {
+  jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(Payment.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Payment.getMismatches', () => {
+  it('accepts a payment that matches the attempt', () => {
+    const order = buildOrder();
+    const payment = buildPayment(order);
+
+    expect(payment.getMismatches({ amount: 20000, phoneNumber: '254712345678' }, order)).toEqual([]);
+  });
+
+  it('reports amount, phone, currency and overpayment mismatches', () => {
+    const order = buildOrder({ amountPaid: 15000 });
+    const payment = buildPayment(order, { amount: 5000 });
+
+    const reasons = payment.getMismatches({ amount: 6000, phoneNumber: '254700000000', currency: 'USD' }, order);
+
+    expect(reasons).toEqual([
+      'Amount mismatch: paid 6000, expected 5000',
+      'Overpayment: paid 6000, balance was 5000',
+      'Currency mismatch: paid in USD, expected KES',
+      'Phone mismatch: paid from 254700000000, expected 254712345678'
+    ]);
+  });
+
+  it('skips the phone check for card payments', () => {
+    const order = buildOrder({ paymentMethod: 'card' });
+    const payment = buildPayment(order, { provider: 'card', phoneNumber: undefined });
+
+    expect(payment.getMismatches({ amount: 20000, currency: 'KES' }, order)).toEqual([]);
+  });
+});
+
+describe('Order.getPaymentLimits', () => {
+  it('asks for the whole balance on a full payment plan', () => {
+    expect(buildOrder({ total: 19999.6 }).getPaymentLimits()).toEqual({ min: 20000, max: 20000 });
+  });
+
+  it('asks for the deposit first, then anything up to the balance', () => {
+    const order = buildOrder({
+      paymentPlan: 'installments',
+      installments: { minimumDeposit: 4000, dueDate: new Date(Date.now() + 86400000) }
+    });
+
+    expect(order.getPaymentLimits()).toEqual({ min: 4000, max: 20000 });
+
+    order.amountPaid = 4000;
+    expect(order.getPaymentLimits()).toEqual({ min: 1, max: 16000 });
+  });
+});
+
+describe('Order.applyPayment', () => {
+  it('credits the payment once, in a single conditional update', async () => {
+    const order = buildOrder({ paymentPlan: 'installments', stockHoldExpiresAt: new Date() });
+    const paymentId = new mongoose.Types.ObjectId();
+    const update = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(storedAfterCredit(order, {
+      amountPaid: 5000,
+      balance: 15000,
+      creditedPayments: [paymentId],
+      paymentStatus: 'partially_paid',
+      stockHoldExpiresAt: undefined
+    }));
+
+    await order.applyPayment(paymentId, 5000, { mpesaReceiptNumber: 'RCP1', phoneNumber: undefined });
+
+    const [filter, pipeline] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: order._id, creditedPayments: { $ne: paymentId } });
+    expect(Array.isArray(pipeline)).toBe(true);
+    expect(JSON.stringify(pipeline)).toContain('"RCP1"');
+    expect(JSON.stringify(pipeline)).not.toContain('phoneNumber');
+
+    expect(order.amountPaid).toBe(5000);
+    expect(order.paymentStatus).toBe('partially_paid');
+    expect(order.orderStatus).toBe('pending');
+    // The stored values must not be written back by a later save
+    expect(order.isModified('amountPaid')).toBe(false);
+    expect(order.isModified('paymentStatus')).toBe(false);
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  it('confirms the order when the last payment lands', async () => {
+    const order = buildOrder();
+    const paymentId = new mongoose.Types.ObjectId();
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(storedAfterCredit(order, {
+      amountPaid: 20000,
+      balance: 0,
+      creditedPayments: [paymentId],
+      paymentStatus: 'paid'
+    }));
+
+    await order.applyPayment(paymentId, 20000, { mpesaReceiptNumber: 'RCP1' });
+
+    expect(order.paymentStatus).toBe('paid');
+    expect(order.orderStatus).toBe('confirmed');
+    expect(order.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not credit a payment twice when settlement is retried', async () => {
+    const paymentId = new mongoose.Types.ObjectId();
+    const order = buildOrder();
+    const stored = storedAfterCredit(order, {
+      amountPaid: 20000,
+      balance: 0,
+      creditedPayments: [paymentId],
+      paymentStatus: 'paid'
+    });
+
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(null);
+    const reload = jest.spyOn(Order, 'findById').mockResolvedValue(stored);
+
+    await order.applyPayment(paymentId, 20000, { mpesaReceiptNumber: 'RCP1' });
+
+    expect(reload).toHaveBeenCalledWith(order._id);
+    expect(order.amountPaid).toBe(20000);
+    // The interrupted run never confirmed the order - finish the job
+    expect(order.orderStatus).toBe('confirmed');
+  });
+});
+
+describe('applyPaymentResult', () => {
+  it('credits a matching callback against the order', async () => {
+    const order = buildOrder();
+    const payment = buildPayment(order);
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(Payment, 'exists').mockResolvedValue(null);
+    const credit = jest.spyOn(Order.prototype, 'applyPayment').mockResolvedValue();
+
+    await applyPaymentResult(payment, {
+      success: true,
+      resultCode: 0,
+      resultDesc: 'Processed',
+      mpesaReceiptNumber: 'RCP1',
+      amount: 20000,
+      phoneNumber: '254712345678'
+    }, 'callback');
+
+    expect(payment.status).toBe('completed');
+    expect(payment.mpesaReceiptNumber).toBe('RCP1');
+    expect(credit).toHaveBeenCalledWith(payment._id, 20000, expect.objectContaining({ mpesaReceiptNumber: 'RCP1' }));
+  });
+
+  it('flags a receipt that already confirmed another payment', async () => {
+    const order = buildOrder();
+    const payment = buildPayment(order);
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(Payment, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const credit = jest.spyOn(Order.prototype, 'applyPayment');
+
+    await applyPaymentResult(payment, {
+      success: true,
+      resultCode: 0,
+      mpesaReceiptNumber: 'RCP1',
+      amount: 20000,
+      phoneNumber: '254712345678'
+    }, 'callback');
+
+    expect(payment.status).toBe('flagged');
+    expect(payment.flagReasons).toContain('Receipt RCP1 was already used');
+    expect(payment.mpesaReceiptNumber).toBeUndefined();
+    expect(credit).not.toHaveBeenCalled();
+  });
+
+  it('checks and records what a card status query reports', async () => {
+    const order = buildOrder({ paymentMethod: 'card' });
+    const payment = buildPayment(order, { provider: 'card', phoneNumber: undefined, reference: 'FH-1' });
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(Payment, 'exists').mockResolvedValue(null);
+    const credit = jest.spyOn(Order.prototype, 'applyPayment');
+
+    await applyPaymentResult(payment, {
+      success: true,
+      resultCode: 0,
+      amount: 200,
+      currency: 'USD',
+      transactionId: 'TXN-9'
+    }, 'query');
+
+    expect(payment.providerTransactionId).toBe('TXN-9');
+    expect(payment.status).toBe('flagged');
+    expect(payment.flagReasons).toEqual(expect.arrayContaining([
+      'Amount mismatch: paid 200, expected 20000',
+      'Currency mismatch: paid in USD, expected KES'
+    ]));
+    expect(credit).not.toHaveBeenCalled();
+  });
+
+  it('gives the claim back when applying the result fails', async () => {
+    const order = buildOrder();
+    const payment = buildPayment(order);
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(Payment, 'exists').mockResolvedValue(null);
+    jest.spyOn(Order.prototype, 'applyPayment').mockRejectedValue(new Error('write failed'));
+    const release = jest.spyOn(Payment, 'releaseClaim').mockResolvedValue({});
+
+    await expect(applyPaymentResult(payment, {
+      success: true,
+      resultCode: 0,
+      mpesaReceiptNumber: 'RCP1',
+      amount: 20000,
+      phoneNumber: '254712345678'
+    }, 'callback')).rejects.toThrow('write failed');
+
+    expect(release).toHaveBeenCalledWith(payment._id);
+  });
+});
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+
+const Role = require('../src/models/Role');
+const User = require('../src/models/User');
+const { ALL_PERMISSIONS } = require('../src/config/permissions');
+const { requirePermission, hasPermission } = require('../src/middleware/adminMiddleware');
+const { getPermissions, getUnheldPermissions, clearRoleCache } = require('../src/services/roleService');
+const { createRole, updateRole } = require('../src/controllers/roleController');
+const { updateUserRole } = require('../src/controllers/adminController');
+const { run } = require('./helpers');
+
+// A staff member who manages people and roles but not money
+const manager = (fields = {}) => ({
+  id: new mongoose.Types.ObjectId().toString(),
+  role: 'manager',
+  permissions: ['dashboard:read', 'users:read', 'users:manage', 'roles:manage', 'orders:read'],
+  twoFactorVerified: true,
+  ...fields
+});
+
+const admin = () => manager({ role: 'admin', permissions: ALL_PERMISSIONS });
+
+// Roles saved through the admin, on top of the built-in ones
+let savedRoles;
+
+beforeEach(() => {
+  savedRoles = [
+    { name: 'manager', permissions: manager().permissions },
+    { name: 'support', permissions: ['orders:read'] }
+  ];
+  clearRoleCache();
+  jest.spyOn(Role, 'find').mockImplementation(() => ({ lean: async () => savedRoles }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('permission checks', () => {
+  it('grants only what the role lists', () => {
+    expect(hasPermission({ permissions: ['orders:read'] }, 'orders:read')).toBe(true);
+    expect(hasPermission({ permissions: ['orders:read'] }, 'payments:refund')).toBe(false);
+    expect(hasPermission(undefined, 'orders:read')).toBe(false);
+  });
+
+  it('resolves built-in, saved and unknown roles', async () => {
+    await expect(getPermissions('admin')).resolves.toEqual(ALL_PERMISSIONS);
+    await expect(getPermissions('rider')).resolves.toEqual(['cod:collect']);
+    await expect(getPermissions('support')).resolves.toEqual(['orders:read']);
+    await expect(getPermissions('ghost')).resolves.toEqual([]);
+  });
+
+  it('lists the permissions a user could not hand out', () => {
+    expect(getUnheldPermissions(manager(), ['orders:read', 'payments:refund'])).toEqual(['payments:refund']);
+  });
+});
+
+describe('requirePermission', () => {
+  const guard = requirePermission('orders:read');
+
+  it('refuses a role without the permission', async () => {
+    const { res, body } = await run(guard, { user: manager({ permissions: ['dashboard:read'] }) });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(body.error.message).toBe('Access denied. Requires permission: orders:read');
+  });
+
+  it('refuses staff sessions that skipped the second factor', async () => {
+    const { res } = await run(guard, { user: manager({ twoFactorVerified: false }) });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('lets riders in without two-factor', async () => {
+    const { error, res } = await run(requirePermission('cod:collect'), {
+      user: { id: 'rider-1', role: 'rider', permissions: ['cod:collect'], twoFactorVerified: false }
+    });
+
+    expect(error).toBeUndefined();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('passes staff with the permission and a verified session', async () => {
+    const { error, res } = await run(guard, { user: manager() });
+
+    expect(error).toBeUndefined();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
+
+describe('role management', () => {
+  it('refuses to create a role with permissions the caller lacks', async () => {
+    const create = jest.spyOn(Role, 'create');
+
+    const { error } = await run(createRole, {
+      user: manager(),
+      body: { name: 'cashier', permissions: ['orders:read', 'payments:refund'] }
+    });
+
+    expect(error.statusCode).toBe(403);
+    expect(error.details).toEqual({ permissions: ['payments:refund'] });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('refuses edits to the caller\'s own role', async () => {
+    const { error } = await run(updateRole, {
+      user: manager(),
+      params: { name: 'manager' },
+      body: { permissions: ALL_PERMISSIONS }
+    });
+
+    expect(error.statusCode).toBe(403);
+  });
+
+  it('keeps staff permissions off customer and rider roles', async () => {
+    const { error } = await run(updateRole, {
+      user: admin(),
+      params: { name: 'rider' },
+      body: { permissions: ['cod:collect', 'orders:read'] }
+    });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.details).toEqual({ permissions: ['orders:read'] });
+  });
+
+  it('refuses to add permissions the caller lacks to another role', async () => {
+    const update = jest.spyOn(Role, 'findOneAndUpdate');
+
+    const { error } = await run(updateRole, {
+      user: manager(),
+      params: { name: 'support' },
+      body: { permissions: ['orders:read', 'payments:refund'] }
+    });
+
+    expect(error.statusCode).toBe(403);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('saves a role edit within the caller\'s own permissions', async () => {
+    const update = jest.spyOn(Role, 'findOneAndUpdate').mockResolvedValue({ name: 'support' });
+
+    const { res } = await run(updateRole, {
+      user: manager(),
+      params: { name: 'support' },
+      body: { permissions: ['orders:read', 'users:read', 'orders:read'] }
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(update).toHaveBeenCalledWith(
+      { name: 'support' },
+      expect.objectContaining({ permissions: ['orders:read', 'users:read'] }),
+      expect.objectContaining({ upsert: true })
+    );
+  });
+});
+
+describe('assigning roles to users', () => {
+  const target = (role) => new User({
+    fullName: 'Sam Otieno',
+    email: 'sam@example.com',
+    phone: '0722000000',
+    password: 'secret123',
+    role
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  it('only lets an admin hand out the admin role', async () => {
+    const user = target('customer');
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const { error } = await run(updateUserRole, {
+      user: manager({ permissions: ALL_PERMISSIONS }),
+      params: { id: user._id.toString() },
+      body: { role: 'admin' }
+    });
+
+    expect(error.statusCode).toBe(403);
+    expect(user.role).toBe('customer');
+  });
+
+  it('refuses roles more powerful than the caller\'s', async () => {
+    const user = target('customer');
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const { error } = await run(updateUserRole, {
+      user: manager(),
+      params: { id: user._id.toString() },
+      body: { role: 'finance' }
+    });
+
+    expect(error.statusCode).toBe(403);
+    expect(error.details.permissions).toContain('payments:refund');
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses to move a user out of a role more powerful than the caller\'s', async () => {
+    const user = target('finance');
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const { error } = await run(updateUserRole, {
+      user: manager(),
+      params: { id: user._id.toString() },
+      body: { role: 'customer' }
+    });
+
+    expect(error.statusCode).toBe(403);
+  });
+
+  it('assigns a role within the caller\'s own permissions', async () => {
+    const user = target('customer');
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const { res } = await run(updateUserRole, {
+      user: manager(),
+      params: { id: user._id.toString() },
+      body: { role: 'support' }
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(user.role).toBe('support');
+    expect(user.save).toHaveBeenCalled();
+  });
+});
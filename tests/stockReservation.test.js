@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+jest.mock('../src/utils/emailService');
+
+const Product = require('../src/models/Product');
+const Order = require('../src/models/Order');
+const Cart = require('../src/models/Cart');
+const { sendOrderConfirmationEmail } = require('../src/utils/emailService');
+const { createOrder } = require('../src/controllers/orderController');
+const { run, mockSession } = require('./helpers');
+
+const productId = new mongoose.Types.ObjectId();
+const otherProductId = new mongoose.Types.ObjectId();
+
+const buildRequest = (items) => ({
+  user: { id: new mongoose.Types.ObjectId().toString(), isVerified: true },
+  body: {
+    customer: {
+      fullName: 'Jane Wanjiku',
+      email: 'jane@example.com',
+      phone: '0712345678',
+      address: 'Moi Avenue',
+      city: 'Nairobi'
+    },
+    items,
+    paymentMethod: 'mpesa'
+  }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('Product.reserveStock', () => {
+  it('only decrements a plain product while enough stock is left', async () => {
+    const update = jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(null);
+    const session = mockSession();
+
+    await Product.reserveStock({ product: productId, quantity: 2 }, session);
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: productId, 'variants.0': { $exists: false }, stock: { $gte: 2 } },
+      { $inc: { stock: -2 } },
+      { new: true, session }
+    );
+  });
+
+  it('decrements the variant and the product total together', async () => {
+    const update = jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(null);
+    const variantId = new mongoose.Types.ObjectId();
+
+    await Product.reserveStock({ product: productId, variant: variantId, quantity: 1 });
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: productId, variants: { $elemMatch: { _id: variantId, stock: { $gte: 1 } } } },
+      { $inc: { 'variants.$.stock': -1, stock: -1 } },
+      expect.objectContaining({ new: true })
+    );
+  });
+
+  it('returns released units to the same variant', async () => {
+    const update = jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(null);
+    const variantId = new mongoose.Types.ObjectId();
+
+    await Product.releaseStock({ product: productId, variant: variantId, quantity: 3 });
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: productId, 'variants._id': variantId },
+      { $inc: { 'variants.$.stock': 3, stock: 3 } },
+      expect.objectContaining({ new: true })
+    );
+  });
+});
+
+describe('createOrder stock reservation', () => {
+  let session;
+
+  beforeEach(() => {
+    session = mockSession();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Cart, 'findOneAndUpdate').mockResolvedValue(null);
+    sendOrderConfirmationEmail.mockResolvedValue(null);
+  });
+
+  it('reserves every line inside one transaction and creates the order', async () => {
+    const sofa = new Product({ _id: productId, name: 'Sofa', price: 20000, stock: 4 });
+    const table = new Product({ _id: otherProductId, name: 'Table', price: 5000, stock: 1 });
+
+    jest.spyOn(Product, 'reserveStock')
+      .mockResolvedValueOnce(sofa)
+      .mockResolvedValueOnce(table);
+    const create = jest.spyOn(Order, 'create').mockImplementation(async ([data]) => [new Order(data)]);
+
+    const { res, body } = await run(createOrder, buildRequest([
+      { product: productId, quantity: 2 },
+      { product: otherProductId, quantity: 1 }
+    ]));
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(session.withTransaction).toHaveBeenCalledTimes(1);
+    expect(Product.reserveStock).toHaveBeenCalledWith({ product: productId, quantity: 2 }, session);
+    expect(create).toHaveBeenCalledWith([expect.objectContaining({ subtotal: 45000 })], { session });
+    expect(body.data.order.stockHoldExpiresAt).toBeInstanceOf(Date);
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('rolls back when a later line is out of stock', async () => {
+    const sofa = new Product({ _id: productId, name: 'Sofa', price: 20000, stock: 4 });
+
+    jest.spyOn(Product, 'reserveStock')
+      .mockResolvedValueOnce(sofa)
+      .mockResolvedValueOnce(null);
+    jest.spyOn(Product, 'findById').mockReturnValue({
+      select: () => ({
+        session: async () => new Product({ _id: otherProductId, name: 'Table', price: 5000, stock: 0 })
+      })
+    });
+    const create = jest.spyOn(Order, 'create');
+
+    const { error } = await run(createOrder, buildRequest([
+      { product: productId, quantity: 2 },
+      { product: otherProductId, quantity: 1 }
+    ]));
+
+    // Throwing out of withTransaction is what aborts the first line's reservation
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Insufficient stock for Table');
+    expect(create).not.toHaveBeenCalled();
+    expect(Cart.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('asks for an option when a product with variants is ordered without one', async () => {
+    jest.spyOn(Product, 'reserveStock').mockResolvedValueOnce(null);
+    jest.spyOn(Product, 'findById').mockReturnValue({
+      select: () => ({
+        session: async () => new Product({
+          _id: productId,
+          name: 'Sofa',
+          price: 20000,
+          stock: 2,
+          variants: [{ sku: 'SOFA-GRY', label: 'Grey', stock: 2 }]
+        })
+      })
+    });
+
+    const { error } = await run(createOrder, buildRequest([{ product: productId, quantity: 1 }]));
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Please choose an option for Sofa');
+  });
+
+  it('still answers 201 when the confirmation email fails', async () => {
+    const sofa = new Product({ _id: productId, name: 'Sofa', price: 20000, stock: 4 });
+
+    jest.spyOn(Product, 'reserveStock').mockResolvedValueOnce(sofa);
+    jest.spyOn(Order, 'create').mockImplementation(async ([data]) => [new Order(data)]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    sendOrderConfirmationEmail.mockRejectedValue(new Error('SMTP down'));
+
+    const { res } = await run(createOrder, buildRequest([{ product: productId, quantity: 1 }]));
+
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+});